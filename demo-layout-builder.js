@@ -0,0 +1,602 @@
+/**
+ * demo-layout-builder.js
+ *
+ * Component: "Interactive Layout Builder" demo (demo.html, data-demo-id="layout-builder")
+ * Purpose:
+ *  - Let visitors compose a page from primitives (header, hero, card grid, text, CTA) inside the
+ *    SiteNav demo modal, preview it at common widths, and export HTML that uses styles.css classes.
+ *
+ * Responsibilities:
+ *  - Palette of primitives: click to append, or drag onto the canvas at a position.
+ *  - Reordering by drag-and-drop and keyboard only (Alt+ArrowUp/ArrowDown moves the focused block,
+ *    ArrowUp/ArrowDown moves focus, Delete removes).
+ *  - Responsive preview presets (mobile / tablet / desktop widths).
+ *  - Undo/redo (buttons, Ctrl/Cmd+Z, Ctrl/Cmd+Y or Ctrl/Cmd+Shift+Z).
+ *  - Export to HTML built from the same class names styles.css defines.
+ *
+ * Module system:
+ *  - Registers itself with window.SiteNav.registerDemo() when loaded after script.js;
+ *    also exported for CommonJS so the layout model can be exercised in isolation.
+ */
+
+/* global module, document, navigator */
+(function (root, factory) {
+  var demo = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = demo;
+  }
+  if (root && root.SiteNav && typeof root.SiteNav.registerDemo === 'function') {
+    root.SiteNav.registerDemo(demo.id, demo);
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  /**
+   * Primitives: label for the UI and the exported markup (class names from styles.css).
+   */
+  var PRIMITIVES = {
+    header: {
+      label: 'Header',
+      html: [
+        '<header class="site-header">',
+        '  <div class="container">',
+        '    <a class="brand" href="index.html"><span class="brand__mark" aria-hidden="true"></span><span>Brand</span></a>',
+        '  </div>',
+        '</header>'
+      ]
+    },
+    hero: {
+      label: 'Hero',
+      html: [
+        '<section class="hero">',
+        '  <div class="container hero__inner">',
+        '    <div>',
+        '      <h1 class="hero__title">Headline goes here</h1>',
+        '      <p class="hero__lead">A short supporting sentence about the offer.</p>',
+        '      <p class="hero__actions"><a class="btn" href="#">Get started</a></p>',
+        '    </div>',
+        '  </div>',
+        '</section>'
+      ]
+    },
+    cards: {
+      label: 'Card grid',
+      html: [
+        '<section class="section">',
+        '  <div class="container grid grid-2">',
+        '    <article class="card"><h3>Card title</h3><p>Short card copy.</p></article>',
+        '    <article class="card"><h3>Card title</h3><p>Short card copy.</p></article>',
+        '  </div>',
+        '</section>'
+      ]
+    },
+    text: {
+      label: 'Text',
+      html: [
+        '<section class="section">',
+        '  <div class="container">',
+        '    <h2 class="section__title">Section title</h2>',
+        '    <p class="lead">Body copy for this section.</p>',
+        '  </div>',
+        '</section>'
+      ]
+    },
+    cta: {
+      label: 'Call to action',
+      html: [
+        '<section class="section">',
+        '  <div class="container center">',
+        '    <a class="btn" href="contact.html">Contact us</a>',
+        '    <a class="btn btn-ghost" href="about.html">Learn more</a>',
+        '  </div>',
+        '</section>'
+      ]
+    }
+  };
+
+  var PRESETS = [
+    { id: 'mobile', label: 'Mobile', width: 375 },
+    { id: 'tablet', label: 'Tablet', width: 768 },
+    { id: 'desktop', label: 'Desktop', width: 1100 }
+  ];
+
+  // Undo steps kept in memory
+  var HISTORY_LIMIT = 50;
+
+  /**
+   * Layout model: ordered blocks plus undo/redo history. Every mutation returns true when it changed the layout.
+   */
+  function createModel(initialTypes) {
+    var seq = 0;
+    var blocks = [];
+    var past = [];
+    var future = [];
+
+    function makeBlock(type) {
+      seq += 1;
+      return { id: 'block-' + seq, type: type };
+    }
+
+    function commit(next) {
+      past.push(blocks);
+      if (past.length > HISTORY_LIMIT) past.shift();
+      future = [];
+      blocks = next;
+      return true;
+    }
+
+    (initialTypes || []).forEach(function (type) {
+      if (PRIMITIVES[type]) blocks.push(makeBlock(type));
+    });
+
+    return {
+      list: function () {
+        return blocks.slice();
+      },
+      add: function (type, index) {
+        if (!PRIMITIVES[type]) return false;
+        var next = blocks.slice();
+        var at = typeof index === 'number' ? Math.max(0, Math.min(index, next.length)) : next.length;
+        next.splice(at, 0, makeBlock(type));
+        return commit(next);
+      },
+      move: function (from, to) {
+        if (from < 0 || from >= blocks.length) return false;
+        to = Math.max(0, Math.min(to, blocks.length - 1));
+        if (from === to) return false;
+        var next = blocks.slice();
+        var item = next.splice(from, 1)[0];
+        next.splice(to, 0, item);
+        return commit(next);
+      },
+      remove: function (index) {
+        if (index < 0 || index >= blocks.length) return false;
+        var next = blocks.slice();
+        next.splice(index, 1);
+        return commit(next);
+      },
+      undo: function () {
+        if (!past.length) return false;
+        future.push(blocks);
+        blocks = past.pop();
+        return true;
+      },
+      redo: function () {
+        if (!future.length) return false;
+        past.push(blocks);
+        blocks = future.pop();
+        return true;
+      },
+      canUndo: function () { return past.length > 0; },
+      canRedo: function () { return future.length > 0; },
+      toHtml: function () {
+        return blocks.map(function (b) {
+          return PRIMITIVES[b.type].html.join('\n');
+        }).join('\n\n') + (blocks.length ? '\n' : '');
+      }
+    };
+  }
+
+  function el(tag, className, text) {
+    var node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  function button(className, text, label) {
+    var b = el('button', className, text);
+    b.type = 'button';
+    if (label) b.setAttribute('aria-label', label);
+    return b;
+  }
+
+  function isKey(e, names) {
+    var k = e.key || e.keyCode;
+    return names.indexOf(k) !== -1;
+  }
+
+  /**
+   * render(container, ctx) for SiteNav.registerDemo. Returns the cleanup that removes listeners.
+   */
+  function render(container) {
+    var model = createModel(['header', 'hero', 'cards']);
+    var listeners = [];
+    var uid = Math.random().toString(36).slice(2, 7);
+    var dragPayload = null;
+
+    function on(target, type, handler) {
+      target.addEventListener(type, handler, false);
+      listeners.push([target, type, handler]);
+    }
+
+    var root = el('div', 'layout-builder');
+    root.appendChild(el('p', 'layout-builder__intro',
+      'Add blocks from the palette, drag to reorder, or focus a block and press Alt+Arrow Up/Down to move it and Delete to remove it.'));
+
+    // Toolbar: history, preview presets, export
+    var toolbar = el('div', 'layout-builder__toolbar');
+    toolbar.setAttribute('role', 'group');
+    toolbar.setAttribute('aria-label', 'Layout builder tools');
+    var undoBtn = button('btn btn-ghost', 'Undo');
+    var redoBtn = button('btn btn-ghost', 'Redo');
+    toolbar.appendChild(undoBtn);
+    toolbar.appendChild(redoBtn);
+
+    var presetGroup = el('div', 'layout-builder__presets');
+    presetGroup.setAttribute('role', 'group');
+    presetGroup.setAttribute('aria-label', 'Preview width');
+    var presetBtns = PRESETS.map(function (p) {
+      var b = button('btn btn-ghost layout-builder__preset', p.label, p.label + ' preview (' + p.width + 'px)');
+      b.setAttribute('data-preset', p.id);
+      b.setAttribute('aria-pressed', 'false');
+      presetGroup.appendChild(b);
+      return b;
+    });
+    toolbar.appendChild(presetGroup);
+    var exportBtn = button('btn layout-builder__export-btn', 'Export HTML');
+    toolbar.appendChild(exportBtn);
+
+    // Workspace: palette + canvas
+    var workspace = el('div', 'layout-builder__workspace');
+    var paletteId = 'layout-builder-palette-' + uid;
+    var paletteTitle = el('h3', 'layout-builder__heading', 'Blocks');
+    paletteTitle.id = paletteId;
+    var palette = el('ul', 'layout-builder__palette');
+    palette.setAttribute('aria-labelledby', paletteId);
+    Object.keys(PRIMITIVES).forEach(function (type) {
+      var li = el('li');
+      var b = button('layout-builder__primitive', '+ ' + PRIMITIVES[type].label, 'Add ' + PRIMITIVES[type].label + ' block');
+      b.setAttribute('data-type', type);
+      b.setAttribute('draggable', 'true');
+      li.appendChild(b);
+      palette.appendChild(li);
+    });
+    var paletteWrap = el('div', 'layout-builder__sidebar');
+    paletteWrap.appendChild(paletteTitle);
+    paletteWrap.appendChild(palette);
+
+    var stage = el('div', 'layout-builder__stage');
+    var canvasId = 'layout-builder-canvas-' + uid;
+    var canvasTitle = el('h3', 'layout-builder__heading', 'Layout');
+    canvasTitle.id = canvasId;
+    var canvas = el('ol', 'layout-builder__canvas');
+    canvas.setAttribute('aria-labelledby', canvasId);
+    stage.appendChild(canvasTitle);
+    stage.appendChild(canvas);
+
+    workspace.appendChild(paletteWrap);
+    workspace.appendChild(stage);
+
+    // Export panel (hidden until requested)
+    var exportPanel = el('div', 'layout-builder__export');
+    exportPanel.hidden = true;
+    var exportId = 'layout-builder-export-' + uid;
+    var exportLabel = el('label', 'layout-builder__heading', 'Exported HTML');
+    exportLabel.setAttribute('for', exportId);
+    var exportArea = el('textarea', 'input layout-builder__code');
+    exportArea.id = exportId;
+    exportArea.readOnly = true;
+    exportArea.rows = 10;
+    exportArea.setAttribute('spellcheck', 'false');
+    var copyBtn = button('btn btn-ghost', 'Copy to clipboard');
+    exportPanel.appendChild(exportLabel);
+    exportPanel.appendChild(exportArea);
+    exportPanel.appendChild(copyBtn);
+
+    var live = el('p', 'sr-only');
+    live.setAttribute('aria-live', 'polite');
+
+    root.appendChild(toolbar);
+    root.appendChild(workspace);
+    root.appendChild(exportPanel);
+    root.appendChild(live);
+    container.appendChild(root);
+
+    function announce(msg) {
+      live.textContent = msg;
+    }
+
+    function setPreset(id) {
+      PRESETS.forEach(function (p, i) {
+        presetBtns[i].setAttribute('aria-pressed', String(p.id === id));
+        if (p.id === id) {
+          stage.setAttribute('data-preset', p.id);
+          canvas.style.maxWidth = p.width + 'px';
+        }
+      });
+    }
+
+    function refreshExport() {
+      if (!exportPanel.hidden) exportArea.value = model.toHtml();
+    }
+
+    /**
+     * Re-render the canvas; focusIndex moves focus to that block afterwards.
+     */
+    function draw(focusIndex) {
+      var blocks = model.list();
+      canvas.textContent = '';
+      if (!blocks.length) {
+        var empty = el('li', 'layout-builder__empty', 'Drop blocks here or use the palette buttons.');
+        canvas.appendChild(empty);
+      }
+      blocks.forEach(function (b, i) {
+        var label = PRIMITIVES[b.type].label;
+        var li = el('li', 'layout-builder__block layout-builder__block--' + b.type);
+        li.setAttribute('tabindex', '0');
+        li.setAttribute('draggable', 'true');
+        li.setAttribute('data-index', String(i));
+        li.setAttribute('aria-label', label + ', block ' + (i + 1) + ' of ' + blocks.length);
+        var name = el('span', 'layout-builder__block-label', label);
+        name.setAttribute('aria-hidden', 'true');
+        li.appendChild(name);
+        var actions = el('span', 'layout-builder__block-actions');
+        var up = button('layout-builder__action', '↑', 'Move ' + label + ' up');
+        up.setAttribute('data-action', 'up');
+        up.disabled = i === 0;
+        var down = button('layout-builder__action', '↓', 'Move ' + label + ' down');
+        down.setAttribute('data-action', 'down');
+        down.disabled = i === blocks.length - 1;
+        var remove = button('layout-builder__action', '×', 'Remove ' + label);
+        remove.setAttribute('data-action', 'remove');
+        actions.appendChild(up);
+        actions.appendChild(down);
+        actions.appendChild(remove);
+        li.appendChild(actions);
+        canvas.appendChild(li);
+      });
+      undoBtn.disabled = !model.canUndo();
+      redoBtn.disabled = !model.canRedo();
+      refreshExport();
+      if (typeof focusIndex === 'number') {
+        var target = canvas.querySelector('[data-index="' + Math.max(0, Math.min(focusIndex, blocks.length - 1)) + '"]');
+        if (target) target.focus();
+        else canvas.focus();
+      }
+    }
+
+    function blockIndex(node) {
+      var li = node && node.closest ? node.closest('.layout-builder__block') : null;
+      return li ? parseInt(li.getAttribute('data-index'), 10) : -1;
+    }
+
+    function labelAt(i) {
+      var b = model.list()[i];
+      return b ? PRIMITIVES[b.type].label : '';
+    }
+
+    function moveBlock(from, to) {
+      var label = labelAt(from);
+      if (model.move(from, to)) {
+        draw(to);
+        announce(label + ' moved to position ' + (to + 1));
+      }
+    }
+
+    function removeBlock(i) {
+      var label = labelAt(i);
+      if (model.remove(i)) {
+        draw(model.list().length ? Math.min(i, model.list().length - 1) : undefined);
+        if (!model.list().length) canvas.focus();
+        announce(label + ' removed');
+      }
+    }
+
+    /**
+     * Index of the first block that differs between two layouts (where focus goes after undo/redo).
+     */
+    function changedIndex(before, after) {
+      var i = 0;
+      while (i < before.length && i < after.length && before[i].id === after[i].id) i++;
+      return i;
+    }
+
+    function undo() {
+      var before = model.list();
+      if (model.undo()) {
+        draw(changedIndex(before, model.list()));
+        announce('Undone');
+      }
+    }
+
+    function redo() {
+      var before = model.list();
+      if (model.redo()) {
+        draw(changedIndex(before, model.list()));
+        announce('Redone');
+      }
+    }
+
+    // Palette: click to append
+    on(palette, 'click', function (e) {
+      var b = e.target.closest ? e.target.closest('[data-type]') : null;
+      if (!b) return;
+      var type = b.getAttribute('data-type');
+      if (model.add(type)) {
+        draw();
+        announce(PRIMITIVES[type].label + ' added at position ' + model.list().length);
+      }
+    });
+
+    // Block action buttons
+    on(canvas, 'click', function (e) {
+      var b = e.target.closest ? e.target.closest('[data-action]') : null;
+      if (!b) return;
+      var i = blockIndex(b);
+      var action = b.getAttribute('data-action');
+      if (action === 'up') moveBlock(i, i - 1);
+      else if (action === 'down') moveBlock(i, i + 1);
+      else if (action === 'remove') removeBlock(i);
+    });
+
+    // Keyboard reordering on focused blocks
+    on(canvas, 'keydown', function (e) {
+      if (!e.target.classList || !e.target.classList.contains('layout-builder__block')) return;
+      var i = blockIndex(e.target);
+      if (isKey(e, ['ArrowUp', 'Up', 38])) {
+        e.preventDefault();
+        if (e.altKey) moveBlock(i, i - 1);
+        else draw(i - 1);
+      } else if (isKey(e, ['ArrowDown', 'Down', 40])) {
+        e.preventDefault();
+        if (e.altKey) moveBlock(i, i + 1);
+        else draw(i + 1);
+      } else if (isKey(e, ['Home', 36])) {
+        e.preventDefault();
+        if (e.altKey) moveBlock(i, 0);
+        else draw(0);
+      } else if (isKey(e, ['End', 35])) {
+        e.preventDefault();
+        if (e.altKey) moveBlock(i, model.list().length - 1);
+        else draw(model.list().length - 1);
+      } else if (isKey(e, ['Delete', 'Del', 'Backspace', 46, 8])) {
+        e.preventDefault();
+        removeBlock(i);
+      }
+    });
+
+    // Undo/redo shortcuts anywhere inside the builder (but not while typing in the export area)
+    on(root, 'keydown', function (e) {
+      if (!(e.ctrlKey || e.metaKey) || e.target === exportArea) return;
+      var k = (e.key || '').toLowerCase();
+      if (k === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if (k === 'y' || (k === 'z' && e.shiftKey)) {
+        e.preventDefault();
+        redo();
+      }
+    });
+
+    on(undoBtn, 'click', undo);
+    on(redoBtn, 'click', redo);
+
+    on(presetGroup, 'click', function (e) {
+      var b = e.target.closest ? e.target.closest('[data-preset]') : null;
+      if (!b) return;
+      setPreset(b.getAttribute('data-preset'));
+      announce(b.textContent + ' preview');
+    });
+
+    on(exportBtn, 'click', function () {
+      exportPanel.hidden = false;
+      exportArea.value = model.toHtml();
+      exportArea.focus();
+      exportArea.select();
+    });
+
+    on(copyBtn, 'click', function () {
+      var text = exportArea.value;
+      var done = function () { announce('HTML copied to clipboard'); };
+      try {
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+          navigator.clipboard.writeText(text).then(done, function () {
+            exportArea.select();
+            announce('Copy failed; the HTML is selected so you can copy it manually');
+          });
+          return;
+        }
+      } catch (err) {}
+      exportArea.select();
+      try {
+        if (document.execCommand && document.execCommand('copy')) done();
+      } catch (err) {}
+    });
+
+    // Drag and drop: palette items add, blocks move
+    function dropIndexFor(e) {
+      var blocks = canvas.querySelectorAll('.layout-builder__block');
+      for (var i = 0; i < blocks.length; i++) {
+        var rect = blocks[i].getBoundingClientRect();
+        if (e.clientY < rect.top + rect.height / 2) return i;
+      }
+      return blocks.length;
+    }
+
+    function clearDropMarkers() {
+      var marked = canvas.querySelectorAll('.is-drop-before, .is-drop-end');
+      for (var i = 0; i < marked.length; i++) marked[i].classList.remove('is-drop-before', 'is-drop-end');
+    }
+
+    on(root, 'dragstart', function (e) {
+      var t = e.target;
+      if (!t || !t.getAttribute) return;
+      if (t.hasAttribute('data-type')) {
+        dragPayload = { kind: 'add', type: t.getAttribute('data-type') };
+      } else if (t.classList && t.classList.contains('layout-builder__block')) {
+        dragPayload = { kind: 'move', from: blockIndex(t) };
+        t.classList.add('is-dragging');
+      } else {
+        return;
+      }
+      try {
+        e.dataTransfer.effectAllowed = dragPayload.kind === 'add' ? 'copy' : 'move';
+        // Firefox requires data to be set for the drag to start
+        e.dataTransfer.setData('text/plain', dragPayload.kind);
+      } catch (err) {}
+    });
+
+    on(root, 'dragend', function (e) {
+      dragPayload = null;
+      clearDropMarkers();
+      if (e.target && e.target.classList) e.target.classList.remove('is-dragging');
+    });
+
+    on(canvas, 'dragover', function (e) {
+      if (!dragPayload) return;
+      e.preventDefault();
+      try { e.dataTransfer.dropEffect = dragPayload.kind === 'add' ? 'copy' : 'move'; } catch (err) {}
+      clearDropMarkers();
+      var idx = dropIndexFor(e);
+      var blocks = canvas.querySelectorAll('.layout-builder__block');
+      if (blocks[idx]) blocks[idx].classList.add('is-drop-before');
+      else if (blocks.length) blocks[blocks.length - 1].classList.add('is-drop-end');
+    });
+
+    on(canvas, 'dragleave', function (e) {
+      if (!canvas.contains(e.relatedTarget)) clearDropMarkers();
+    });
+
+    on(canvas, 'drop', function (e) {
+      if (!dragPayload) return;
+      e.preventDefault();
+      var idx = dropIndexFor(e);
+      var payload = dragPayload;
+      dragPayload = null;
+      clearDropMarkers();
+      if (payload.kind === 'add') {
+        if (model.add(payload.type, idx)) {
+          draw(idx);
+          announce(PRIMITIVES[payload.type].label + ' added at position ' + (idx + 1));
+        }
+      } else {
+        // Dropping below the dragged block shifts the target index by one
+        var to = idx > payload.from ? idx - 1 : idx;
+        moveBlock(payload.from, to);
+      }
+    });
+
+    canvas.setAttribute('tabindex', '-1');
+    setPreset('desktop');
+    draw();
+
+    return function cleanup() {
+      listeners.forEach(function (l) {
+        l[0].removeEventListener(l[1], l[2], false);
+      });
+      listeners = [];
+      if (root.parentNode) root.parentNode.removeChild(root);
+    };
+  }
+
+  return {
+    id: 'layout-builder',
+    title: 'Interactive Layout Builder',
+    render: render,
+    // exposed for tests / reuse
+    createModel: createModel,
+    primitives: Object.keys(PRIMITIVES),
+    presets: PRESETS.map(function (p) { return { id: p.id, label: p.label, width: p.width }; })
+  };
+}));
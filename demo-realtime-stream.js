@@ -0,0 +1,305 @@
+/**
+ * demo-realtime-stream.js
+ *
+ * Component: "Realtime Data Stream" demo (demo.html, data-demo-id="realtime-stream")
+ * Purpose:
+ *  - Show a simulated live metric inside the SiteNav demo modal: a rolling SVG line chart fed by a
+ *    seeded, fully offline data generator.
+ *
+ * Responsibilities:
+ *  - Seeded generator (same seed -> same series) producing ticks at a configurable rate.
+ *  - Rolling-window line chart, pause/resume and speed controls, min/max/mean summary.
+ *  - Stop every timer when the modal closes (cleanup returned from render()).
+ *
+ * Configuration (optional, read from the CTA that opened the demo):
+ *  - data-demo-seed: integer seed for the generator (default 42).
+ *  - data-demo-rate: ticks per second at 1x speed (default 2).
+ *
+ * Module system:
+ *  - Registers itself with window.SiteNav.registerDemo() when loaded after script.js;
+ *    also exported for CommonJS so the generator can be exercised in isolation.
+ */
+
+/* global module, window, document */
+(function (root, factory) {
+  var demo = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = demo;
+  }
+  if (root && root.SiteNav && typeof root.SiteNav.registerDemo === 'function') {
+    root.SiteNav.registerDemo(demo.id, demo);
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  var DEFAULTS = {
+    seed: 42,
+    // ticks per second at 1x
+    rate: 2,
+    // points kept in the rolling window
+    windowSize: 60,
+    speeds: [0.5, 1, 2, 4],
+    // chart geometry (SVG user units; the SVG scales to its container)
+    width: 600,
+    height: 220,
+    padding: 24
+  };
+
+  var SVG_NS = 'http://www.w3.org/2000/svg';
+
+  /**
+   * Small deterministic PRNG (mulberry32). Returns a function yielding floats in [0, 1).
+   */
+  function createRandom(seed) {
+    var a = (seed >>> 0) || 1;
+    return function () {
+      a = (a + 0x6D2B79F5) >>> 0;
+      var t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Seeded generator for a bounded random walk with occasional spikes (think requests/sec).
+   * next() returns { t: tickIndex, value: number }.
+   */
+  function createGenerator(seed) {
+    var random = createRandom(seed);
+    var value = 50;
+    var tick = 0;
+    return {
+      next: function () {
+        // Drift toward the baseline, add noise, and spike roughly once every 25 ticks
+        value += (50 - value) * 0.08 + (random() - 0.5) * 12;
+        if (random() < 0.04) value += (random() - 0.3) * 45;
+        value = Math.max(0, Math.min(100, value));
+        tick += 1;
+        return { t: tick, value: Math.round(value * 10) / 10 };
+      }
+    };
+  }
+
+  /**
+   * Min/max/mean over a list of points.
+   */
+  function summarize(points) {
+    if (!points.length) return { min: 0, max: 0, mean: 0 };
+    var min = Infinity;
+    var max = -Infinity;
+    var sum = 0;
+    for (var i = 0; i < points.length; i++) {
+      var v = points[i].value;
+      if (v < min) min = v;
+      if (v > max) max = v;
+      sum += v;
+    }
+    return { min: min, max: max, mean: Math.round((sum / points.length) * 10) / 10 };
+  }
+
+  function readNumber(el, attr, fallback) {
+    if (!el || !el.getAttribute) return fallback;
+    var n = parseFloat(el.getAttribute(attr));
+    return isFinite(n) && n > 0 ? n : fallback;
+  }
+
+  function el(tag, className, text) {
+    var node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  function svgEl(tag, attrs) {
+    var node = document.createElementNS(SVG_NS, tag);
+    for (var k in attrs) {
+      if (Object.prototype.hasOwnProperty.call(attrs, k)) node.setAttribute(k, attrs[k]);
+    }
+    return node;
+  }
+
+  /**
+   * Build the chart SVG; returns { svg, update(points) }.
+   */
+  function createChart(opts) {
+    var w = opts.width;
+    var h = opts.height;
+    var pad = opts.padding;
+    var svg = svgEl('svg', {
+      viewBox: '0 0 ' + w + ' ' + h,
+      preserveAspectRatio: 'none',
+      'class': 'stream-demo__svg',
+      role: 'img',
+      'aria-label': 'Line chart of the simulated metric over the last ' + opts.windowSize + ' ticks'
+    });
+    // Horizontal gridlines at 0/25/50/75/100
+    for (var g = 0; g <= 4; g++) {
+      var y = pad + ((h - pad * 2) * g) / 4;
+      svg.appendChild(svgEl('line', { x1: pad, x2: w - pad, y1: y, y2: y, 'class': 'stream-demo__grid' }));
+    }
+    var area = svgEl('path', { 'class': 'stream-demo__area', d: '' });
+    var line = svgEl('polyline', { 'class': 'stream-demo__line', points: '', fill: 'none' });
+    svg.appendChild(area);
+    svg.appendChild(line);
+
+    function update(points) {
+      if (!points.length) {
+        line.setAttribute('points', '');
+        area.setAttribute('d', '');
+        return;
+      }
+      var step = (w - pad * 2) / Math.max(1, opts.windowSize - 1);
+      // Right-align so new ticks enter from the right edge
+      var offset = opts.windowSize - points.length;
+      var coords = [];
+      for (var i = 0; i < points.length; i++) {
+        var x = pad + (i + offset) * step;
+        var yy = pad + (h - pad * 2) * (1 - points[i].value / 100);
+        coords.push(x.toFixed(1) + ',' + yy.toFixed(1));
+      }
+      line.setAttribute('points', coords.join(' '));
+      var firstX = (pad + offset * step).toFixed(1);
+      var lastX = (pad + (points.length - 1 + offset) * step).toFixed(1);
+      area.setAttribute('d', 'M' + firstX + ',' + (h - pad) + ' L' + coords.join(' L') + ' L' + lastX + ',' + (h - pad) + ' Z');
+    }
+
+    return { svg: svg, update: update };
+  }
+
+  /**
+   * render(container, ctx) for SiteNav.registerDemo. Returns the cleanup that stops the stream.
+   */
+  function render(container, ctx) {
+    var opener = ctx && ctx.opener;
+    var opts = {
+      seed: readNumber(opener, 'data-demo-seed', DEFAULTS.seed),
+      rate: readNumber(opener, 'data-demo-rate', DEFAULTS.rate),
+      windowSize: DEFAULTS.windowSize,
+      width: DEFAULTS.width,
+      height: DEFAULTS.height,
+      padding: DEFAULTS.padding
+    };
+    var generator = createGenerator(opts.seed);
+    var points = [];
+    var speed = 1;
+    var paused = false;
+    var timerId = null;
+
+    var root = el('div', 'stream-demo');
+    var intro = el('p', 'stream-demo__intro', 'Simulated metric generated locally (seed ' + opts.seed + '). No network access is used.');
+
+    var controls = el('div', 'stream-demo__controls');
+    controls.setAttribute('role', 'group');
+    controls.setAttribute('aria-label', 'Stream controls');
+    var pauseBtn = el('button', 'btn btn-ghost stream-demo__pause', 'Pause');
+    pauseBtn.type = 'button';
+
+    var speedId = 'stream-demo-speed-' + Math.random().toString(36).slice(2, 7);
+    var speedLabel = el('label', 'stream-demo__label', 'Speed');
+    speedLabel.setAttribute('for', speedId);
+    var speedSelect = el('select', 'input stream-demo__speed');
+    speedSelect.id = speedId;
+    DEFAULTS.speeds.forEach(function (s) {
+      var o = el('option', '', s + 'x');
+      o.value = String(s);
+      if (s === speed) o.selected = true;
+      speedSelect.appendChild(o);
+    });
+    controls.appendChild(pauseBtn);
+    controls.appendChild(speedLabel);
+    controls.appendChild(speedSelect);
+
+    var chart = createChart(opts);
+    var chartWrap = el('div', 'stream-demo__chart');
+    chartWrap.appendChild(chart.svg);
+
+    var stats = el('dl', 'stream-demo__stats');
+    var statEls = {};
+    [['current', 'Current'], ['min', 'Min'], ['max', 'Max'], ['mean', 'Mean']].forEach(function (pair) {
+      var wrap = el('div', 'stream-demo__stat');
+      wrap.appendChild(el('dt', '', pair[1]));
+      statEls[pair[0]] = el('dd', '', '-');
+      wrap.appendChild(statEls[pair[0]]);
+      stats.appendChild(wrap);
+    });
+
+    // Announce pause/resume only; per-tick updates would flood screen readers
+    var status = el('p', 'sr-only');
+    status.setAttribute('aria-live', 'polite');
+
+    root.appendChild(intro);
+    root.appendChild(controls);
+    root.appendChild(chartWrap);
+    root.appendChild(stats);
+    root.appendChild(status);
+    container.appendChild(root);
+
+    function draw() {
+      chart.update(points);
+      var sum = summarize(points);
+      statEls.current.textContent = points.length ? String(points[points.length - 1].value) : '-';
+      statEls.min.textContent = String(sum.min);
+      statEls.max.textContent = String(sum.max);
+      statEls.mean.textContent = String(sum.mean);
+    }
+
+    function tick() {
+      points.push(generator.next());
+      if (points.length > opts.windowSize) points.shift();
+      draw();
+    }
+
+    function stop() {
+      if (timerId !== null) {
+        window.clearInterval(timerId);
+        timerId = null;
+      }
+    }
+
+    function start() {
+      stop();
+      if (paused) return;
+      timerId = window.setInterval(tick, Math.max(16, 1000 / (opts.rate * speed)));
+    }
+
+    function onPauseClick() {
+      paused = !paused;
+      pauseBtn.textContent = paused ? 'Resume' : 'Pause';
+      status.textContent = paused ? 'Stream paused' : 'Stream resumed';
+      start();
+    }
+
+    function onSpeedChange() {
+      var v = parseFloat(speedSelect.value);
+      speed = isFinite(v) && v > 0 ? v : 1;
+      start();
+    }
+
+    pauseBtn.addEventListener('click', onPauseClick, false);
+    speedSelect.addEventListener('change', onSpeedChange, false);
+
+    // Prime the window so the chart is not empty on open
+    for (var i = 0; i < Math.floor(opts.windowSize / 2); i++) {
+      points.push(generator.next());
+    }
+    draw();
+    start();
+
+    return function cleanup() {
+      stop();
+      pauseBtn.removeEventListener('click', onPauseClick, false);
+      speedSelect.removeEventListener('change', onSpeedChange, false);
+      if (root.parentNode) root.parentNode.removeChild(root);
+    };
+  }
+
+  return {
+    id: 'realtime-stream',
+    title: 'Realtime Data Stream',
+    render: render,
+    // exposed for tests / reuse
+    createGenerator: createGenerator,
+    summarize: summarize
+  };
+}));
@@ -9,11 +9,22 @@
  *  - Provide interactive service cards on what-we-do.html with graceful degradation when JS is off.
  *
  * Responsibilities:
- *  - Mobile navigation toggle (open/close nav).
- *  - Highlight the active navigation link based on the current location (respect author-set aria-current).
+ *  - Mobile navigation toggle (open/close nav), for the main nav and any number of SiteNav.create() instances.
+ *  - Highlight the active navigation link based on the current location (respect author-set aria-current),
+ *    and follow scrolling for in-page section links (scroll-spy).
+ *  - Nested nav menus: disclosure submenus with arrow-key navigation, Escape and hover intent.
  *  - Provide a simple public API for init, destroy, toggleNav, and highlightActiveLink.
  *  - Provide initDemoBlocks() and modal utilities for the demo page.
  *  - Initialize service-card expand/collapse toggles when JS is available.
+ *  - Enable the contact form (validation + fetch submission) when an endpoint is configured.
+ *  - Handle newsletter sign-ups (double opt-in) and queue form submissions made while offline.
+ *  - Ask for cookie consent (versioned) before analytics run or third-party embeds load.
+ *  - Client-side search across the pages linked from the nav, in a keyboard-invokable dialog.
+ *  - Ctrl/Cmd+K command palette for pages, demos, service cards and site actions.
+ *  - Light/dark/system theme with a persisted preference and auto-wired toggles.
+ *  - Localize generated strings and [data-i18n] page text, with Intl plurals/dates and RTL support.
+ *  - Announce lifecycle changes through a small event bus mirrored as DOM CustomEvents.
+ *  - Optional observe mode: wire nav toggles/links, demo CTAs, service cards and modal triggers inserted later.
  *
  * Acceptance criteria:
  *  - Works without breaking markup if JS is disabled (graceful degradation).
@@ -25,16 +36,53 @@
  *
  * Public API:
  *  - init(options): initialize behavior (idempotent).
+ *  - create(root, options): independent nav instance for another nav (sidebar, footer menu) with its own open
+ *    state, listeners and destroy(); returns { root, toggle(force), open(), close(), isOpen(),
+ *    highlightActiveLink(), getState(), destroy() }. init() keeps managing the main nav and the page features.
  *  - destroy(): remove all listeners and restore initial state.
- *  - toggleNav(force): open/close nav; optional boolean to explicitly set state.
+ *  - toggleNav(force): open/close nav; optional boolean to explicitly set state (false if vetoed).
  *  - highlightActiveLink(opts): re-scan nav links and mark the active one(s).
- *  - initDemoBlocks(): initialize demo CTAs & modal behavior
+ *  - initDemoBlocks(): initialize demo CTAs & modal behavior (demo.html#demo=<id> deep-links a demo;
+ *    Back closes an open demo)
+ *  - initModalTriggers(): wire [data-modal-target="#template"] / [data-modal-src="page.html#id"] triggers
+ *    (data-modal-title, data-modal-size, data-modal-dismissible); call again after inserting content
+ *  - registerDemo(id, { title, render(container, ctx), destroy() }) / unregisterDemo(id): demo registry
  *  - initServiceCards(): initialize service-card toggles
+ *  - expand(id) / collapse(id) / expandAll() / collapseAll(): drive service cards programmatically
+ *  - initContactForm(): enable, validate and submit [data-contact-form] forms that have an endpoint
+ *  - initNewsletterForm(): newsletter sign-up with spam checks and the ?confirm=TOKEN double opt-in landing
+ *  - analytics: track(name, props), use(adapter) / remove(name), flush(), getEvents() / clearEvents(),
+ *    adapters.{console, beacon, dataLayer, custom} and the event schema (only sent with analytics consent)
+ *  - search: open(q) / close(), query(q) -> Promise<results>, buildIndex({ force }), clearIndex(); "/" opens it
+ *  - dialog: open(node | '#template-or-id' | 'page.html#id' | text, { title, buttons, role, dismissible, src })
+ *    -> Promise<value of the button pressed | null>, close(value, id), closeAll(), confirm(msg), alert(msg);
+ *    stacked, focus returns to each dialog's opener
+ *  - commands: open() / close(), register({ id, label, group, keywords, run }) / unregister(id), list();
+ *    Ctrl/Cmd+K opens the palette
+ *  - i18n: getLocale() / setLocale(code), locales(), addLocale(code, catalog), t(key, params), plural(count, forms),
+ *    formatNumber(n) / formatDate(d); [data-locale-switcher] selects, locale:change
+ *  - theme: get() -> { mode, theme }, set('system' | 'light' | 'dark'); [data-theme-toggle] controls, theme:change
+ *  - on(name, handler) / off(name, handler) / once(name, handler): lifecycle events (sitenav:init/destroy,
+ *    nav:toggle, nav:activechange, demo:open/close, service:toggle, ...), each also a DOM CustomEvent;
+ *    nav:beforetoggle, demo:beforeopen/beforeclose and service:beforetoggle can be vetoed with preventDefault()
+ *  - consent: has(category), get(), set(choices), open() / close(), reset(); categories necessary, analytics,
+ *    marketing. Gates analytics and [data-consent-src] embeds; [data-consent-manage] links reopen the dialog
+ *  - getPendingSubmissions() / flushSubmissions(): inspect or retry form submissions queued while offline
+ *  - navigate(url, opts): client-side navigation that swaps <main> (used by data-spa/data-hijack links).
+ *  - prefetch(url, opts) / clearCache(): warm or drop the in-memory page cache used by the router.
+ *  - isOpen(): whether the nav is open.
+ *  - getState(): snapshot of nav, demo modal, service-card, contact and newsletter form state, and consent.
+ *  - getConfig(): read-only copy of the merged configuration (DEFAULTS < <script type="application/json"
+ *    id="sitenav-config"> < data-sitenav-* attributes on <html> and the nav < init options; unknown options and
+ *    wrong types are warned about and ignored).
+ *  - version: release string of this script.
+ *  The returned API object is frozen. init() runs automatically on DOM ready unless
+ *  window.__siteNavManual === true is set before the script loads.
  *
  * Notes:
  *  - Defensive wiring for ARIA attributes (do not overwrite author-provided values).
  *  - Proper cleanup for idle callbacks and fallback timeouts.
- *  - Modal focus management: simple trap + restore focus to opener.
+ *  - Modal focus management: simple trap + restore focus to opener; the page behind is inert while a dialog is open.
  */
 
 /* global define, module, exports, window, document, requestIdleCallback, cancelIdleCallback */
@@ -51,7 +99,8 @@
 
   /**
    * Default configuration.
-   * Consumers may pass an options object to init() to override.
+   * Consumers may override it from a <script type="application/json" id="sitenav-config"> block, data-sitenav-*
+   * attributes or an options object passed to init() (see resolveConfig()).
    */
   var DEFAULTS = {
     selectors: {
@@ -59,14 +108,43 @@
       nav: '[data-nav], [data-js="nav"], .site-nav, nav',
       navToggle: '[data-nav-toggle], [data-js="nav-toggle"], .nav-toggle, .toggle-nav',
       navPanel: '[data-nav-panel], [data-js="nav-panel"], .nav-panel, .nav__panel',
-      navLinks: '[data-nav] a[href], [data-js="nav"] a[href], .nav-list a[href], .nav a[href], nav a[href]'
+      navLinks: '[data-nav] a[href], [data-js="nav"] a[href], .nav-list a[href], .nav a[href], nav a[href]',
+      // Service cards: toggles are wired to the "more" panel inside (or referenced by) their card
+      serviceCard: '.service-card',
+      serviceToggle: '[data-toggle="service"], .service-toggle',
+      servicePanel: '.service-desc--more',
+      // Nested nav lists and their (optional) authored disclosure buttons
+      submenu: '[data-submenu]',
+      submenuToggle: '[data-submenu-toggle]',
+      contactForm: '[data-contact-form]',
+      newsletterForm: '#newsletter-form, [data-newsletter-form]',
+      // "Manage cookies" hooks and embeds that wait for consent
+      consentManage: '[data-consent-manage]',
+      consentEmbed: '[data-consent-src]',
+      themeToggle: '[data-theme-toggle]',
+      searchOpen: '[data-search-open]',
+      // Declarative dialogs: <button data-modal-target="#tpl"> / <a href="x.html#y" data-modal-src="x.html#y">
+      modalTrigger: '[data-modal-target], [data-modal-src]',
+      localeSwitcher: '[data-locale-switcher]'
     },
     classNames: {
       // class added to the panel element when open (many styles target panel)
       panelOpen: 'is-open',
       // legacy name: nav-level class (also used in some markups)
       navOpen: 'is-open',
-      activeLink: 'active'
+      activeLink: 'active',
+      // on the <li> of an open submenu, and on the trigger/link above an active child
+      submenuOpen: 'is-open',
+      activeParent: 'is-active-parent',
+      // class added to a service card while its extra description is shown
+      serviceExpanded: 'is-expanded'
+    },
+    // Service-card accordion mode: 'multi' lets several cards stay open, 'single' keeps at most one open
+    serviceCardMode: 'multi',
+    // Visible toggle labels (applied to a .toggle-label child and to matching aria-label prefixes)
+    serviceCardLabels: {
+      expand: 'Show details',
+      collapse: 'Hide details'
     },
     // The attribute used on toggle button to mark aria-expanded
     ariaExpandedAttr: 'aria-expanded',
@@ -74,12 +152,186 @@
     focusFirstLinkOnOpen: true,
     // Delay for deferrable work (ms)
     deferDelay: 200,
+    // Observe mode: wire (and unwire) matching content inserted or removed after init (MutationObserver)
+    observe: false,
     // Body class to indicate nav open (optional)
-    bodyOpenClass: 'nav-open'
+    bodyOpenClass: 'nav-open',
+    // Client-side router for opt-in links (data-spa / data-hijack / data-ajax): region swapped on navigation
+    routerRegion: 'main',
+    // Abort a router fetch after this many ms and fall back to a full page load
+    routerTimeout: 10000,
+    // Prefetch same-origin .html nav links on hover/focus/touch (skipped under Save-Data / prefers-reduced-data)
+    prefetch: true,
+    // Hover intent: wait this long (ms) before prefetching a hovered link
+    prefetchDelay: 65,
+    // In-memory page cache shared by prefetch and the router: max entries (LRU) and time-to-live (ms)
+    prefetchCacheSize: 10,
+    prefetchTTL: 5 * 60 * 1000,
+    // Demo deep links: #<demoHashParam>=<id> opens that demo on load; opening a demo pushes a history entry
+    demoDeepLinks: true,
+    demoHashParam: 'demo',
+    // SiteNav.dialog button and status wording
+    dialogMessages: {
+      close: 'Close',
+      ok: 'OK',
+      cancel: 'Cancel',
+      loading: 'Loading…',
+      failed: 'This content could not be loaded.'
+    },
+    // Demo modal chrome; {id} is the demo id
+    demoMessages: {
+      title: 'Demo {id}',
+      placeholder: 'This is a placeholder for Demo {id}. Interactive demo content would appear here.',
+      failed: 'This demo could not be loaded.',
+      close: 'Close demo',
+      closeLabel: 'Close demo dialog'
+    },
+    // Contact form: enabled only when an endpoint is set here or via data-endpoint on the form
+    contactEndpoint: '',
+    // Request body: 'json' or 'form' (application/x-www-form-urlencoded); data-encoding on the form overrides
+    contactEncoding: 'json',
+    // Abort a submission after this many ms and show the failure message
+    contactTimeout: 15000,
+    contactMessages: {
+      required: 'Please fill in this field.',
+      name: 'Please enter your name.',
+      email: 'Please enter a valid email address, like name@example.com.',
+      message: 'Please write a message of at least 10 characters.',
+      invalid: 'Please correct the highlighted fields.',
+      ready: 'All fields are required. We usually reply within two business days.',
+      sending: 'Sending…',
+      pending: 'Sending your message…',
+      success: 'Thanks! Your message has been sent.',
+      failure: 'Sorry, your message could not be sent. Please try again or email us directly.',
+      queued: 'You appear to be offline, so your message is saved on this device. It will be sent automatically once the connection is back.',
+      // Queued after a timeout or a temporary server error (408/429/5xx) while online
+      queuedRetry: 'We could not reach our server just now, so your message is saved on this device. It will be sent automatically shortly.',
+      queueSent: 'Your saved message has now been sent. Thanks!'
+    },
+    // Newsletter double opt-in: sign-up and confirm endpoints (or data-endpoint / data-confirm-endpoint on the form)
+    newsletterEndpoint: '',
+    newsletterConfirmEndpoint: '',
+    // Query parameter carrying the token of a confirmation link (index.html?confirm=TOKEN)
+    newsletterConfirmParam: 'confirm',
+    // Spam protection: honeypot field name and minimum ms between showing the form and submitting it
+    newsletterHoneypot: 'website',
+    newsletterMinTime: 3000,
+    newsletterMessages: {
+      email: 'Please enter a valid email address, like you@company.com.',
+      invalid: 'Please check your email address.',
+      tooFast: 'That was quick! Please wait a moment and try again.',
+      unavailable: 'Newsletter sign-up is not available right now. Please check back soon.',
+      pending: 'Subscribing…',
+      checkInbox: 'Almost done! Check your inbox and click the link we sent to confirm your subscription.',
+      failure: 'Sorry, we could not subscribe you right now. Please try again later.',
+      queued: 'You appear to be offline. Your sign-up is saved on this device and will be sent when the connection is back.',
+      queuedRetry: 'We could not reach our server just now. Your sign-up is saved on this device and will be sent automatically shortly.',
+      queueSent: 'Your saved sign-up has been sent. Check your inbox to confirm it.',
+      confirming: 'Confirming your subscription…',
+      confirmed: 'Your subscription is confirmed. Welcome aboard!',
+      confirmFailed: 'This confirmation link is invalid or has expired. Please sign up again.',
+      honeypot: 'Leave this field empty'
+    },
+    // Analytics: adapters registered on init, dry run (record only) and debug (record + log) modes,
+    // batch size / interval for batching adapters such as beacon()
+    analyticsAdapters: [],
+    analyticsDryRun: false,
+    analyticsDebug: false,
+    analyticsBatchSize: 10,
+    analyticsFlushInterval: 5000,
+    // Consent manager: bump consentVersion whenever the cookie policy changes to ask again
+    consent: true,
+    consentVersion: '1',
+    consentPolicyUrl: 'privacy.html#cookies',
+    consentMessages: {
+      title: 'Your privacy choices',
+      intro: 'We use strictly necessary storage to run this site. With your permission we would also like to use analytics and load third-party content.',
+      policy: 'Read our cookie policy',
+      legend: 'Cookie categories',
+      necessary: 'Strictly necessary',
+      necessaryHint: 'Required for the site to work, for example to remember this choice. Always on.',
+      analytics: 'Analytics',
+      analyticsHint: 'Anonymous usage statistics that help us improve the site.',
+      marketing: 'Marketing and embeds',
+      marketingHint: 'Third-party content such as videos and maps, which may set their own cookies.',
+      acceptAll: 'Accept all',
+      rejectAll: 'Reject non-essential',
+      save: 'Save choices'
+    },
+    // Submenus: hover-intent delays (ms) and the accessible name prefix of inserted disclosure buttons
+    submenuHoverDelay: 150,
+    submenuCloseDelay: 300,
+    submenuToggleLabel: 'Show pages under',
+    // Scroll-spy for in-page section links in the nav; the root margin picks the band that counts as "in view"
+    scrollSpy: true,
+    scrollSpyRootMargin: '-45% 0px -50% 0px',
+    // Light/dark theme; false leaves data-theme alone on pages with their own fixed palette
+    theme: true,
+    // Site search: index cache version / lifetime (ms), result count, extra pages beyond the nav links
+    search: true,
+    searchIndexVersion: '1',
+    searchCacheTtl: 24 * 60 * 60 * 1000,
+    searchMaxResults: 8,
+    searchPages: [],
+    searchMessages: {
+      title: 'Search this site',
+      label: 'Search',
+      placeholder: 'Search pages, services, policies…',
+      hint: 'Type at least two characters to search.',
+      indexing: 'Indexing pages…',
+      none: 'No matching pages found.',
+      // Plural forms picked with Intl.PluralRules; {count} is formatted for the locale
+      results: { one: '{count} result', other: '{count} results' },
+      resultsLabel: 'Search results',
+      close: 'Close search'
+    },
+    // Command palette (Ctrl/Cmd+K): how many recently run commands are remembered
+    commandPalette: true,
+    commandRecentLimit: 5,
+    commandMessages: {
+      title: 'Command palette',
+      label: 'Type a command or page name',
+      placeholder: 'Jump to a page, demo or action…',
+      none: 'No matching commands.',
+      recent: 'Recent',
+      pages: 'Pages',
+      demos: 'Demos',
+      services: 'Services',
+      actions: 'Actions',
+      custom: 'Commands',
+      toggleTheme: 'Toggle theme',
+      search: 'Search the site',
+      contact: 'Contact us',
+      contactUrl: 'contact.html',
+      cookies: 'Manage cookies'
+    },
+    // Theme toggle wording ("Theme: Dark. Switch to System")
+    themeLabels: {
+      label: 'Theme',
+      switchTo: 'Switch to',
+      system: 'System',
+      light: 'Light',
+      dark: 'Dark'
+    },
+    // i18n: locale ('' = saved choice, then browser languages), the page's own language ('' = <html lang>),
+    // catalogs per locale ({ name, dir, text, <message group>... }) and languages written right-to-left
+    locale: '',
+    defaultLocale: '',
+    locales: {},
+    rtlLocales: ['ar', 'fa', 'he', 'ps', 'ur', 'yi'],
+    // Offline queue for failed form submissions (IndexedDB, localStorage fallback)
+    submissionQueue: true,
+    // Retry backoff: first delay (ms), doubled per attempt up to the max
+    queueRetryDelay: 5000,
+    queueRetryMaxDelay: 10 * 60 * 1000,
+    // Stored entries (personal data) are dropped after this many attempts or this age (ms)
+    queueMaxAttempts: 10,
+    queueMaxAge: 3 * 24 * 60 * 60 * 1000
   };
 
   /**
-   * Internal state and listeners container.
+   * Internal state and listeners container. While a SiteNav.create() instance runs, `state` points at that
+   * instance's own container instead (see withState()).
    */
   var state = {
     initted: false,
@@ -95,6 +347,17 @@
     // ids for deferred work so we can cancel on destroy
     _idleId: null,
     _timeoutId: null,
+    // hrefs of the links last reported by nav:activechange
+    _activeHrefs: null,
+    // wired [data-theme-toggle] controls with their authored attributes
+    _themeToggles: [],
+    // nested nav menus: { menu, item, link, trigger, open, listeners, ... }; the nav's arrow-key listener
+    _submenus: [],
+    _submenuNav: null,
+    // [data-search-open] controls revealed by initSearch()
+    _searchOpeners: [],
+    // scroll-spy: IntersectionObserver, { link, section, visible } items in document order, active item
+    _scrollSpy: { observer: null, items: [], active: null },
     // stored original attributes so destroy can restore values instead of blindly removing
     _original: {
       nav: {},
@@ -106,11 +369,45 @@
       modal: null,
       isOpen: false,
       lastActive: null,
+      // id of the demo currently shown in the modal
+      id: '',
+      // mounted registered demo: { def, container, ctx, cleanup }
+      instance: null,
       listeners: [], // { target, type, handler, capture }
-      _closeTimeoutId: null
+      // CTA listeners live apart from modal listeners so closing the modal keeps CTAs wired
+      ctaListeners: [],
+      // true while the current history entry is the #demo=<id> entry pushed when the modal opened
+      pushedHistory: false,
+      // URL to restore on close when no pushed entry can be popped
+      prevUrl: '',
+      _closeTimeoutId: null,
+      _deepLinkTimeoutId: null
     },
     // service-card state (records and handlers)
-    _serviceCards: []
+    _serviceCards: [],
+    // contact-form records (enabled forms, recorded attributes, in-flight request)
+    _contactForms: [],
+    // newsletter-form records (honeypot, status line, in-flight token)
+    _newsletterForms: [],
+    // submission queue: retry timer and the flush currently running
+    _queue: {
+      timerId: null,
+      flushing: null
+    },
+    // client-side router state: in-flight request and the URL currently rendered
+    _router: {
+      controller: null,
+      timeoutId: null,
+      token: 0,
+      currentUrl: ''
+    },
+    // page cache: key -> { html, time }, LRU order (oldest first), in-flight requests and hover timer
+    _prefetch: {
+      entries: {},
+      order: [],
+      pending: {},
+      hoverTimer: null
+    }
   };
 
   /**
@@ -127,6 +424,181 @@
     return out;
   }
 
+  /**
+   * Declarative configuration
+   *
+   * Behavior:
+   *  - Sources, lowest precedence first: DEFAULTS < the JSON object in <script type="application/json"
+   *    id="sitenav-config"> < data-sitenav-* attributes on <html> < data-sitenav-* attributes on the nav <
+   *    init(options) / SiteNav.create(root, options). For create() the attributes of its root count as the nav's.
+   *  - Layers are deep-merged: plain objects (selectors, classNames, message groups) merge key by key, anything
+   *    else (strings, numbers, arrays such as analyticsAdapters) replaces the lower layer's value.
+   *  - Attribute names map to option names case-insensitively without the dashes (data-sitenav-scroll-spy ->
+   *    scrollSpy, data-sitenav-prefetch-ttl -> prefetchTTL). Values are read as the type of the default: booleans
+   *    accept "", "true" and "false", numbers must be finite, objects and arrays are JSON
+   *    (data-sitenav-class-names='{"navOpen":"open"}').
+   *  - Every source is validated against DEFAULTS: unknown options, unknown keys inside selectors/classNames/
+   *    message groups and values of the wrong type are reported with console.warn and ignored.
+   */
+
+  var CONFIG_SCRIPT_ID = 'sitenav-config';
+  var CONFIG_ATTR_PREFIX = 'data-sitenav-';
+
+  function isPlainObject(value) {
+    if (!value || Object.prototype.toString.call(value) !== '[object Object]') return false;
+    var proto = Object.getPrototypeOf(value);
+    return proto === null || proto === Object.prototype || Object.getPrototypeOf(proto) === null;
+  }
+
+  /**
+   * merge() that recurses into plain objects present on both sides; inputs are not modified.
+   */
+  function deepMerge(a, b) {
+    var out = merge(a, {});
+    for (var k in b) {
+      if (!Object.prototype.hasOwnProperty.call(b, k)) continue;
+      out[k] = isPlainObject(out[k]) && isPlainObject(b[k]) ? deepMerge(out[k], b[k]) : b[k];
+    }
+    return out;
+  }
+
+  function configWarn(source, message) {
+    try {
+      if (window.console && window.console.warn) window.console.warn('SiteNav config (' + source + '): ' + message);
+    } catch (e) {}
+  }
+
+  function configType(value) {
+    if (value === null || value === undefined) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (isPlainObject(value)) return 'object';
+    return typeof value;
+  }
+
+  function typeLabel(type) {
+    return (/^[aeiou]/.test(type) ? 'an ' : 'a ') + type;
+  }
+
+  /**
+   * Copy of `values` without unknown keys and wrongly typed values (each reported). Keys of non-empty default
+   * groups are checked one level deep; free-form groups such as locales are only checked for being objects.
+   */
+  function validateConfig(values, source, defaults, path) {
+    defaults = defaults || DEFAULTS;
+    path = path || '';
+    var out = {};
+    if (!isPlainObject(values)) {
+      if (values !== null && values !== undefined) configWarn(source, 'expected an object of options');
+      return out;
+    }
+    Object.keys(values).forEach(function (key) {
+      var name = path + key;
+      if (!Object.prototype.hasOwnProperty.call(defaults, key)) {
+        configWarn(source, 'unknown option "' + name + '"');
+        return;
+      }
+      var expected = configType(defaults[key]);
+      var actual = configType(values[key]);
+      // A plural-forms message ({ one, other }) may also be given as a plain string
+      var plainMessage = path && expected === 'object' && actual === 'string';
+      if (expected !== 'null' && actual !== expected && !plainMessage) {
+        configWarn(source, '"' + name + '" should be ' + typeLabel(expected) + ', got ' + actual);
+        return;
+      }
+      if (expected === 'object' && !path && Object.keys(defaults[key]).length) {
+        out[key] = validateConfig(values[key], source, defaults[key], name + '.');
+      } else {
+        out[key] = values[key];
+      }
+    });
+    return out;
+  }
+
+  /**
+   * Options from the <script type="application/json" id="sitenav-config"> block, or null.
+   */
+  function readJsonConfig() {
+    var el = null;
+    try { el = document.getElementById(CONFIG_SCRIPT_ID); } catch (e) {}
+    if (!el) return null;
+    if ((el.getAttribute('type') || '').toLowerCase() !== 'application/json') {
+      configWarn('#' + CONFIG_SCRIPT_ID, 'ignored: needs type="application/json"');
+      return null;
+    }
+    try {
+      return JSON.parse(el.textContent || '{}');
+    } catch (e) {
+      configWarn('#' + CONFIG_SCRIPT_ID, 'invalid JSON (' + (e && e.message ? e.message : e) + ')');
+      return null;
+    }
+  }
+
+  /**
+   * Read one data-sitenav-* attribute value as the type of its default; undefined when it cannot be read.
+   */
+  function parseConfigAttr(raw, fallback, name, source) {
+    var type = configType(fallback);
+    if (type === 'boolean') {
+      var flag = raw.trim().toLowerCase();
+      if (flag === '' || flag === 'true') return true;
+      if (flag === 'false') return false;
+    } else if (type === 'number') {
+      var num = raw.trim() === '' ? NaN : Number(raw);
+      if (isFinite(num)) return num;
+    } else if (type === 'object' || type === 'array') {
+      try {
+        return JSON.parse(raw);
+      } catch (e) {}
+    } else {
+      return raw;
+    }
+    configWarn(source, 'could not read "' + name + '" as ' + typeLabel(type) + ' from "' + raw + '"');
+    return undefined;
+  }
+
+  /**
+   * Options from the data-sitenav-* attributes of `el`.
+   */
+  function readAttributeConfig(el) {
+    var out = {};
+    if (!el || !el.attributes) return out;
+    var source = '<' + el.tagName.toLowerCase() + (el.id ? '#' + el.id : '') + '>';
+    var keys = {};
+    Object.keys(DEFAULTS).forEach(function (key) { keys[key.toLowerCase()] = key; });
+    Array.prototype.slice.call(el.attributes).forEach(function (attr) {
+      if (attr.name.indexOf(CONFIG_ATTR_PREFIX) !== 0) return;
+      var bare = attr.name.slice(CONFIG_ATTR_PREFIX.length);
+      var key = keys[bare.replace(/-/g, '')];
+      if (!key) {
+        configWarn(source, 'unknown option "' + attr.name + '"');
+        return;
+      }
+      var value = parseConfigAttr(attr.value, DEFAULTS[key], attr.name, source);
+      if (value !== undefined) out[key] = value;
+    });
+    return validateConfig(out, source);
+  }
+
+  /**
+   * Effective configuration for init() (root omitted) or a SiteNav.create() root, in the documented precedence.
+   */
+  function resolveConfig(options, root) {
+    // Instances leave <body> alone unless asked: page CSS keys the main nav's panel off body.nav-open
+    var base = root ? merge(DEFAULTS, { bodyOpenClass: '' }) : DEFAULTS;
+    var cfg = deepMerge(base, validateConfig(readJsonConfig(), '#' + CONFIG_SCRIPT_ID));
+    try { cfg = deepMerge(cfg, readAttributeConfig(document.documentElement)); } catch (e) {}
+    var navSel = cfg.selectors.nav;
+    var nav = null;
+    if (root) {
+      cfg = deepMerge(cfg, readAttributeConfig(root));
+      try { nav = root.matches(navSel) ? null : root.querySelector(navSel); } catch (e) { nav = null; }
+    } else {
+      try { nav = document.querySelector(navSel); } catch (e) { nav = null; }
+    }
+    if (nav && nav !== document.documentElement) cfg = deepMerge(cfg, readAttributeConfig(nav));
+    return deepMerge(cfg, validateConfig(options || {}, root ? 'SiteNav.create() options' : 'init() options'));
+  }
+
   /**
    * Safe DOM selectors to avoid DOMException from empty/falsy selectors.
    */
@@ -228,26 +700,29 @@
 
   /**
    * Mark a link element active (adds class and aria-current).
+   * ariaValue is the aria-current token to set (default 'page'; the scroll-spy uses 'location').
    */
-  function markLinkActive(linkEl) {
+  function markLinkActive(linkEl, ariaValue) {
     if (!linkEl) return;
+    ariaValue = typeof ariaValue === 'string' ? ariaValue : 'page';
     var c = state.config.classNames.activeLink;
     try {
       if (!linkEl.classList.contains(c)) linkEl.classList.add(c);
     } catch (e) {}
     try {
       // Only set aria-current if not present, but normalize to 'page' when setting
-      if (!linkEl.hasAttribute('aria-current')) linkEl.setAttribute('aria-current', 'page');
+      if (!linkEl.hasAttribute('aria-current')) linkEl.setAttribute('aria-current', ariaValue);
     } catch (e) {
       // ignore in old browsers
     }
   }
 
   /**
-   * Unmark a link element active.
+   * Unmark a link element active. ariaValue: the aria-current token we set (default 'page').
    */
-  function unmarkLinkActive(linkEl) {
+  function unmarkLinkActive(linkEl, ariaValue) {
     if (!linkEl) return;
+    ariaValue = typeof ariaValue === 'string' ? ariaValue : 'page';
     var c = state.config.classNames.activeLink;
     try {
       if (linkEl.classList.contains(c)) linkEl.classList.remove(c);
@@ -255,7 +730,7 @@
     try {
       // Only remove aria-current if we set it (we can't reliably know that), so be conservative:
       // remove attribute only if its value is 'page' (common auto-set) and not present as something custom.
-      if (linkEl.getAttribute && linkEl.getAttribute('aria-current') === 'page') {
+      if (linkEl.getAttribute && linkEl.getAttribute('aria-current') === ariaValue) {
         linkEl.removeAttribute('aria-current');
       }
     } catch (e) {
@@ -280,6 +755,8 @@
         // fallback to existing links
       }
     }
+    // In-page section links belong to the scroll-spy
+    links = links.filter(function (a) { return !isScrollSpyLink(a); });
     if (!links || !links.length) return;
 
     // Respect author-declared aria-current: if present, do not override site-wide auto-highlighting.
@@ -295,6 +772,7 @@
       } catch (e) {}
     }
     if (foundAuthorCurrent) {
+      notifyActiveLinks(links.filter(function (a) { return a.hasAttribute('aria-current'); }));
       return;
     }
 
@@ -329,6 +807,133 @@
     }
     // Mark matches
     matched.forEach(markLinkActive);
+    notifyActiveLinks(matched);
+  }
+
+  /**
+   * Emit nav:activechange when the set of active links differs from the last scan.
+   */
+  function notifyActiveLinks(active) {
+    markActiveParents(active);
+    var hrefs = active.map(function (a) { return a.getAttribute('href') || ''; });
+    var key = hrefs.join('\n');
+    if (key === state._activeHrefs) return;
+    state._activeHrefs = key;
+    emit('nav:activechange', { links: active.slice(), hrefs: hrefs });
+  }
+
+  /**
+   * Scroll-spy
+   *
+   * Behavior:
+   *  - Nav links pointing at a section of the current page (href="#services") follow scrolling: an
+   *    IntersectionObserver watches the linked sections and the link of the first one inside the
+   *    scrollSpyRootMargin band (by default a thin band around the middle of the viewport) is marked active.
+   *  - Spy links get aria-current="location" (not "page"), so the author's aria-current="page" on the page link is
+   *    kept; links that already carry an author-provided aria-current are left alone entirely.
+   *  - Changes are reported through nav:activechange with detail.section set. No-op without IntersectionObserver.
+   */
+
+  function isScrollSpyLink(linkEl) {
+    var spy = state._scrollSpy;
+    if (!spy || !spy.items.length) return false;
+    for (var i = 0; i < spy.items.length; i++) {
+      if (spy.items[i].link === linkEl) return true;
+    }
+    return false;
+  }
+
+  /**
+   * In-page section targeted by a link on the current document, or null.
+   */
+  function getLinkedSection(linkEl) {
+    var href = linkEl.getAttribute('href') || '';
+    if (href.indexOf('#') === -1) return null;
+    try {
+      var url = new URL(href, location.href);
+      if (!url.hash || url.hash.length < 2) return null;
+      if (normalizePath(url.href) !== normalizePath(location.href)) return null;
+      return document.getElementById(safeDecode(url.hash.slice(1)));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function setScrollSpyActive(item) {
+    var spy = state._scrollSpy;
+    if (spy.active === item) return;
+    if (spy.active) unmarkLinkActive(spy.active.link, 'location');
+    spy.active = item;
+    if (item) markLinkActive(item.link, 'location');
+    emit('nav:activechange', {
+      links: item ? [item.link] : [],
+      hrefs: item ? [item.link.getAttribute('href') || ''] : [],
+      section: item ? item.section.id : ''
+    });
+  }
+
+  function onScrollSpyIntersect(entries) {
+    var spy = state._scrollSpy;
+    if (!spy || !spy.observer) return;
+    entries.forEach(function (entry) {
+      for (var i = 0; i < spy.items.length; i++) {
+        if (spy.items[i].section === entry.target) spy.items[i].visible = !!entry.isIntersecting;
+      }
+    });
+    // Items are in document order, so the first visible one is the topmost section in the band
+    var next = null;
+    for (var j = 0; j < spy.items.length; j++) {
+      if (spy.items[j].visible) {
+        next = spy.items[j];
+        break;
+      }
+    }
+    setScrollSpyActive(next);
+  }
+
+  /**
+   * Start (or restart) the scroll-spy for the current nav and page. Called from init() and after route swaps.
+   */
+  function initScrollSpy() {
+    teardownScrollSpy();
+    if (!state.config.scrollSpy || typeof window.IntersectionObserver !== 'function' || !state.elements.nav) return;
+    var links = [];
+    try { links = Array.prototype.slice.call(state.elements.nav.querySelectorAll('a[href]'), 0); } catch (e) { links = []; }
+
+    var items = [];
+    links.forEach(function (link) {
+      // Author-provided aria-current wins: never take over such links
+      if (link.hasAttribute('aria-current')) return;
+      var section = getLinkedSection(link);
+      if (!section) return;
+      items.push({ link: link, section: section, visible: false });
+    });
+    if (!items.length) return;
+    items.sort(function (a, b) {
+      return a.section.compareDocumentPosition(b.section) & 4 ? -1 : 1;
+    });
+
+    var observer;
+    try {
+      observer = new window.IntersectionObserver(boundToState(onScrollSpyIntersect), {
+        rootMargin: state.config.scrollSpyRootMargin || DEFAULTS.scrollSpyRootMargin,
+        threshold: 0
+      });
+    } catch (e) {
+      return;
+    }
+    state._scrollSpy = { observer: observer, items: items, active: null };
+    items.forEach(function (item) {
+      try { observer.observe(item.section); } catch (e) {}
+    });
+  }
+
+  function teardownScrollSpy() {
+    var spy = state._scrollSpy;
+    if (!spy) return;
+    try { if (spy.observer) spy.observer.disconnect(); } catch (e) {}
+    if (spy.active) unmarkLinkActive(spy.active.link, 'location');
+    state._scrollSpy = { observer: null, items: [], active: null };
   }
 
   /**
@@ -337,7 +942,7 @@
    */
   function updateCurrentYear() {
     try {
-      var year = String((new Date()).getFullYear());
+      var year = formatDate(new Date(), { year: 'numeric' });
       var els = safeQueryAll('[data-year], #current-year, #year');
       if (!els || !els.length) return;
       for (var i = 0; i < els.length; i++) {
@@ -376,10 +981,13 @@
   /**
    * Toggle nav open/closed.
    * If `force` is boolean, sets explicit state. Otherwise toggles.
+   * opts.noVeto skips the cancelable nav:beforetoggle event (teardown must not be vetoed).
+   * Returns false when a nav:beforetoggle handler vetoed the change.
    */
-  function toggleNav(force) {
+  function toggleNav(force, opts) {
     var nav = state.elements.nav;
     if (!nav) return;
+    opts = opts || {};
     var panel = state.elements.panel;
     var toggles = state.elements.toggles || [];
     var openClassPanel = state.config.classNames.panelOpen;
@@ -387,6 +995,8 @@
     var bodyOpenClass = state.config.bodyOpenClass;
 
     var willOpen = typeof force === 'boolean' ? !!force : !state.isOpen;
+    var changed = willOpen !== !!state.isOpen;
+    if (changed && !opts.noVeto && !emit('nav:beforetoggle', { open: willOpen }, { cancelable: true })) return false;
     state.isOpen = willOpen;
 
     // Set data-open on nav to match many CSS patterns
@@ -426,12 +1036,16 @@
 
     // Toggle body class if configured
     try {
-      if (bodyOpenClass) {
-        if (willOpen) document.body.classList.add(bodyOpenClass);
-        else document.body.classList.remove(bodyOpenClass);
-      }
+      if (bodyOpenClass) setBodyOpenClass(bodyOpenClass, willOpen);
     } catch (e) {}
 
+    if (!willOpen) closeAllSubmenus();
+
+    if (changed) {
+      track(willOpen ? 'nav_open' : 'nav_close');
+      emit('nav:toggle', { open: willOpen });
+    }
+
     // Manage focus if opening
     if (willOpen && state.config.focusFirstLinkOnOpen) {
       var firstLink = (state.elements.links && state.elements.links[0]) || null;
@@ -442,13 +1056,32 @@
         }, 50);
       }
     }
+    return true;
+  }
+
+  // bodyOpenClass -> states of the open navs using it (init() and SiteNav.create() instances)
+  var bodyClassOwners = {};
+
+  /**
+   * Add or remove the current nav's bodyOpenClass; it stays on <body> while another nav using it is open.
+   */
+  function setBodyOpenClass(cls, open) {
+    var owners = (bodyClassOwners[cls] || []).filter(function (owner) { return owner !== state; });
+    if (open) owners.push(state);
+    if (owners.length) {
+      bodyClassOwners[cls] = owners;
+      document.body.classList.add(cls);
+    } else {
+      delete bodyClassOwners[cls];
+      document.body.classList.remove(cls);
+    }
   }
 
   /**
-   * Close nav if open.
+   * Close nav if open. opts as for toggleNav().
    */
-  function closeNav() {
-    if (state.isOpen) toggleNav(false);
+  function closeNav(opts) {
+    if (state.isOpen) toggleNav(false, opts);
   }
 
   /**
@@ -486,11 +1119,14 @@
   function onDocumentKeydown(e) {
     var code = e.key || e.keyCode;
     if (code === 'Escape' || code === 'Esc' || code === 27) {
-      closeNav();
-      // Also close demo modal if open
-      if (state._demo && state._demo.isOpen) {
-        closeDemoModal();
+      // Escape belongs to the topmost dialog; the demo modal is closed here, the others by their own handlers
+      if (modalStack.length) {
+        if (state._demo && state._demo.isOpen && modalStack[modalStack.length - 1] === state._demo.modal) closeDemoModal();
+        return;
       }
+      // An open submenu takes the first Escape; the nav closes on the next one
+      if (closeInnermostSubmenu()) return;
+      closeNav();
     }
   }
 
@@ -509,131 +1145,477 @@
         if (toggles[i] === target || toggles[i].contains(target)) return;
       } catch (ex) {}
     }
-    // If click is inside nav, do nothing
+    // If click is inside nav, only close submenus the click was not in
     try {
-      if (nav.contains(target)) return;
+      if (nav.contains(target)) {
+        (state._submenus || []).forEach(function (rec) {
+          if (rec.open && !rec.item.contains(target)) setSubmenuOpen(rec, false);
+        });
+        return;
+      }
     } catch (e) {
       // if contains fails, skip
     }
     // Otherwise close
+    closeAllSubmenus();
     closeNav();
   }
 
   /**
-   * Attach listeners safely, store references for later removal.
-   * Stores a boolean capture flag to improve cross-browser compatibility on removal.
+   * Submenus
+   *
+   * Behavior:
+   *  - Any selectors.submenu list inside the nav (e.g. <ul data-submenu> nested in an <li>) becomes a
+   *    disclosure: its trigger is the item's [data-submenu-toggle] button, or a button SiteNav inserts after the
+   *    item's link. Without JS the nested list simply renders expanded.
+   *  - Opening a submenu closes its siblings; closing one closes everything nested inside it.
+   *  - Keyboard: ArrowDown/ArrowRight and ArrowUp/ArrowLeft move between items of the same level (into an open
+   *    submenu from its trigger, back to the trigger from its first item), Home/End jump to the first/last item,
+   *    Escape closes the innermost open level and returns focus to its trigger.
+   *  - Hover intent on devices with a fine pointer: open after submenuHoverDelay, close after submenuCloseDelay.
+   *  - highlightActiveLink() also marks the triggers (and parent links) above an active child.
    */
-  function attachListener(target, type, handler, options) {
-    if (!target || !target.addEventListener) return;
+
+  function canHover() {
     try {
-      target.addEventListener(type, handler, options || false);
+      return typeof window.matchMedia === 'function' && window.matchMedia('(hover: hover) and (pointer: fine)').matches;
     } catch (e) {
-      // Some older browsers don't accept options objects; fallback to boolean
+      return false;
+    }
+  }
+
+  function findDirectChild(parent, selector) {
+    var kids = parent ? parent.children : [];
+    for (var i = 0; i < kids.length; i++) {
       try {
-        var boolOpt = options && typeof options === 'object' ? !!options.capture : !!options;
-        target.addEventListener(type, handler, boolOpt);
-      } catch (e2) {
-        // give up
-        return;
-      }
+        if (kids[i].matches(selector)) return kids[i];
+      } catch (e) {}
     }
-    // Determine capture boolean for removal compatibility
-    var capture = false;
-    if (typeof options === 'boolean') {
-      capture = !!options;
-    } else if (options && typeof options === 'object') {
-      capture = !!options.capture;
-    } else {
-      capture = false;
+    return null;
+  }
+
+  function findSubmenuRecord(el) {
+    var recs = state._submenus || [];
+    for (var i = 0; i < recs.length; i++) {
+      if (recs[i].trigger === el || recs[i].menu === el || recs[i].item === el) return recs[i];
     }
-    // Store so we can remove later; store capture boolean only
-    state.listeners[type] = state.listeners[type] || [];
-    state.listeners[type].push({ target: target, handler: handler, capture: capture });
+    return null;
   }
 
-  /**
-   * Remove all attached listeners.
-   */
-  function removeAllListeners() {
-    var map = state.listeners || {};
-    Object.keys(map).forEach(function (type) {
-      var arr = map[type] || [];
-      for (var i = 0; i < arr.length; i++) {
-        try {
-          var item = arr[i];
-          item.target.removeEventListener(type, item.handler, item.capture || false);
-        } catch (e) {}
-      }
+  function clearSubmenuTimer(rec) {
+    if (rec.timerId) {
+      try { clearTimeout(rec.timerId); } catch (e) {}
+      rec.timerId = null;
+    }
+  }
+
+  function setSubmenuOpen(rec, open) {
+    if (!rec) return;
+    clearSubmenuTimer(rec);
+    (state._submenus || []).forEach(function (other) {
+      if (other === rec || !other.open) return;
+      // Siblings close when this one opens; nested levels close with their parent
+      var sibling = open && other.item.parentNode === rec.item.parentNode;
+      var nested = !open && rec.menu.contains(other.item);
+      if (sibling || nested) setSubmenuOpen(other, false);
+    });
+    rec.open = !!open;
+    try { rec.trigger.setAttribute('aria-expanded', String(rec.open)); } catch (e) {}
+    try {
+      if (rec.open) rec.menu.removeAttribute('hidden');
+      else rec.menu.setAttribute('hidden', '');
+    } catch (e) {}
+    try {
+      if (rec.open) rec.item.classList.add(state.config.classNames.submenuOpen);
+      else rec.item.classList.remove(state.config.classNames.submenuOpen);
+    } catch (e) {}
+  }
+
+  function closeAllSubmenus() {
+    (state._submenus || []).forEach(function (rec) {
+      if (rec.open) setSubmenuOpen(rec, false);
     });
-    state.listeners = {};
   }
 
   /**
-   * Find closest anchor from an element (cross-browser fallback).
+   * Escape: close the deepest open submenu around the focus (or any open one). Returns true when one closed.
    */
-  function findClosestAnchor(el) {
-    var cur = el;
-    while (cur && cur !== document) {
-      try {
-        if (cur.tagName && cur.tagName.toLowerCase() === 'a') return cur;
-      } catch (e) {}
-      cur = cur.parentNode;
+  function closeInnermostSubmenu() {
+    var open = (state._submenus || []).filter(function (rec) { return rec.open; });
+    if (!open.length) return false;
+    var active = document.activeElement;
+    var innermost = null;
+    open.forEach(function (rec) {
+      if (!rec.item.contains(active)) return;
+      if (!innermost || innermost.menu.contains(rec.item)) innermost = rec;
+    });
+    if (!innermost) {
+      closeAllSubmenus();
+      return true;
     }
-    return null;
+    setSubmenuOpen(innermost, false);
+    try { innermost.trigger.focus(); } catch (e) {}
+    return true;
   }
 
   /**
-   * Delegated document click handler for SPA/hijacked links.
-   * Only prevents default for links that explicitly request hijacking (data-hijack/data-spa/data-ajax)
-   * or other custom patterns. Crucially: normal .html links (privacy.html, terms.html) are not blocked.
+   * Focusable items of one menu level: links and buttons whose nearest list is `list`.
    */
-  function delegatedLinkHandler(e) {
-    if (!e || !e.target) return;
-    // Only care about left-button clicks without modifier keys
-    if (e.button && e.button !== 0) return;
-    if (e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
-
-    var anchor = (e.target.closest && e.target.closest('a')) || findClosestAnchor(e.target);
-    if (!anchor || !anchor.getAttribute) return;
+  function getMenuLevelItems(list) {
+    var out = [];
+    try {
+      Array.prototype.slice.call(list.querySelectorAll('a[href], button')).forEach(function (el) {
+        if (el.closest('ul, ol') === list && !el.closest('[hidden]')) out.push(el);
+      });
+    } catch (e) {}
+    return out;
+  }
 
-    // If anchor explicitly opts into hijack, we will handle it. Otherwise allow normal navigation.
-    var dataset = anchor.dataset || {};
-    var wantsHijack = dataset.hijack === 'true' || dataset.spa === 'true' || anchor.hasAttribute('data-ajax') || anchor.hasAttribute('data-hijack');
+  function onNavMenuKeydown(e) {
+    var code = e.key || e.keyCode;
+    var next = code === 'ArrowDown' || code === 'ArrowRight' || code === 40 || code === 39;
+    var prev = code === 'ArrowUp' || code === 'ArrowLeft' || code === 38 || code === 37;
+    var home = code === 'Home' || code === 36;
+    var end = code === 'End' || code === 35;
+    if (!next && !prev && !home && !end) return;
+    var target = e.target;
+    var list = target && target.closest ? target.closest('ul, ol') : null;
+    if (!list || !state.elements.nav || !state.elements.nav.contains(list)) return;
+    var items = getMenuLevelItems(list);
+    var idx = items.indexOf(target);
+    if (idx === -1) return;
 
-    // If anchor appears to point to a .html page (explicit file) ? allow default navigation to proceed.
-    var href = anchor.getAttribute('href') || '';
-    if (typeof href === 'string') {
-      // Normalize whitespace
-      href = href.trim();
-      // If it's an external link or a mailto/tel, do nothing.
-      if (/^\s*(mailto:|tel:|javascript:)/i.test(href)) return;
-      // If it contains privacy.html or terms.html or ends with .html, allow normal navigation
-      if (/\b(privacy|terms)\.html\b/i.test(href) || /\.html(?:$|[?#])/i.test(href)) {
-        // Allow default navigation for real file links
-        return;
-      }
+    var dest = null;
+    var rec = findSubmenuRecord(target);
+    if (next && rec && rec.open) {
+      dest = getMenuLevelItems(rec.menu)[0] || null;
+    } else if (next) {
+      dest = items[idx + 1] || null;
+    } else if (prev && idx === 0) {
+      var parentRec = findSubmenuRecord(list);
+      dest = parentRec ? parentRec.trigger : null;
+    } else if (prev) {
+      dest = items[idx - 1];
+    } else if (home) {
+      dest = items[0];
+    } else {
+      dest = items[items.length - 1];
     }
+    if (!dest) return;
+    if (e.preventDefault) e.preventDefault();
+    try { dest.focus(); } catch (err) {}
+  }
 
-    if (!wantsHijack) {
-      // Nothing to do: don't block anchors, allow default navigation for fragments, routes, anchors.
-      return;
-    }
+  function submenuTriggerLabel(link) {
+    var text = link ? (link.textContent || '').replace(/\s+/g, ' ').trim() : '';
+    return (localized('submenuToggleLabel') || DEFAULTS.submenuToggleLabel) + (text ? ' ' + text : '');
+  }
 
-    // If we reach here, anchor requests hijack: prevent default and handle programmatically.
-    if (e.preventDefault) e.preventDefault();
+  function createSubmenuTrigger(item, link, menu) {
+    var btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'nav-submenu-toggle';
+    btn.setAttribute('aria-label', submenuTriggerLabel(link));
+    var icon = document.createElement('span');
+    icon.className = 'nav-submenu-icon';
+    icon.setAttribute('aria-hidden', 'true');
+    btn.appendChild(icon);
     try {
-      // If href is present and not a fragment, fallback to programmatic navigation for SPA-like behavior
-      if (href && href.indexOf('#') !== 0) {
-        window.location.href = href;
-      } else if (href && href.indexOf('#') === 0) {
-        // navigate to fragment within the page
-        var id = href.slice(1);
-        try {
-          var dest = document.getElementById(id);
-          if (dest && typeof dest.scrollIntoView === 'function') {
+      if (link && link.parentNode === item) item.insertBefore(btn, link.nextSibling);
+      else item.insertBefore(btn, menu);
+    } catch (e) {}
+    return btn;
+  }
+
+  /**
+   * Listeners kept on the submenu record (or state._submenuNav for the nav's arrow keys) so teardownSubmenus()
+   * removes exactly these; observe mode re-runs initSubmenus() on a live nav.
+   */
+  function addSubmenuListener(rec, target, type, handler) {
+    if (!rec || !target || !target.addEventListener) return;
+    handler = boundToState(handler);
+    try {
+      target.addEventListener(type, handler, false);
+      rec.listeners.push({ target: target, type: type, handler: handler });
+    } catch (e) {}
+  }
+
+  /**
+   * Wire every submenu inside the nav. Called from init().
+   */
+  function initSubmenus() {
+    teardownSubmenus();
+    var nav = state.elements.nav;
+    if (!nav) return;
+    var menus = [];
+    try { menus = Array.prototype.slice.call(nav.querySelectorAll(state.config.selectors.submenu || DEFAULTS.selectors.submenu)); } catch (e) { menus = []; }
+    menus.forEach(function (menu) {
+      var item = menu.parentNode;
+      if (!item || item === nav) return;
+      var link = findDirectChild(item, 'a[href]');
+      var trigger = findDirectChild(item, state.config.selectors.submenuToggle || DEFAULTS.selectors.submenuToggle);
+      var rec = {
+        menu: menu,
+        item: item,
+        link: link,
+        trigger: trigger,
+        createdTrigger: !trigger,
+        open: false,
+        timerId: null,
+        listeners: [],
+        attrs: {
+          hidden: menu.hasAttribute('hidden'),
+          expanded: trigger ? trigger.getAttribute('aria-expanded') : null,
+          controls: trigger ? trigger.getAttribute('aria-controls') : null
+        }
+      };
+      if (!rec.trigger) rec.trigger = createSubmenuTrigger(item, link, menu);
+      try {
+        rec.trigger.setAttribute('aria-controls', ensureId(menu, 'site-nav-submenu'));
+      } catch (e) {}
+      state._submenus.push(rec);
+      setSubmenuOpen(rec, false);
+
+      addSubmenuListener(rec, rec.trigger, 'click', function (ev) {
+        if (ev && ev.preventDefault) ev.preventDefault();
+        setSubmenuOpen(rec, !rec.open);
+      });
+      addSubmenuListener(rec, item, 'mouseenter', function () {
+        if (!canHover()) return;
+        clearSubmenuTimer(rec);
+        rec.timerId = window.setTimeout(boundToState(function () {
+          rec.timerId = null;
+          setSubmenuOpen(rec, true);
+        }), state.config.submenuHoverDelay);
+      });
+      addSubmenuListener(rec, item, 'mouseleave', function () {
+        if (!canHover()) return;
+        clearSubmenuTimer(rec);
+        if (!rec.open) return;
+        rec.timerId = window.setTimeout(boundToState(function () {
+          rec.timerId = null;
+          setSubmenuOpen(rec, false);
+        }), state.config.submenuCloseDelay);
+      });
+      // Tabbing out of an open item closes it
+      addSubmenuListener(rec, item, 'focusout', function (ev) {
+        var to = ev && ev.relatedTarget;
+        if (rec.open && to && !item.contains(to)) setSubmenuOpen(rec, false);
+      });
+    });
+    if (state._submenus.length) {
+      state._submenuNav = { listeners: [] };
+      addSubmenuListener(state._submenuNav, nav, 'keydown', onNavMenuKeydown);
+    }
+  }
+
+  /**
+   * Remove inserted triggers and restore the authored submenu markup.
+   */
+  function removeSubmenuListeners(rec) {
+    (rec.listeners || []).forEach(function (it) {
+      try { it.target.removeEventListener(it.type, it.handler, false); } catch (e) {}
+    });
+    rec.listeners = [];
+  }
+
+  function teardownSubmenus() {
+    if (state._submenuNav) removeSubmenuListeners(state._submenuNav);
+    state._submenuNav = null;
+    (state._submenus || []).forEach(function (rec) {
+      clearSubmenuTimer(rec);
+      removeSubmenuListeners(rec);
+      try { rec.item.classList.remove(state.config.classNames.submenuOpen); } catch (e) {}
+      try {
+        if (rec.attrs.hidden) rec.menu.setAttribute('hidden', '');
+        else rec.menu.removeAttribute('hidden');
+      } catch (e) {}
+      try {
+        rec.trigger.classList.remove(state.config.classNames.activeParent);
+        if (rec.link) rec.link.classList.remove(state.config.classNames.activeParent);
+      } catch (e) {}
+      if (rec.createdTrigger) {
+        try { if (rec.trigger.parentNode) rec.trigger.parentNode.removeChild(rec.trigger); } catch (e) {}
+        return;
+      }
+      try {
+        if (rec.attrs.expanded === null) rec.trigger.removeAttribute('aria-expanded');
+        else rec.trigger.setAttribute('aria-expanded', rec.attrs.expanded);
+        if (rec.attrs.controls === null) rec.trigger.removeAttribute('aria-controls');
+        else rec.trigger.setAttribute('aria-controls', rec.attrs.controls);
+      } catch (e) {}
+    });
+    state._submenus = [];
+  }
+
+  /**
+   * Mark the trigger (and link) of every submenu that contains one of the active links.
+   */
+  function markActiveParents(active) {
+    var cls = state.config.classNames.activeParent;
+    (state._submenus || []).forEach(function (rec) {
+      var hasActive = active.some(function (a) { return rec.menu.contains(a); });
+      try {
+        if (hasActive) rec.trigger.classList.add(cls);
+        else rec.trigger.classList.remove(cls);
+        if (rec.link) {
+          if (hasActive) rec.link.classList.add(cls);
+          else rec.link.classList.remove(cls);
+        }
+      } catch (e) {}
+    });
+  }
+
+  /**
+   * Run fn with `state` set to `target` (an instance container from SiteNav.create()), restoring the previous
+   * state afterwards, even when fn throws.
+   */
+  function withState(target, fn) {
+    var prev = state;
+    state = target;
+    try {
+      return fn();
+    } finally {
+      state = prev;
+    }
+  }
+
+  /**
+   * Wrap fn so it always runs against the state that is current now (listeners, timers, observer callbacks).
+   */
+  function boundToState(fn) {
+    var owner = state;
+    return function () {
+      var self = this;
+      var args = arguments;
+      return withState(owner, function () { return fn.apply(self, args); });
+    };
+  }
+
+  /**
+   * Attach listeners safely, store references for later removal.
+   * Stores a boolean capture flag to improve cross-browser compatibility on removal.
+   * The handler runs against the state it was attached under (the stored, wrapped handler is what gets removed).
+   */
+  function attachListener(target, type, handler, options) {
+    if (!target || !target.addEventListener) return;
+    handler = boundToState(handler);
+    try {
+      target.addEventListener(type, handler, options || false);
+    } catch (e) {
+      // Some older browsers don't accept options objects; fallback to boolean
+      try {
+        var boolOpt = options && typeof options === 'object' ? !!options.capture : !!options;
+        target.addEventListener(type, handler, boolOpt);
+      } catch (e2) {
+        // give up
+        return;
+      }
+    }
+    // Determine capture boolean for removal compatibility
+    var capture = false;
+    if (typeof options === 'boolean') {
+      capture = !!options;
+    } else if (options && typeof options === 'object') {
+      capture = !!options.capture;
+    } else {
+      capture = false;
+    }
+    // Store so we can remove later; store capture boolean only
+    state.listeners[type] = state.listeners[type] || [];
+    state.listeners[type].push({ target: target, handler: handler, capture: capture });
+  }
+
+  /**
+   * Remove all attached listeners.
+   */
+  function removeAllListeners() {
+    var map = state.listeners || {};
+    Object.keys(map).forEach(function (type) {
+      var arr = map[type] || [];
+      for (var i = 0; i < arr.length; i++) {
+        try {
+          var item = arr[i];
+          item.target.removeEventListener(type, item.handler, item.capture || false);
+        } catch (e) {}
+      }
+    });
+    state.listeners = {};
+  }
+
+  /**
+   * Find closest anchor from an element (cross-browser fallback).
+   */
+  function findClosestAnchor(el) {
+    var cur = el;
+    while (cur && cur !== document) {
+      try {
+        if (cur.tagName && cur.tagName.toLowerCase() === 'a') return cur;
+      } catch (e) {}
+      cur = cur.parentNode;
+    }
+    return null;
+  }
+
+  /**
+   * Delegated document click handler for SPA/hijacked links.
+   * Only prevents default for links that explicitly request hijacking (data-hijack/data-spa/data-ajax)
+   * or other custom patterns. Crucially: normal .html links (privacy.html, terms.html) are not blocked.
+   * Opt-in links to same-origin pages are handed to the client-side router (navigate()).
+   */
+  function delegatedLinkHandler(e) {
+    if (!e || !e.target) return;
+    if (e.defaultPrevented) return;
+    // Only care about left-button clicks without modifier keys
+    if (e.button && e.button !== 0) return;
+    if (e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+    var anchor = (e.target.closest && e.target.closest('a')) || findClosestAnchor(e.target);
+    if (!anchor || !anchor.getAttribute) return;
+
+    // If anchor explicitly opts into hijack, we will handle it. Otherwise allow normal navigation.
+    var dataset = anchor.dataset || {};
+    var wantsHijack = dataset.hijack === 'true' || dataset.spa === 'true' || anchor.hasAttribute('data-ajax') || anchor.hasAttribute('data-hijack');
+
+    var href = anchor.getAttribute('href') || '';
+    if (typeof href === 'string') {
+      // Normalize whitespace
+      href = href.trim();
+      // If it's an external link or a mailto/tel, do nothing.
+      if (/^\s*(mailto:|tel:|javascript:)/i.test(href)) return;
+    }
+
+    if (!wantsHijack) {
+      // Nothing to do: don't block anchors, allow default navigation for .html files, fragments, routes, anchors.
+      return;
+    }
+
+    // Links opening a new browsing context or downloads keep native behavior
+    try {
+      var target = anchor.getAttribute('target');
+      if ((target && target !== '_self') || anchor.hasAttribute('download')) return;
+    } catch (e2) {}
+
+    if (href && href.indexOf('#') !== 0) {
+      // Only same-origin pages can be swapped in; anything else navigates normally
+      if (!isSameOriginUrl(href)) return;
+      if (e.preventDefault) e.preventDefault();
+      navigate(href);
+      return;
+    }
+
+    // Fragment within the page
+    if (e.preventDefault) e.preventDefault();
+    try {
+      if (href && href.indexOf('#') === 0) {
+        // navigate to fragment within the page
+        var id = href.slice(1);
+        try {
+          var dest = document.getElementById(id);
+          if (dest && typeof dest.scrollIntoView === 'function') {
             dest.scrollIntoView({ behavior: 'smooth', block: 'start' });
             // update hash without adding a history entry
-            try { history.replaceState && history.replaceState(null, '', href); } catch (e) {}
+            try { history.replaceState && history.replaceState(history.state, '', href); } catch (e) {}
           } else {
             window.location.hash = href;
           }
@@ -641,742 +1623,6204 @@
           window.location.hash = href;
         }
       }
-    } catch (e) {
-      // If anything fails, do not crash.
-    }
+    } catch (e) {
+      // If anything fails, do not crash.
+    }
+  }
+
+  /**
+   * Client-side router
+   *
+   * Behavior:
+   *  - navigate(url) fetches a same-origin page, swaps only the config.routerRegion element (<main> by default),
+   *    updates document.title and pushes a history entry.
+   *  - After the swap: active link, demo CTAs and service cards are re-initialized for the new content,
+   *    and focus moves to the new region so screen readers announce the change.
+   *  - Back/forward (popstate) re-renders the entry without a reload whenever the path or query
+   *    differs from what is currently rendered; fragment-only changes are left to the browser.
+   *  - Only pages with the same shell are swapped: when the new page's <head> styles, stylesheets or inline
+   *    scripts, or its <body> class, differ from the current page's, its header and footer are styled differently
+   *    too, so the router takes a full load instead. External scripts only the new page loads (e.g. demo.html's
+   *    demo modules) are loaded once, before the new content is initialized.
+   *  - Any failure (network, non-HTML response, missing region, timeout) falls back to normal navigation.
+   * Notes:
+   *  - Inline scripts in <body> (the swapped region included) are not executed; the pages only use them as
+   *    fallbacks for what script.js already does.
+   *  - The bundled pages each style their own header in an inline <style>, so their nav links do not opt in:
+   *    every swap would end in a full load.
+   */
+
+  function isSameOriginUrl(href) {
+    try {
+      return new URL(href, location.href).origin === location.origin;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  function canRoute() {
+    return typeof window !== 'undefined' &&
+      typeof window.fetch === 'function' &&
+      typeof window.DOMParser === 'function' &&
+      !!(window.history && typeof window.history.pushState === 'function');
+  }
+
+  function cancelPendingRoute() {
+    var r = state._router;
+    if (r.controller) {
+      try { r.controller.abort(); } catch (e) {}
+      r.controller = null;
+    }
+    if (r.timeoutId) {
+      try { clearTimeout(r.timeoutId); } catch (e) {}
+      r.timeoutId = null;
+    }
+  }
+
+  /**
+   * Full page load used whenever a partial swap is not possible.
+   */
+  function fallbackNavigate(url, replace) {
+    try {
+      if (replace && location.replace) location.replace(url);
+      else window.location.href = url;
+    } catch (e) {}
+  }
+
+  /**
+   * Fetch a page and resolve with its HTML text.
+   */
+  function fetchPageHtml(url, signal, priority) {
+    var init = {
+      credentials: 'same-origin',
+      headers: { 'X-Requested-With': 'SiteNav' },
+      signal: signal
+    };
+    // Fetch priority hint (ignored where unsupported)
+    if (priority) init.priority = priority;
+    return window.fetch(url, init).then(function (res) {
+      var type = (res.headers && res.headers.get && res.headers.get('content-type')) || '';
+      if (!res.ok || (type && type.indexOf('html') === -1)) {
+        throw new Error('SiteNav router: unexpected response ' + res.status + ' for ' + url);
+      }
+      return res.text();
+    });
+  }
+
+  /**
+   * Fetch a page and resolve with its parsed Document.
+   * Served from the page cache (or a matching in-flight prefetch) when possible; fresh responses are cached.
+   */
+  function fetchDocument(url, signal) {
+    var key = pageCacheKey(url);
+    var cached = cacheGet(key);
+    var pending = cached === null ? state._prefetch.pending[key] : null;
+    var source;
+    if (cached !== null) {
+      source = Promise.resolve(cached);
+    } else if (pending) {
+      source = pending;
+    } else {
+      source = fetchPageHtml(url, signal).then(function (html) {
+        cacheSet(key, html);
+        return html;
+      });
+    }
+    return source.then(function (html) {
+      return new window.DOMParser().parseFromString(html, 'text/html');
+    });
+  }
+
+  var SCRIPT_TYPES = /^(|text\/javascript|application\/javascript|module)$/i;
+
+  function headNodes(doc, selector) {
+    var head = doc.head || doc.querySelector('head');
+    if (!head) return [];
+    try {
+      return Array.prototype.slice.call(head.querySelectorAll(selector), 0);
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function isScriptNode(el) {
+    return SCRIPT_TYPES.test((el.getAttribute('type') || '').trim());
+  }
+
+  /**
+   * Identity of a head style or script: resolved URL for stylesheet links and external scripts, text otherwise.
+   */
+  function assetKey(el, base) {
+    var url = el.getAttribute(el.tagName.toLowerCase() === 'link' ? 'href' : 'src');
+    if (url === null) return el.tagName.toLowerCase() + ':' + (el.textContent || '').trim();
+    try {
+      return el.tagName.toLowerCase() + ':' + new URL(url, base).href;
+    } catch (e) {
+      return el.tagName.toLowerCase() + ':' + url;
+    }
+  }
+
+  /**
+   * Keys of the page-scoped shell assets of `doc`: head styles, stylesheets and inline scripts, plus the body
+   * class. Two pages with the same keys share their header/footer styling. Classes SiteNav itself puts on
+   * <body> (modal-open, the open navs' bodyOpenClass) are left out.
+   */
+  function pageShellKeys(doc, base) {
+    var keys = headNodes(doc, 'style, link[rel~="stylesheet"], script:not([src])').filter(function (el) {
+      return el.tagName.toLowerCase() !== 'script' || isScriptNode(el);
+    }).map(function (el) { return assetKey(el, base); });
+    keys.sort();
+    var body = doc.body;
+    var runtime = ['modal-open'].concat(Object.keys(bodyClassOwners));
+    var classes = (body ? body.getAttribute('class') || '' : '').split(/\s+/).filter(function (cls) {
+      return cls && runtime.indexOf(cls) === -1;
+    });
+    keys.push('body:' + classes.join(' '));
+    return keys.join('\n');
+  }
+
+  /**
+   * External scripts `doc` (fetched from `url`) loads that this document has not loaded. Returns null when the
+   * page shells differ and the router has to fall back to a full load.
+   */
+  function collectPageAssets(doc, url) {
+    var here = location.href;
+    if (pageShellKeys(doc, url) !== pageShellKeys(document, here)) return null;
+    var loaded = {};
+    var scripts = [];
+    try {
+      Array.prototype.slice.call(document.querySelectorAll('script[src]'), 0).forEach(function (el) {
+        loaded[assetKey(el, here)] = true;
+      });
+      Array.prototype.slice.call(doc.querySelectorAll('script[src]'), 0).forEach(function (el) {
+        var key = assetKey(el, url);
+        if (!isScriptNode(el) || loaded[key]) return;
+        loaded[key] = true;
+        scripts.push({ src: key.slice('script:'.length), type: el.getAttribute('type') || '' });
+      });
+    } catch (e) {}
+    return { scripts: scripts };
+  }
+
+  /**
+   * Resolve once `el` fired load or error, or after routerTimeout at the latest.
+   */
+  function whenAssetLoaded(el) {
+    var timeoutMs = state.config.routerTimeout || DEFAULTS.routerTimeout;
+    return new Promise(function (resolve) {
+      var timer = window.setTimeout(resolve, timeoutMs);
+      function done() {
+        clearTimeout(timer);
+        resolve();
+      }
+      el.addEventListener('load', done, false);
+      el.addEventListener('error', done, false);
+    });
+  }
+
+  /**
+   * Load the incoming page's external scripts one after another (document order, like deferred scripts).
+   */
+  function loadPageScripts(assets) {
+    return assets.scripts.reduce(function (chain, item) {
+      return chain.then(function () {
+        var el = document.createElement('script');
+        if (item.type) el.type = item.type;
+        el.async = false;
+        el.src = item.src;
+        var loaded = whenAssetLoaded(el);
+        try { document.body.appendChild(el); } catch (e) {}
+        return loaded;
+      });
+    }, Promise.resolve());
+  }
+
+  /**
+   * Replace the current routed region with the matching one from `doc`.
+   * Returns the inserted element, or null when either document lacks the region.
+   */
+  function swapRegion(doc, url) {
+    var sel = state.config.routerRegion || DEFAULTS.routerRegion;
+    var current = safeQuerySelector(sel);
+    var next = null;
+    try { next = doc.querySelector(sel); } catch (e) { next = null; }
+    if (!current || !next || !current.parentNode) return null;
+
+    var incoming = document.importNode ? document.importNode(next, true) : next;
+    current.parentNode.replaceChild(incoming, current);
+    try {
+      var title = doc.querySelector('title');
+      if (title && title.textContent) document.title = title.textContent;
+    } catch (e) {}
+    state._router.currentUrl = url;
+    return incoming;
+  }
+
+  /**
+   * Re-run per-content initializers after a swap.
+   */
+  function afterRouteSwap(region, url) {
+    closeNav();
+    try { translatePage(region); } catch (e) {}
+    try { initScrollSpy(); } catch (e) {}
+    try { highlightActiveLink(); } catch (e) {}
+    try { initDemoBlocks(); } catch (e) {}
+    try { initModalTriggers(); } catch (e) {}
+    try { initServiceCards(); } catch (e) {}
+    try { initContactForm(); } catch (e) {}
+    try { initNewsletterForm(); } catch (e) {}
+    try { if (consentEnabled()) activateConsentEmbeds(); } catch (e) {}
+    try { updateCurrentYear(); } catch (e) {}
+
+    // Scroll to the requested fragment, otherwise to the top of the page
+    var hash = '';
+    try { hash = new URL(url, location.href).hash; } catch (e) { hash = ''; }
+    var dest = hash ? document.getElementById(safeDecode(hash.slice(1))) : null;
+    try {
+      if (dest && dest.scrollIntoView) dest.scrollIntoView({ block: 'start' });
+      else if (window.scrollTo) window.scrollTo(0, 0);
+    } catch (e) {}
+
+    // Move focus to the new content (without scrolling) so assistive tech picks up the change
+    try {
+      if (!region.hasAttribute('tabindex')) region.setAttribute('tabindex', '-1');
+      region.focus({ preventScroll: true });
+    } catch (e) {}
+  }
+
+  /**
+   * Navigate to a same-origin URL with a partial page swap.
+   * opts.replace: replace the current history entry instead of pushing.
+   * opts.fromPopState: internal; re-render for back/forward without touching history.
+   * Returns a Promise resolving to true when swapped, false when it fell back to a full load.
+   */
+  function navigate(url, opts) {
+    opts = opts || {};
+    if (!url) return Promise.resolve(false);
+    var absolute;
+    try { absolute = new URL(url, location.href).href; } catch (e) { absolute = url; }
+
+    if (!canRoute() || !isSameOriginUrl(absolute)) {
+      fallbackNavigate(absolute, opts.replace);
+      return Promise.resolve(false);
+    }
+
+    cancelPendingRoute();
+    var r = state._router;
+    r.token += 1;
+    var token = r.token;
+    var controller = typeof AbortController === 'function' ? new AbortController() : null;
+    r.controller = controller;
+    var timeoutMs = state.config.routerTimeout || DEFAULTS.routerTimeout;
+    if (controller && timeoutMs > 0) {
+      r.timeoutId = window.setTimeout(function () {
+        try { controller.abort(); } catch (e) {}
+      }, timeoutMs);
+    }
+
+    try { document.documentElement.setAttribute('aria-busy', 'true'); } catch (e) {}
+
+    return fetchDocument(absolute, controller ? controller.signal : undefined).then(function (doc) {
+      // A newer navigation superseded this one
+      if (token !== r.token) return false;
+      cancelPendingRoute();
+      var assets = collectPageAssets(doc, absolute);
+      if (!assets) {
+        fallbackNavigate(absolute, opts.fromPopState);
+        return false;
+      }
+      if (!opts.fromPopState) {
+        var entry = { siteNav: true, url: absolute };
+        if (opts.replace) history.replaceState(entry, '', absolute);
+        else history.pushState(entry, '', absolute);
+      }
+      // Close an open demo before its opener disappears with the old region (the URL already moved on)
+      if (state._demo && state._demo.isOpen) closeDemoModal(true, { fromHistory: true });
+      var region = swapRegion(doc, absolute);
+      if (!region) {
+        fallbackNavigate(absolute, true);
+        return false;
+      }
+      return loadPageScripts(assets).then(function () {
+        if (token !== r.token) return false;
+        afterRouteSwap(region, absolute);
+        return true;
+      });
+    }).catch(function (err) {
+      if (token !== r.token) return false;
+      cancelPendingRoute();
+      try {
+        if (window.console && window.console.warn) window.console.warn('SiteNav router fell back to full navigation:', err && err.message ? err.message : err);
+      } catch (e) {}
+      fallbackNavigate(absolute, opts.fromPopState);
+      return false;
+    }).then(function (swapped) {
+      if (token === r.token) {
+        try { document.documentElement.removeAttribute('aria-busy'); } catch (e) {}
+      }
+      return swapped;
+    });
+  }
+
+  /**
+   * Back/forward between router-managed entries.
+   */
+  function onPopState() {
+    var rendered = state._router.currentUrl || location.href;
+    var samePage = false;
+    try {
+      samePage = normalizePath(location.href) === normalizePath(rendered) &&
+        new URL(location.href).search === new URL(rendered, location.href).search;
+    } catch (e) {
+      samePage = false;
+    }
+    // Same document with a different fragment: let the browser handle scrolling
+    if (samePage) {
+      state._router.currentUrl = location.href;
+      return;
+    }
+    navigate(location.href, { fromPopState: true });
+  }
+
+  /**
+   * Prefetch + page cache
+   *
+   * Behavior:
+   *  - Hovering (with a short intent delay), focusing or touching a same-origin .html link matched by
+   *    selectors.navLinks fetches the page in the background.
+   *  - Responses live in an in-memory LRU cache (prefetchCacheSize entries, prefetchTTL ms) keyed by
+   *    normalizePath() + query string; the router reads from the same cache.
+   *  - Automatic prefetching is skipped when the user asked to save data (Save-Data / prefers-reduced-data).
+   */
+
+  function pageCacheKey(url) {
+    var search = '';
+    try { search = new URL(url, location.href).search; } catch (e) { search = ''; }
+    return normalizePath(url) + search;
+  }
+
+  function cacheGet(key) {
+    var c = state._prefetch;
+    var entry = c.entries[key];
+    if (!entry) return null;
+    var ttl = state.config.prefetchTTL === undefined ? DEFAULTS.prefetchTTL : state.config.prefetchTTL;
+    if (ttl >= 0 && Date.now() - entry.time > ttl) {
+      cacheDelete(key);
+      return null;
+    }
+    // Most recently used goes to the end
+    var idx = c.order.indexOf(key);
+    if (idx !== -1) c.order.splice(idx, 1);
+    c.order.push(key);
+    return entry.html;
+  }
+
+  function cacheSet(key, html) {
+    var c = state._prefetch;
+    var max = state.config.prefetchCacheSize === undefined ? DEFAULTS.prefetchCacheSize : state.config.prefetchCacheSize;
+    if (!(max > 0)) return;
+    if (c.entries[key]) cacheDelete(key);
+    c.entries[key] = { html: html, time: Date.now() };
+    c.order.push(key);
+    while (c.order.length > max) {
+      cacheDelete(c.order[0]);
+    }
+  }
+
+  function cacheDelete(key) {
+    var c = state._prefetch;
+    delete c.entries[key];
+    var idx = c.order.indexOf(key);
+    if (idx !== -1) c.order.splice(idx, 1);
+  }
+
+  /**
+   * Drop every cached page (in-flight prefetches finish but are not stored).
+   */
+  function clearCache() {
+    state._prefetch.entries = {};
+    state._prefetch.order = [];
+    state._prefetch.pending = {};
+  }
+
+  /**
+   * True when the user or browser asked to reduce data usage.
+   */
+  function prefersReducedData() {
+    try {
+      var conn = navigator.connection || navigator.mozConnection || navigator.webkitConnection;
+      if (conn && conn.saveData) return true;
+    } catch (e) {}
+    try {
+      if (window.matchMedia && window.matchMedia('(prefers-reduced-data: reduce)').matches) return true;
+    } catch (e) {}
+    return false;
+  }
+
+  function isPrefetchableUrl(href) {
+    if (!href || /^\s*(mailto:|tel:|javascript:|#)/i.test(href)) return false;
+    try {
+      var url = new URL(href, location.href);
+      return url.origin === location.origin && /\.html$/i.test(url.pathname);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Prefetch a same-origin page into the cache.
+   * opts.force: also prefetch when the user prefers reduced data.
+   * Resolves to true when the page is cached, false when skipped or failed.
+   */
+  function prefetch(url, opts) {
+    opts = opts || {};
+    if (!url || typeof window === 'undefined' || typeof window.fetch !== 'function') return Promise.resolve(false);
+    if (!isPrefetchableUrl(url)) return Promise.resolve(false);
+    if (!opts.force && prefersReducedData()) return Promise.resolve(false);
+    var absolute = new URL(url, location.href).href;
+    var key = pageCacheKey(absolute);
+    // Never spend a request on the page being shown
+    if (key === pageCacheKey(location.href)) return Promise.resolve(false);
+    if (cacheGet(key) !== null) return Promise.resolve(true);
+    var c = state._prefetch;
+    if (c.pending[key]) return c.pending[key].then(function () { return true; }, function () { return false; });
+
+    var pending = fetchPageHtml(absolute, undefined, 'low').then(function (html) {
+      // clearCache() during the request discards the result
+      if (c.pending[key] === pending) cacheSet(key, html);
+      return html;
+    });
+    c.pending[key] = pending;
+    var done = function () {
+      if (c.pending[key] === pending) delete c.pending[key];
+    };
+    pending.then(done, done);
+    return pending.then(function () { return true; }, function () { return false; });
+  }
+
+  /**
+   * Return the nav link an event targets, if it qualifies for prefetching.
+   */
+  function prefetchCandidate(e) {
+    var el = e && e.target;
+    if (!el || el.nodeType !== 1) return null;
+    var anchor = (el.closest && el.closest('a[href]')) || findClosestAnchor(el);
+    if (!anchor || !anchor.getAttribute) return null;
+    try {
+      var sel = state.config.selectors && state.config.selectors.navLinks;
+      if (!sel || !anchor.matches || !anchor.matches(sel)) return null;
+    } catch (err) {
+      return null;
+    }
+    return isPrefetchableUrl(anchor.getAttribute('href')) ? anchor : null;
+  }
+
+  function cancelHoverPrefetch() {
+    if (state._prefetch.hoverTimer) {
+      try { clearTimeout(state._prefetch.hoverTimer); } catch (e) {}
+      state._prefetch.hoverTimer = null;
+    }
+  }
+
+  /**
+   * True when a mouseover / mouseout only moves the pointer between elements inside `anchor`.
+   */
+  function isMoveWithinAnchor(anchor, e) {
+    var related = e && e.relatedTarget;
+    try {
+      return !!(related && anchor.contains(related));
+    } catch (err) {
+      return false;
+    }
+  }
+
+  function onPrefetchHover(e) {
+    var anchor = prefetchCandidate(e);
+    if (!anchor || isMoveWithinAnchor(anchor, e)) return;
+    cancelHoverPrefetch();
+    var delay = state.config.prefetchDelay === undefined ? DEFAULTS.prefetchDelay : state.config.prefetchDelay;
+    state._prefetch.hoverTimer = window.setTimeout(function () {
+      state._prefetch.hoverTimer = null;
+      prefetch(anchor.getAttribute('href'));
+    }, delay);
+  }
+
+  function onPrefetchHoverEnd(e) {
+    var anchor = prefetchCandidate(e);
+    if (anchor && !isMoveWithinAnchor(anchor, e)) cancelHoverPrefetch();
+  }
+
+  function onPrefetchIntent(e) {
+    var anchor = prefetchCandidate(e);
+    if (anchor) prefetch(anchor.getAttribute('href'));
+  }
+
+  /**
+   * Links of the nav (falls back to selectors.navLinks across the page when there is no nav element).
+   */
+  function queryNavLinks(nav) {
+    // Prefer nav-scoped links to avoid marking unrelated links
+    if (nav) {
+      try {
+        return Array.prototype.slice.call(nav.querySelectorAll('a[href]') || [], 0);
+      } catch (e) {}
+    }
+    return safeQueryAll(state.config.selectors.navLinks) || [];
+  }
+
+  /**
+   * Record a nav toggle's authored attributes (restored by destroy()) and give it its ARIA wiring.
+   */
+  function prepareNavToggle(btn) {
+    // record original attributes
+    var record = { el: btn, attrs: {} };
+    try { record.attrs.ariaControls = btn.getAttribute('aria-controls'); } catch (e) { record.attrs.ariaControls = null; }
+    try { record.attrs.ariaExpanded = btn.getAttribute(state.config.ariaExpandedAttr); } catch (e) { record.attrs.ariaExpanded = null; }
+    try { record.attrs.role = btn.getAttribute('role'); } catch (e) { record.attrs.role = null; }
+    try { record.attrs.tabIndex = btn.hasAttribute('tabindex') ? btn.getAttribute('tabindex') : null; } catch (e) { record.attrs.tabIndex = null; }
+    state._original.toggles.push(record);
+
+    try {
+      // Ensure it's focusable, if not a button
+      if ((btn.tabIndex === undefined || btn.tabIndex < 0) && btn.getAttribute) {
+        btn.tabIndex = 0;
+      }
+    } catch (e) {}
+
+    // Only set aria-controls if author did not provide one and we have a panel (prefer panel.id)
+    try {
+      var existingControls = null;
+      try { existingControls = btn.getAttribute('aria-controls'); } catch (er) { existingControls = null; }
+      if (!existingControls) {
+        if (state.elements.panel && state.elements.panel.id) {
+          btn.setAttribute('aria-controls', state.elements.panel.id);
+        } else if (state.elements.nav && state.elements.nav.id) {
+          btn.setAttribute('aria-controls', state.elements.nav.id);
+        }
+      } // else preserve author's aria-controls
+    } catch (e) {}
+
+    // Set aria-expanded to reflect state
+    try {
+      btn.setAttribute(state.config.ariaExpandedAttr, String(!!state.isOpen));
+    } catch (e) {}
+
+    // Provide role button for non-button elements but avoid overwriting an author-provided role
+    try {
+      if (btn.tagName && btn.tagName.toLowerCase() !== 'button' && !btn.getAttribute('role')) {
+        btn.setAttribute('role', 'button');
+      }
+    } catch (e) {}
+  }
+
+  /**
+   * Toggles that drive `nav`: selectors.navToggle matches inside `root` (the whole page when root is null) plus,
+   * anywhere on the page, toggles whose aria-controls names the nav, its panel or something inside it. A toggle
+   * whose aria-controls points at another element is left to that element's nav.
+   */
+  function queryNavToggles(nav, root) {
+    return (safeQueryAll(state.config.selectors.navToggle) || []).filter(function (btn) {
+      var controlled = null;
+      try {
+        var controls = btn.getAttribute('aria-controls');
+        if (controls) controlled = document.getElementById(controls);
+      } catch (e) {}
+      if (controlled && nav) return controlled === nav || nav.contains(controlled) || controlled.contains(nav);
+      return !root || root.contains(btn);
+    });
+  }
+
+  /**
+   * Take over `nav` and its toggles for the current state: record authored attributes, wire ARIA and attach the
+   * toggle, Escape and click-outside listeners. Shared by init() and SiteNav.create() instances.
+   */
+  function setupNav(nav, toggles) {
+    toggles = toggles || [];
+    state.elements.nav = nav;
+    state.elements.toggles = toggles;
+    state.elements.links = queryNavLinks(nav);
+    state.elements.panel = findNavPanel(nav);
+
+    // Store original attribute values so we can restore them on destroy
+    state._original = { nav: {}, panel: {}, toggles: [] };
+
+    // ARIA wiring: toggles should aria-controls panel id (preferred) or nav id, but do not overwrite author attributes
+    if (nav) {
+      ensureId(nav, 'site-nav');
+      // store original nav data-open if any
+      try { state._original.nav.dataOpen = nav.getAttribute('data-open'); } catch (e) { state._original.nav.dataOpen = null; }
+    }
+    // store original panel attributes
+    if (state.elements.panel) {
+      try { state._original.panel.ariaHidden = state.elements.panel.getAttribute('aria-hidden'); } catch (e) { state._original.panel.ariaHidden = null; }
+      try { state._original.panel.classListContainsOpen = state.elements.panel.classList ? state.elements.panel.classList.contains(state.config.classNames.panelOpen) : false; } catch (e) { state._original.panel.classListContainsOpen = false; }
+      // ensure panel has an id for aria-controls if needed
+      try { ensureId(state.elements.panel, (nav && nav.id ? nav.id + '-panel' : 'site-nav-panel')); } catch (e) {}
+    }
+
+    toggles.forEach(prepareNavToggle);
+
+    // Toggle click/keyboard
+    toggles.forEach(function (btn) {
+      // Don't use passive on interactive control clicks so we can preventDefault when needed
+      attachListener(btn, 'click', onToggleClick, false);
+      attachListener(btn, 'keydown', onToggleKeydown, false);
+    });
+
+    // Close on escape
+    attachListener(document, 'keydown', onDocumentKeydown, false);
+    // Click outside to close (passive true is fine)
+    attachListener(document, 'click', onDocumentClick, { passive: true });
+  }
+
+  /**
+   * Highlight the active link once the browser is idle (setTimeout fallback); ids are kept for cleanup.
+   */
+  function scheduleHighlight() {
+    try {
+      // clear any previous deferred ids
+      if (state._idleId && typeof cancelIdleCallback === 'function') {
+        try { cancelIdleCallback(state._idleId); } catch (e) {}
+        state._idleId = null;
+      }
+      if (state._timeoutId) {
+        try { clearTimeout(state._timeoutId); } catch (e) {}
+        state._timeoutId = null;
+      }
+
+      if (typeof requestIdleCallback === 'function') {
+        var idleId = requestIdleCallback(boundToState(function () { highlightActiveLink(); }), { timeout: state.config.deferDelay });
+        // store for cleanup
+        state._idleId = idleId;
+      } else {
+        // store timeout id so it can be cleared on destroy
+        state._timeoutId = window.setTimeout(boundToState(function () {
+          // clear stored id once executed
+          state._timeoutId = null;
+          highlightActiveLink();
+        }), state.config.deferDelay);
+      }
+    } catch (e) {
+      // if scheduling fails, run immediately
+      highlightActiveLink();
+    }
+  }
+
+  /**
+   * Undo setupNav() and what hangs off it for the current state: close the nav, drop submenus, scroll-spy and
+   * active-link marks, restore the recorded attributes and cancel the deferred highlight.
+   */
+  function teardownNav() {
+    closeNav({ noVeto: true });
+    teardownScrollSpy();
+    teardownSubmenus();
+
+    // Remove classes from links
+    if (state.elements.links) {
+      state.elements.links.forEach(function (a) {
+        unmarkLinkActive(a);
+      });
+    }
+
+    // Restore toggles attributes from recorded originals
+    if (state._original && state._original.toggles) {
+      state._original.toggles.forEach(function (rec) {
+        var btn = rec.el;
+        var attrs = rec.attrs || {};
+        try {
+          if (attrs.ariaControls === null || attrs.ariaControls === undefined) {
+            btn.removeAttribute('aria-controls');
+          } else {
+            btn.setAttribute('aria-controls', attrs.ariaControls);
+          }
+        } catch (e) {}
+        try {
+          if (attrs.ariaExpanded === null || attrs.ariaExpanded === undefined) {
+            btn.removeAttribute(state.config.ariaExpandedAttr);
+          } else {
+            btn.setAttribute(state.config.ariaExpandedAttr, attrs.ariaExpanded);
+          }
+        } catch (e) {}
+        try {
+          if (attrs.role === null || attrs.role === undefined) {
+            // only remove role if we set it (i.e., was null originally)
+            if (btn.getAttribute && btn.getAttribute('role') === 'button' && btn.tagName.toLowerCase() !== 'button') {
+              btn.removeAttribute('role');
+            }
+          } else {
+            btn.setAttribute('role', attrs.role);
+          }
+        } catch (e) {}
+        try {
+          if (attrs.tabIndex === null || attrs.tabIndex === undefined) {
+            // remove if we added it
+            if (btn.hasAttribute && btn.hasAttribute('tabindex')) btn.removeAttribute('tabindex');
+          } else {
+            btn.setAttribute('tabindex', attrs.tabIndex);
+          }
+        } catch (e) {}
+      });
+    }
+
+    // Restore nav attributes
+    try {
+      if (state.elements.nav) {
+        var origDataOpen = state._original && state._original.nav ? state._original.nav.dataOpen : null;
+        if (origDataOpen === null || origDataOpen === undefined) {
+          try { state.elements.nav.removeAttribute('data-open'); } catch (e) {}
+        } else {
+          try { state.elements.nav.setAttribute('data-open', origDataOpen); } catch (e) {}
+        }
+        // remove nav-level open class if present
+        try { state.elements.nav.classList.remove(state.config.classNames.navOpen); } catch (e) {}
+      }
+    } catch (e) {}
+
+    // Restore panel attributes and classes
+    try {
+      var panel = state.elements.panel;
+      if (panel && state._original && state._original.panel) {
+        var origAria = state._original.panel.ariaHidden;
+        if (origAria === null || origAria === undefined) {
+          try { panel.removeAttribute('aria-hidden'); } catch (e) {}
+        } else {
+          try { panel.setAttribute('aria-hidden', origAria); } catch (e) {}
+        }
+        // Restore panel open class presence based on recorded boolean
+        try {
+          var hadOpen = !!state._original.panel.classListContainsOpen;
+          var panelClass = state.config.classNames.panelOpen;
+          if (!hadOpen) {
+            panel.classList.remove(panelClass);
+          } else {
+            panel.classList.add(panelClass);
+          }
+        } catch (e) {}
+      }
+    } catch (e) {}
+
+    // Cancel idle callback if pending and clear timeout fallback
+    try {
+      if (state._idleId && typeof cancelIdleCallback === 'function') {
+        try { cancelIdleCallback(state._idleId); } catch (e) {}
+      }
+    } catch (e) {}
+    try {
+      if (state._timeoutId) {
+        try { clearTimeout(state._timeoutId); } catch (e) {}
+      }
+    } catch (e) {}
+    state._idleId = null;
+    state._timeoutId = null;
+  }
+
+  /**
+   * Initialize: find elements, set ARIA defaults, attach listeners.
+   * Options may override selectors and classes.
+   */
+  function init(options) {
+    // Respect an existing initialization marker from other scripts (avoid double-init)
+    // But allow re-init when explicit options are provided (fixes earlier short-circuit problem)
+    if (typeof window !== 'undefined' && window.__siteNavReady === true && !options) {
+      return;
+    }
+
+    if (state.initted) {
+      // Idempotent: ensure re-configuration if options passed
+      if (!options) return;
+    }
+    state.config = resolveConfig(options);
+
+    // Attach event handlers (avoid duplicates by removing any previously attached)
+    removeAllListeners();
+
+    // Query DOM via safe helpers with tolerant selectors
+    var nav = safeQuerySelector(state.config.selectors.nav);
+    setupNav(nav, queryNavToggles(nav, null));
+
+    // Locale: <html lang>/dir, [data-i18n] page text and the language switcher (before anything labels itself)
+    try {
+      initI18n();
+    } catch (e) {}
+
+    // Nested menus: disclosure triggers, arrow keys, hover intent
+    try {
+      initSubmenus();
+    } catch (e) {}
+
+    // Add a delegated link handler to support opt-in SPA/hijack links while ensuring .html links are not blocked
+    attachListener(document, 'click', delegatedLinkHandler, false);
+
+    // Router: mark the landing entry so back/forward to it can be re-rendered after partial swaps
+    if (canRoute()) {
+      state._router.currentUrl = location.href;
+      try {
+        if (!history.state || !history.state.siteNav) {
+          history.replaceState({ siteNav: true, url: location.href }, '', location.href);
+        }
+      } catch (e) {}
+      attachListener(window, 'popstate', onPopState, false);
+    }
+
+    // Demo deep links: Back/Forward (and hand-edited hashes) open or close the demo modal
+    if (demoDeepLinksEnabled()) {
+      attachListener(window, 'popstate', onDemoHistoryChange, false);
+      attachListener(window, 'hashchange', onDemoHistoryChange, false);
+    }
+
+    // Prefetch nav pages on hover (with intent delay), keyboard focus and touch
+    if (state.config.prefetch && typeof window.fetch === 'function') {
+      attachListener(document, 'mouseover', onPrefetchHover, { passive: true });
+      attachListener(document, 'mouseout', onPrefetchHoverEnd, { passive: true });
+      attachListener(document, 'focusin', onPrefetchIntent, false);
+      attachListener(document, 'touchstart', onPrefetchIntent, { passive: true });
+    }
+
+    // Update any year placeholders
+    updateCurrentYear();
+
+    // Add a root class to mark JS presence (used by CSS to hide/show enhanced parts)
+    try {
+      if ('classList' in document.documentElement && document.documentElement.classList) {
+        if (!document.documentElement.classList.contains('js')) {
+          document.documentElement.classList.add('js');
+        }
+      }
+    } catch (e) {}
+
+    // Initialize service cards (enhanced only when environment supports required features)
+    try {
+      initServiceCards();
+    } catch (e) {
+      // swallow - progressive enhancement
+    }
+
+    // Enable contact forms that have an endpoint (placeholder forms stay disabled otherwise)
+    try {
+      initContactForm();
+    } catch (e) {}
+
+    // Newsletter sign-up (validation, spam checks, double opt-in landing)
+    try {
+      initNewsletterForm();
+    } catch (e) {}
+
+    // Analytics: adapters from options, link clicks, and a final flush when the page is hidden or unloaded
+    (state.config.analyticsAdapters || []).forEach(useAnalyticsAdapter);
+    attachListener(document, 'click', onAnalyticsLinkClick, { capture: true, passive: true });
+    attachListener(window, 'pagehide', onAnalyticsPageHide, false);
+    attachListener(document, 'visibilitychange', onAnalyticsVisibilityChange, false);
+
+    // Theme: toggles plus OS and cross-tab changes (the inline <head> snippet already applied data-theme)
+    try {
+      initTheme();
+    } catch (e) {}
+
+    // Search: "/" shortcut and [data-search-open] controls (the index is built on first open)
+    try {
+      initSearch();
+    } catch (e) {}
+
+    // Command palette shortcut
+    if (state.config.commandPalette !== false) attachListener(document, 'keydown', onCommandShortcut, false);
+
+    // Consent: footer "Manage cookies" hooks, embeds already allowed, and the first-visit prompt
+    if (consentEnabled()) {
+      attachListener(document, 'click', onConsentManageClick, false);
+      try { activateConsentEmbeds(); } catch (e) {}
+      if (!readConsent() && !isConsentPolicyPage()) {
+        try { openConsentDialog(); } catch (e) {}
+      }
+    }
+
+    // Deliver submissions queued while offline: when connectivity returns and shortly after load (only when
+    // something is queued, so other visitors never get an IndexedDB database)
+    if (queueEnabled() && typeof window.fetch === 'function') {
+      attachListener(window, 'online', onQueueOnline, false);
+      if (queuedCount()) scheduleQueueFlush(state.config.deferDelay || DEFAULTS.deferDelay);
+    }
+
+    // Follow scrolling for in-page section links (before the deferred highlight so it skips them)
+    try {
+      initScrollSpy();
+    } catch (e) {}
+
+    // Wire demo CTAs (no-op on pages without demo blocks)
+    try {
+      initDemoBlocks();
+      scheduleDemoDeepLink();
+    } catch (e) {}
+
+    // Declarative [data-modal-target] / [data-modal-src] triggers
+    try {
+      initModalTriggers();
+    } catch (e) {}
+
+    // Highlight active link - defer if possible and record IDs for cleanup
+    scheduleHighlight();
+
+    // Observe mode: pick up content inserted later
+    try {
+      startObserver();
+    } catch (e) {}
+
+    // Mark initted to prevent duplicate init
+    state.initted = true;
+
+    // Handshake marker for other inline scripts
+    try {
+      if (typeof window !== 'undefined') window.__siteNavReady = true;
+    } catch (e) {}
+
+    emit('sitenav:init', { config: getConfig() });
+  }
+
+  /**
+   * Tear down behavior and restore initial aria/class state.
+   */
+  function destroy() {
+    if (!state.initted) return;
+
+    // Close nav
+    closeNav({ noVeto: true });
+
+    // Close demo modal if open
+    if (state._demo && state._demo.isOpen) {
+      closeDemoModal(true);
+    }
+    closeConsentDialog(true);
+    teardownThemeToggles();
+    teardownSearch();
+    closeCommandPalette(true);
+    closeAllDialogs(true);
+    teardownI18n();
+
+    // Nav: submenus, scroll-spy, active-link marks and the authored toggle/nav/panel attributes
+    teardownNav();
+
+    // Clear any demo close timeout
+    try {
+      if (state._demo && state._demo._closeTimeoutId) {
+        clearTimeout(state._demo._closeTimeoutId);
+        state._demo._closeTimeoutId = null;
+      }
+      if (state._demo && state._demo._deepLinkTimeoutId) {
+        clearTimeout(state._demo._deepLinkTimeoutId);
+        state._demo._deepLinkTimeoutId = null;
+      }
+    } catch (e) {}
+
+    // Stop observe mode before teardown mutates the page
+    stopObserver();
+
+    // Abort any in-flight router fetch, pending hover prefetch, and drop cached pages
+    cancelPendingRoute();
+    cancelHoverPrefetch();
+    clearCache();
+
+    // Remove listeners (including demo CTA listeners registered by initDemoBlocks)
+    removeAllListeners();
+    removeDemoListeners('ctaListeners');
+    teardownModalTriggers();
+
+    // Restore service card attributes and remove expanded state
+    try {
+      teardownServiceCards();
+    } catch (e) {}
+
+    // Abort contact submissions and restore the authored form markup; stored submissions stay queued
+    try {
+      teardownContactForms();
+      teardownNewsletterForms();
+    } catch (e) {}
+    clearQueueTimer();
+    flushAnalytics();
+
+    // Remove body open class if set (kept while a SiteNav.create() nav using it is open)
+    try {
+      if (state.config && state.config.bodyOpenClass) setBodyOpenClass(state.config.bodyOpenClass, false);
+    } catch (e) {}
+
+    // Reset state
+    state.initted = false;
+    state.isOpen = false;
+    state.elements = { nav: null, panel: null, toggles: [], links: [] };
+    state._original = { nav: {}, panel: {}, toggles: [] };
+    state._serviceCards = [];
+    state._contactForms = [];
+    state._newsletterForms = [];
+    state._activeHrefs = null;
+    state._themeToggles = [];
+    state._submenus = [];
+    state._searchOpeners = [];
+
+    // Clear initialization handshake flag
+    try {
+      if (typeof window !== 'undefined') window.__siteNavReady = false;
+    } catch (e) {}
+
+    emit('sitenav:destroy', {});
+  }
+
+  /**
+   * Demo modal utilities
+   */
+
+  function addDemoListener(target, type, handler, capture, bucket) {
+    if (!target || !target.addEventListener) return;
+    bucket = bucket || 'listeners';
+    try {
+      target.addEventListener(type, handler, !!capture);
+      state._demo[bucket].push({ target: target, type: type, handler: handler, capture: !!capture });
+    } catch (e) {
+      // ignore
+    }
+  }
+
+  function removeDemoListeners(bucket) {
+    bucket = bucket || 'listeners';
+    var arr = state._demo[bucket] || [];
+    for (var i = 0; i < arr.length; i++) {
+      try {
+        var it = arr[i];
+        it.target.removeEventListener(it.type, it.handler, it.capture || false);
+      } catch (e) {}
+    }
+    state._demo[bucket] = [];
+  }
+
+  function getFocusableElements(container) {
+    if (!container || !container.querySelectorAll) return [];
+    var selector = 'a[href], area[href], input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), button:not([disabled]), iframe, [tabindex]:not([tabindex="-1"])';
+    try {
+      return Array.prototype.slice.call(container.querySelectorAll(selector), 0);
+    } catch (e) {
+      return [];
+    }
+  }
+
+  /**
+   * Event bus
+   *
+   * Behavior:
+   *  - on(name, handler) / off(name, handler) / once(name, handler); on() and once() return an unsubscribe function.
+   *  - Every event is also dispatched as a bubbling DOM CustomEvent (on document unless a target is given), so
+   *    plain addEventListener works too. demo:click is the exception: as before the bus, it is dispatched on the
+   *    CTA without bubbling. Handlers receive { type, detail, cancelable, defaultPrevented,
+   *    preventDefault() }; the DOM listeners run first.
+   *  - "before" events are cancelable: preventDefault() from either side vetoes the action.
+   *  - Events: sitenav:init, sitenav:destroy, nav:beforetoggle, nav:toggle, nav:activechange, demo:click,
+   *    demo:beforeopen, demo:open, demo:beforeclose, demo:close, service:beforetoggle, service:toggle,
+   *    consent:change, theme:change, locale:change, dialog:open, dialog:close.
+   *  - Handlers live outside init/destroy (like analytics adapters) so they can be registered before init()
+   *    and still hear sitenav:destroy.
+   */
+
+  var busHandlers = {};
+
+  function onEvent(name, handler) {
+    if (typeof name !== 'string' || !name || typeof handler !== 'function') return function () {};
+    busHandlers[name] = (busHandlers[name] || []).concat([{ handler: handler, once: false }]);
+    return function () { offEvent(name, handler); };
+  }
+
+  function onceEvent(name, handler) {
+    if (typeof name !== 'string' || !name || typeof handler !== 'function') return function () {};
+    busHandlers[name] = (busHandlers[name] || []).concat([{ handler: handler, once: true }]);
+    return function () { offEvent(name, handler); };
+  }
+
+  /**
+   * Remove a handler (every registration of it), or all handlers for `name` when none is given.
+   */
+  function offEvent(name, handler) {
+    if (!busHandlers[name]) return;
+    if (typeof handler !== 'function') {
+      delete busHandlers[name];
+      return;
+    }
+    busHandlers[name] = busHandlers[name].filter(function (entry) { return entry.handler !== handler; });
+    if (!busHandlers[name].length) delete busHandlers[name];
+  }
+
+  /**
+   * Dispatch `name` to the DOM and to bus handlers. opts.cancelable makes it vetoable; opts.target is the DOM
+   * dispatch target (default: the root of the running SiteNav.create() instance, else document); opts.bubbles: false
+   * keeps the DOM event on that target. Returns false when the event was cancelled.
+   */
+  function emit(name, detail, opts) {
+    opts = opts || {};
+    var cancelable = !!opts.cancelable;
+    var prevented = false;
+    var target = opts.target && opts.target.dispatchEvent ? opts.target : (state.root || document);
+    try {
+      var domEvent = new CustomEvent(name, { detail: detail, bubbles: opts.bubbles !== false, cancelable: cancelable });
+      if (!target.dispatchEvent(domEvent)) prevented = true;
+    } catch (e) {}
+
+    var event = {
+      type: name,
+      detail: detail,
+      target: target,
+      cancelable: cancelable,
+      defaultPrevented: prevented,
+      preventDefault: function () {
+        if (cancelable) event.defaultPrevented = true;
+      }
+    };
+    // Snapshot so handlers that unsubscribe (or once handlers) do not disturb the loop
+    var entries = (busHandlers[name] || []).slice();
+    entries.forEach(function (entry) {
+      if (entry.once) offEvent(name, entry.handler);
+      try {
+        entry.handler(event);
+      } catch (e) {
+        try {
+          if (window.console && window.console.error) window.console.error('SiteNav: "' + name + '" handler failed', e);
+        } catch (e2) {}
+      }
+    });
+    return !(cancelable && event.defaultPrevented);
+  }
+
+  /**
+   * Modal primitives
+   * Shared by the demo modal, the consent, search and command dialogs and SiteNav.dialog:
+   *  - buildModalShell(): overlay > dialog (a non-modal <dialog open> where supported, else a div; role="dialog",
+   *    aria-modal, labelled title) > content with body + actions.
+   *  - showModalShell() / hideModalShell(): attach + fade in / fade out + detach, keeping body.modal-open while at
+   *    least one shell is open. Everything but the topmost shell is made inert (shells underneath included); where
+   *    inert is unsupported, <main> and the lower shells get aria-hidden instead.
+   *  - createModalKeydownHandler(): Escape callback plus Tab / Shift+Tab focus trap.
+   *  - addModalListener() / removeModalListeners() keep an open shell's listeners on its owner record,
+   *    addModalDismissListeners() wires the trap, Escape and backdrop clicks, and restoreModalFocus() hands
+   *    focus back to the opener on close.
+   */
+
+  // Shells currently shown, topmost last; <main> stays hidden from assistive tech until the last one closes
+  var modalStack = [];
+  // Elements made inert (or aria-hidden) by syncModalIsolation(), with the attribute used
+  var isolatedNodes = [];
+
+  function supportsNativeDialog() {
+    return typeof window.HTMLDialogElement === 'function' && 'open' in window.HTMLDialogElement.prototype;
+  }
+
+  function supportsInert() {
+    return typeof window.HTMLElement === 'function' && 'inert' in window.HTMLElement.prototype;
+  }
+
+  /**
+   * Shut everything except the topmost shell away from focus and assistive tech (undo it when none is open).
+   */
+  function syncModalIsolation() {
+    isolatedNodes.forEach(function (item) {
+      try { item.el.removeAttribute(item.attr); } catch (e) {}
+    });
+    isolatedNodes = [];
+    var top = modalStack[modalStack.length - 1];
+    if (!top) {
+      try { document.body.classList.remove('modal-open'); } catch (e) {}
+      return;
+    }
+    // Add body class for modal open (styles can use .modal-open)
+    try { document.body.classList.add('modal-open'); } catch (e) {}
+    var attr = supportsInert() ? 'inert' : 'aria-hidden';
+    var targets = [];
+    if (attr === 'inert') {
+      targets = Array.prototype.slice.call(document.body.children);
+    } else {
+      var main = safeQuerySelector('main');
+      if (main) targets.push(main);
+      modalStack.forEach(function (open) { targets.push(open.overlay); });
+    }
+    targets.forEach(function (el) {
+      // Leave the top shell alone, and never take over an attribute the author set
+      if (el === top.overlay || el.hasAttribute(attr) || /^(SCRIPT|STYLE|TEMPLATE|LINK|META|TITLE)$/.test(el.tagName)) return;
+      try {
+        el.setAttribute(attr, attr === 'inert' ? '' : 'true');
+        isolatedNodes.push({ el: el, attr: attr });
+      } catch (e) {}
+    });
+  }
+
+  /**
+   * Build a detached modal shell. Class names derive from opts.prefix ("demo-modal" -> .demo-modal-overlay,
+   * .demo-modal, .demo-modal-content, .demo-modal-title, .demo-modal-body, .demo-modal-actions).
+   */
+  function buildModalShell(opts) {
+    opts = opts || {};
+    var prefix = opts.prefix || 'modal';
+    var overlay = document.createElement('div');
+    // Add both a generic modal class and a specific class for CSS compatibility
+    overlay.className = 'modal-overlay ' + prefix + '-overlay';
+    overlay.style.zIndex = 10000;
+    overlay.setAttribute('role', 'presentation');
+
+    var dialog = document.createElement(supportsNativeDialog() ? 'dialog' : 'div');
+    dialog.className = 'modal-content ' + prefix;
+    // Shown non-modally: the overlay and syncModalIsolation() provide the modality, so shells can still stack
+    if (dialog.tagName.toLowerCase() === 'dialog') dialog.setAttribute('open', '');
+    var titleId = prefix + '-title-' + (opts.idSuffix || Math.random().toString(36).slice(2, 6));
+    dialog.setAttribute('role', opts.role || 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-labelledby', titleId);
+    dialog.setAttribute('tabindex', '-1');
+
+    // Visual wrapper (body)
+    var content = document.createElement('div');
+    content.className = 'modal-body ' + prefix + '-content';
+
+    var title = document.createElement('h2');
+    title.id = titleId;
+    title.className = prefix + '-title';
+    title.textContent = opts.title || '';
+
+    var body = document.createElement('div');
+    body.className = prefix + '-body';
+
+    var actions = document.createElement('div');
+    actions.className = prefix + '-actions';
+
+    content.appendChild(title);
+    content.appendChild(body);
+    content.appendChild(actions);
+    dialog.appendChild(content);
+    overlay.appendChild(dialog);
+
+    return { overlay: overlay, dialog: dialog, content: content, title: title, body: body, actions: actions };
+  }
+
+  /**
+   * Attach a shell, hide the page behind it from screen readers and fade it in.
+   */
+  function showModalShell(m) {
+    try {
+      document.body.appendChild(m.overlay);
+    } catch (e) {
+      // fallback: append to documentElement
+      try { document.documentElement.appendChild(m.overlay); } catch (e2) {}
+    }
+    modalStack.push(m);
+    syncModalIsolation();
+    // Make overlay visible by adding is-open class (use RAF to allow CSS transitions)
+    try {
+      window.requestAnimationFrame(function () {
+        try { m.overlay.classList.add('is-open'); } catch (e) {}
+      });
+    } catch (e) {
+      try { m.overlay.classList.add('is-open'); } catch (e2) {}
+    }
+  }
+
+  /**
+   * Fade a shell out and detach it (immediately when forceRemove). Returns the pending removal timeout id, if any.
+   */
+  function hideModalShell(m, forceRemove) {
+    modalStack = modalStack.filter(function (open) { return open !== m; });
+    syncModalIsolation();
+    if (!m || !m.overlay) return null;
+    try { m.overlay.classList.remove('is-open'); } catch (e) {}
+    var detach = function () {
+      try {
+        if (m.overlay && m.overlay.parentNode) m.overlay.parentNode.removeChild(m.overlay);
+      } catch (e) {}
+    };
+    // Remove element after 180ms (animation friendly). If forceRemove, remove immediately.
+    if (forceRemove) {
+      detach();
+      return null;
+    }
+    return setTimeout(detach, 180);
+  }
+
+  /**
+   * Keydown handler for an open dialog: Escape runs onEscape, Tab / Shift+Tab wrap focus inside `dialog`.
+   * Ignored while another shell is stacked on top, so Escape only closes the topmost one.
+   */
+  function createModalKeydownHandler(dialog, onEscape) {
+    return function (ev) {
+      var top = modalStack[modalStack.length - 1];
+      if (top && top.dialog !== dialog) return;
+      var code = ev.key || ev.keyCode;
+      if (code === 'Escape' || code === 'Esc' || code === 27) {
+        if (!onEscape) return;
+        ev.preventDefault && ev.preventDefault();
+        onEscape(ev);
+        return;
+      }
+      if (code === 'Tab' || code === 9) {
+        // trap focus inside modal
+        var focusables = getFocusableElements(dialog);
+        if (!focusables || !focusables.length) {
+          // nothing focusable, keep focus on dialog
+          ev.preventDefault && ev.preventDefault();
+          try { dialog.focus(); } catch (e) {}
+          return;
+        }
+        var first = focusables[0];
+        var last = focusables[focusables.length - 1];
+        var active = document.activeElement;
+        var shift = ev.shiftKey;
+        if (shift && (active === first || !dialog.contains(active))) {
+          ev.preventDefault && ev.preventDefault();
+          try { last.focus(); } catch (e) {}
+        } else if (!shift && (active === last || !dialog.contains(active))) {
+          ev.preventDefault && ev.preventDefault();
+          try { first.focus(); } catch (e) {}
+        }
+      }
+    };
+  }
+
+  /**
+   * Listen on `target` while a shell is open; the listener is kept in owner.listeners for removeModalListeners().
+   */
+  function addModalListener(owner, target, type, handler, opts) {
+    try {
+      target.addEventListener(type, handler, opts || false);
+      owner.listeners.push({ target: target, type: type, handler: handler, opts: opts || false });
+    } catch (e) {}
+  }
+
+  function removeModalListeners(owner) {
+    (owner.listeners || []).forEach(function (l) {
+      try { l.target.removeEventListener(l.type, l.handler, l.opts); } catch (e) {}
+    });
+    owner.listeners = [];
+  }
+
+  /**
+   * Focus trap plus dismissal for shell `m`: Escape calls onDismiss (none when it is null) and so does a click on
+   * the backdrop when `backdrop` is true.
+   */
+  function addModalDismissListeners(owner, m, onDismiss, backdrop) {
+    if (backdrop) {
+      addModalListener(owner, m.overlay, 'click', function (e) {
+        if (e.target === m.overlay) onDismiss();
+      });
+    }
+    addModalListener(owner, document, 'keydown', createModalKeydownHandler(m.dialog, onDismiss ? function () { onDismiss(); } : null));
+  }
+
+  /**
+   * Give focus back to the element that had it before a shell opened.
+   */
+  function restoreModalFocus(el) {
+    try {
+      if (el && typeof el.focus === 'function') el.focus();
+    } catch (e) {}
+  }
+
+  /**
+   * Dialogs
+   *
+   * Behavior:
+   *  - dialog.open(source, opts) shows a dialog on the modal shell and returns a Promise that resolves with the
+   *    value of the button that closed it, or null when it was dismissed (Escape, backdrop click, close()).
+   *  - source: a DOM node, "#id" of a <template> (its content is cloned) or of any other element (moved in and
+   *    put back on close), "page.html#id" (that element, fetched through the router's page cache) or plain text.
+   *    Only addresses ending in .html / .htm or "/" before the "#" are fetched, so text such as "Ticket#42" stays
+   *    text; opts.src: true fetches any other same-origin "url#id" as well.
+   *  - opts: title, label (accessible name when there is no title), buttons ([{ label, value, primary }], default a
+   *    single Close), role ('dialog' or 'alertdialog'), dismissible (false ignores Escape and the backdrop),
+   *    src (see above), className, opener (element that gets focus back and receives the DOM events; default the focused element).
+   *    Inside the content, [data-dialog-close="value"] elements and <form method="dialog"> submissions close it.
+   *  - Dialogs stack. Each remembers the element that had focus when it opened and returns focus there on close;
+   *    closing one that is not on top hands its element to the dialog above it instead.
+   *  - confirm(message, opts) resolves true/false; alert(message, opts) resolves once dismissed.
+   *  - Emits "dialog:open" { id } and "dialog:close" { id, value } (as DOM events on the opener when one is given).
+   */
+
+  // Open dialogs, topmost last; like modalStack this is module-level so destroy() can close them all
+  var dialogState = {
+    stack: [],
+    seq: 0
+  };
+
+  function dialogMessages() {
+    return localized('dialogMessages');
+  }
+
+  function findDialogRecord(id) {
+    for (var i = 0; i < dialogState.stack.length; i++) {
+      if (dialogState.stack[i].id === id) return dialogState.stack[i];
+    }
+    return null;
+  }
+
+  function setDialogText(rec, text) {
+    var p = document.createElement('p');
+    p.className = 'dialog-text';
+    p.textContent = text;
+    rec.m.body.appendChild(p);
+  }
+
+  /**
+   * Move an element of the page into the dialog, leaving a placeholder so it can be put back on close.
+   */
+  function borrowDialogContent(rec, el) {
+    if (!el.parentNode) {
+      rec.m.body.appendChild(el);
+      return;
+    }
+    var placeholder = document.createComment('sitenav-dialog-content');
+    el.parentNode.insertBefore(placeholder, el);
+    rec.borrowed = { el: el, placeholder: placeholder, hidden: el.hasAttribute('hidden') };
+    el.removeAttribute('hidden');
+    rec.m.body.appendChild(el);
+  }
+
+  function returnDialogContent(rec) {
+    var b = rec.borrowed;
+    if (!b) return;
+    rec.borrowed = null;
+    try {
+      if (b.hidden) b.el.setAttribute('hidden', '');
+      if (b.placeholder.parentNode) {
+        b.placeholder.parentNode.insertBefore(b.el, b.placeholder);
+        b.placeholder.parentNode.removeChild(b.placeholder);
+      }
+    } catch (e) {}
+  }
+
+  // The address before the "#" of a fragment source: a page (.html / .htm) or a directory, optionally with a query
+  var DIALOG_PAGE_PATTERN = /(\.html?|\/)(\?[^#]*)?$/i;
+
+  /**
+   * True when string `text` names an element on another same-origin page ("page.html#id").
+   */
+  function isDialogFragmentUrl(text, src) {
+    var hashAt = text.indexOf('#');
+    if (hashAt <= 0 || /\s/.test(text) || !isSameOriginUrl(text)) return false;
+    return src === true || DIALOG_PAGE_PATTERN.test(text.slice(0, hashAt));
+  }
+
+  function mountDialogContent(rec, source) {
+    var msg = dialogMessages();
+    if (source && source.nodeType) {
+      borrowDialogContent(rec, source);
+      return;
+    }
+    var text = source === undefined || source === null ? '' : String(source);
+    var hashAt = text.indexOf('#');
+    if (hashAt === 0 && text.length > 1) {
+      var el = document.getElementById(safeDecode(text.slice(1)));
+      if (!el) {
+        setDialogText(rec, msg.failed);
+      } else if (el.tagName && el.tagName.toLowerCase() === 'template') {
+        rec.m.body.appendChild(document.importNode(el.content, true));
+      } else {
+        borrowDialogContent(rec, el);
+      }
+      return;
+    }
+    if (isDialogFragmentUrl(text, rec.opts.src)) {
+      var url = new URL(text, location.href).href;
+      var id = safeDecode(url.split('#')[1] || '');
+      rec.m.body.setAttribute('aria-busy', 'true');
+      setDialogText(rec, msg.loading);
+      Promise.resolve().then(function () {
+        return fetchDocument(url);
+      }).then(function (doc) {
+        var found = id ? doc.getElementById(id) : null;
+        if (!found) throw new Error('no element #' + id + ' in ' + url);
+        return found;
+      }).then(function (found) {
+        if (!findDialogRecord(rec.id)) return;
+        rec.m.body.textContent = '';
+        rec.m.body.appendChild(document.importNode(found, true));
+      }, function (err) {
+        try {
+          if (window.console && window.console.warn) window.console.warn('SiteNav.dialog: could not load ' + text, err && err.message ? err.message : err);
+        } catch (e) {}
+        if (!findDialogRecord(rec.id)) return;
+        rec.m.body.textContent = '';
+        setDialogText(rec, msg.failed);
+      }).then(function () {
+        rec.m.body.removeAttribute('aria-busy');
+      });
+      return;
+    }
+    setDialogText(rec, text);
+  }
+
+  /**
+   * Open a dialog; resolves with the closing value. See the section comment for sources and options.
+   */
+  function openDialog(source, opts) {
+    opts = opts || {};
+    var msg = dialogMessages();
+    dialogState.seq += 1;
+    var id = 'sitenav-dialog-' + dialogState.seq;
+    var m = buildModalShell({ prefix: 'dialog', idSuffix: String(dialogState.seq), title: opts.title || '', role: opts.role });
+    if (opts.className) m.dialog.className += ' ' + opts.className;
+    m.overlay.setAttribute('data-dialog', id);
+    // Without a title the content names the dialog
+    if (!opts.title) {
+      m.title.parentNode.removeChild(m.title);
+      m.dialog.removeAttribute('aria-labelledby');
+      if (opts.label) m.dialog.setAttribute('aria-label', opts.label);
+    }
+    m.body.id = id + '-body';
+    m.dialog.setAttribute('aria-describedby', m.body.id);
+
+    var rec = {
+      id: id,
+      m: m,
+      opts: opts,
+      listeners: [],
+      lastActive: opts.opener || document.activeElement || null,
+      opener: opts.opener || null,
+      borrowed: null,
+      resolve: null
+    };
+    var promise = new Promise(function (resolve) { rec.resolve = resolve; });
+
+    mountDialogContent(rec, source);
+
+    var buttons = opts.buttons || [{ label: msg.close, value: null }];
+    var primary = null;
+    buttons.forEach(function (spec) {
+      var btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'btn ' + (spec.primary ? 'btn-primary' : 'btn-ghost') + ' dialog-button';
+      btn.textContent = spec.label;
+      var value = spec.value === undefined ? spec.label : spec.value;
+      addModalListener(rec, btn, 'click', function () { closeDialog(value, id); });
+      m.actions.appendChild(btn);
+      if (spec.primary && !primary) primary = btn;
+    });
+
+    dialogState.stack.push(rec);
+    showModalShell(m);
+
+    addModalListener(rec, m.dialog, 'click', function (e) {
+      var closer = e.target && e.target.closest ? e.target.closest('[data-dialog-close]') : null;
+      if (!closer || !m.dialog.contains(closer)) return;
+      if (e.preventDefault) e.preventDefault();
+      closeDialog(closer.getAttribute('data-dialog-close') || null, id);
+    });
+    addModalListener(rec, m.dialog, 'submit', function (e) {
+      var form = e.target;
+      if (!form || (form.getAttribute('method') || '').toLowerCase() !== 'dialog') return;
+      if (e.preventDefault) e.preventDefault();
+      var submitter = e.submitter || null;
+      closeDialog(submitter && submitter.value ? submitter.value : null, id);
+    });
+    var dismissible = opts.dismissible !== false;
+    addModalDismissListeners(rec, m, dismissible ? function () { closeDialog(null, id); } : null, dismissible);
+
+    window.setTimeout(function () {
+      if (!findDialogRecord(id)) return;
+      var first = primary || getFocusableElements(m.body)[0] || getFocusableElements(m.actions)[0] || m.dialog;
+      try { first.focus(); } catch (e) {}
+    }, 10);
+
+    emit('dialog:open', { id: id }, { target: rec.opener });
+    return promise;
+  }
+
+  /**
+   * Close the dialog `id` (the topmost when omitted) and resolve its promise with `value`.
+   * Returns false when there was nothing to close.
+   */
+  function closeDialog(value, id, forceRemove) {
+    var rec = id ? findDialogRecord(id) : dialogState.stack[dialogState.stack.length - 1];
+    if (!rec) return false;
+    var index = dialogState.stack.indexOf(rec);
+    dialogState.stack.splice(index, 1);
+    removeModalListeners(rec);
+    returnDialogContent(rec);
+    hideModalShell(rec.m, forceRemove);
+
+    // Focus-restore stack: the dialog now occupying this slot inherits our opener
+    var above = dialogState.stack[index];
+    if (above) {
+      if (above.lastActive && rec.m.overlay.contains(above.lastActive)) above.lastActive = rec.lastActive;
+    } else {
+      restoreModalFocus(rec.lastActive);
+    }
+    var result = value === undefined ? null : value;
+    emit('dialog:close', { id: rec.id, value: result }, { target: rec.opener });
+    rec.resolve(result);
+    return true;
+  }
+
+  function closeAllDialogs(forceRemove) {
+    while (dialogState.stack.length) closeDialog(null, null, forceRemove);
+  }
+
+  function confirmDialog(message, opts) {
+    opts = opts || {};
+    var msg = dialogMessages();
+    return openDialog(message, {
+      title: opts.title,
+      label: opts.label,
+      role: 'alertdialog',
+      className: opts.className,
+      buttons: [
+        { label: opts.cancelLabel || msg.cancel, value: false },
+        { label: opts.confirmLabel || msg.ok, value: true, primary: true }
+      ]
+    }).then(function (value) {
+      return value === true;
+    });
+  }
+
+  function alertDialog(message, opts) {
+    opts = opts || {};
+    return openDialog(message, {
+      title: opts.title,
+      label: opts.label,
+      role: 'alertdialog',
+      className: opts.className,
+      buttons: [{ label: opts.okLabel || dialogMessages().ok, value: null, primary: true }]
+    }).then(function () {
+      return undefined;
+    });
+  }
+
+  var dialog = {
+    open: openDialog,
+    close: function (value, id) { return closeDialog(value, id); },
+    closeAll: function () { closeAllDialogs(); },
+    confirm: confirmDialog,
+    alert: alertDialog,
+    count: function () { return dialogState.stack.length; }
+  };
+
+  /**
+   * Declarative modal triggers
+   *
+   * Behavior:
+   *  - Any element with data-modal-target="#template-or-id" or data-modal-src="fragment.html#section" opens a
+   *    SiteNav.dialog with that content (templates are cloned, page elements borrowed, fragments fetched).
+   *  - data-modal-title sets a visible title (otherwise the trigger's text names the dialog);
+   *    data-modal-size="small" | "large" | "full" resizes it; data-modal-dismissible="false" ignores Escape and
+   *    backdrop clicks, leaving the Close button and any [data-dialog-close] control in the content.
+   *  - Links keep their href as the no-JS fallback; other non-button triggers become focusable role="button"s.
+   *  - initModalTriggers() re-scans the document: init() and router swaps call it, and so can code that inserts
+   *    content. Wired triggers are recorded in state._modalTriggers so destroy() restores their attributes.
+   */
+
+  var MODAL_SIZES = ['small', 'large', 'full'];
+
+  function findModalTriggerRecord(el) {
+    var recs = state._modalTriggers || [];
+    for (var i = 0; i < recs.length; i++) {
+      if (recs[i].el === el) return recs[i];
+    }
+    return null;
+  }
+
+  /**
+   * Open the dialog described by a trigger's data-modal-* attributes. Resolves like dialog.open().
+   */
+  function openModalFromTrigger(el) {
+    var target = el.getAttribute('data-modal-target');
+    var source = target || el.getAttribute('data-modal-src') || '';
+    var size = el.getAttribute('data-modal-size') || '';
+    var label = (el.getAttribute('aria-label') || el.textContent || '').replace(/\s+/g, ' ').trim();
+    return openDialog(source, {
+      title: el.getAttribute('data-modal-title') || '',
+      // data-modal-src always names a fragment to fetch
+      src: !target,
+      label: label,
+      className: MODAL_SIZES.indexOf(size) !== -1 ? 'dialog--' + size : '',
+      dismissible: el.getAttribute('data-modal-dismissible') !== 'false',
+      opener: el
+    });
+  }
+
+  function onModalTriggerClick(e) {
+    var el = e.currentTarget;
+    if (!el) return;
+    // Modified clicks on links still open the page itself (new tab / window)
+    if (el.hasAttribute('href') && (e.metaKey || e.ctrlKey || e.shiftKey || e.altKey || e.button > 0)) return;
+    if (e.preventDefault) e.preventDefault();
+    openModalFromTrigger(el);
+  }
+
+  function onModalTriggerKeydown(e) {
+    var code = e.key || e.keyCode;
+    if (code === 'Enter' || code === 13 || code === ' ' || code === 'Spacebar' || code === 32) {
+      if (e.preventDefault) e.preventDefault();
+      openModalFromTrigger(e.currentTarget);
+    }
+  }
+
+  function teardownModalTriggers() {
+    (state._modalTriggers || []).forEach(function (rec) {
+      var el = rec.el;
+      try {
+        el.removeEventListener('click', onModalTriggerClick, false);
+        if (rec.keyboard) el.removeEventListener('keydown', onModalTriggerKeydown, false);
+        ['role', 'tabindex', 'aria-haspopup'].forEach(function (attr) {
+          if (rec.attrs[attr] === null) el.removeAttribute(attr);
+          else el.setAttribute(attr, rec.attrs[attr]);
+        });
+      } catch (e) {}
+    });
+    state._modalTriggers = [];
+  }
+
+  /**
+   * Wire every [data-modal-target] / [data-modal-src] trigger not wired yet (already wired ones are kept).
+   */
+  function initModalTriggers() {
+    if (!state._modalTriggers) state._modalTriggers = [];
+    // Drop triggers that left the page (router swaps, removed content)
+    state._modalTriggers = state._modalTriggers.filter(function (rec) {
+      if (document.documentElement.contains(rec.el)) return true;
+      try {
+        rec.el.removeEventListener('click', onModalTriggerClick, false);
+        rec.el.removeEventListener('keydown', onModalTriggerKeydown, false);
+      } catch (e) {}
+      return false;
+    });
+    var selector = state.config.selectors.modalTrigger || DEFAULTS.selectors.modalTrigger;
+    safeQueryAll(selector).forEach(function (el) {
+      if (findModalTriggerRecord(el)) return;
+      var tag = (el.tagName || '').toLowerCase();
+      var rec = {
+        el: el,
+        keyboard: tag !== 'button' && !(tag === 'a' && el.hasAttribute('href')),
+        attrs: {
+          role: el.getAttribute('role'),
+          tabindex: el.getAttribute('tabindex'),
+          'aria-haspopup': el.getAttribute('aria-haspopup')
+        }
+      };
+      try {
+        if (rec.keyboard) {
+          if (!el.hasAttribute('role')) el.setAttribute('role', 'button');
+          if (!el.hasAttribute('tabindex')) el.setAttribute('tabindex', '0');
+        }
+        if (!el.hasAttribute('aria-haspopup')) el.setAttribute('aria-haspopup', 'dialog');
+        el.addEventListener('click', onModalTriggerClick, false);
+        if (rec.keyboard) el.addEventListener('keydown', onModalTriggerKeydown, false);
+      } catch (e) {}
+      state._modalTriggers.push(rec);
+    });
+  }
+
+  /**
+   * Demo registry
+   * Demos register once (before or after init) and are mounted into the modal body when their CTA opens:
+   *   SiteNav.registerDemo('realtime-stream', {
+   *     title: 'Realtime Data Stream',
+   *     render: function (container, ctx) { ... },  // may return a cleanup function
+   *     destroy: function (container, ctx) { ... }   // optional teardown, called on close
+   *   });
+   * Unknown ids keep the placeholder content.
+   */
+  var demoRegistry = {};
+
+  /**
+   * Register (or replace) a demo definition. Returns true when registered.
+   */
+  function registerDemo(id, def) {
+    if (!id || typeof id !== 'string' || !def || typeof def.render !== 'function') {
+      try {
+        if (window.console && window.console.warn) window.console.warn('SiteNav.registerDemo: expected (id: string, { render: function })');
+      } catch (e) {}
+      return false;
+    }
+    demoRegistry[id] = {
+      id: id,
+      title: typeof def.title === 'string' ? def.title : '',
+      render: def.render,
+      destroy: typeof def.destroy === 'function' ? def.destroy : null
+    };
+    return true;
+  }
+
+  /**
+   * Remove a demo definition. Returns true if one was registered under `id`.
+   */
+  function unregisterDemo(id) {
+    if (!id || !Object.prototype.hasOwnProperty.call(demoRegistry, id)) return false;
+    delete demoRegistry[id];
+    return true;
+  }
+
+  function getDemoDefinition(id) {
+    return id && Object.prototype.hasOwnProperty.call(demoRegistry, id) ? demoRegistry[id] : null;
+  }
+
+  /**
+   * Mount a registered demo into the modal body.
+   */
+  function mountDemo(def, m, demoId, opener) {
+    var ctx = {
+      id: demoId,
+      dialog: m.dialog,
+      opener: opener || null,
+      close: function () { closeDemoModal(); }
+    };
+    var instance = { def: def, container: m.body, ctx: ctx, cleanup: null };
+    state._demo.instance = instance;
+    try {
+      var ret = def.render(m.body, ctx);
+      if (typeof ret === 'function') instance.cleanup = ret;
+    } catch (err) {
+      try {
+        if (window.console && window.console.error) window.console.error('SiteNav demo "' + demoId + '" failed to render:', err);
+      } catch (e) {}
+      try {
+        m.body.textContent = '';
+        var p = document.createElement('p');
+        p.className = 'demo-modal-desc';
+        p.textContent = localized('demoMessages').failed;
+        m.body.appendChild(p);
+      } catch (e) {}
+    }
+  }
+
+  /**
+   * Tear down the mounted demo (render cleanup first, then the definition's destroy()).
+   */
+  function unmountDemo() {
+    var instance = state._demo.instance;
+    if (!instance) return;
+    state._demo.instance = null;
+    try {
+      if (instance.cleanup) instance.cleanup();
+    } catch (e) {}
+    try {
+      if (instance.def.destroy) instance.def.destroy(instance.container, instance.ctx);
+    } catch (e) {}
+  }
+
+  function buildDemoModal(demoId) {
+    var def = getDemoDefinition(demoId);
+    var msg = localized('demoMessages');
+    var m = buildModalShell({
+      prefix: 'demo-modal',
+      idSuffix: demoId,
+      title: (def && def.title) || formatMessage(msg.title, { id: demoId || '' })
+    });
+    m.overlay.setAttribute('data-demo-modal', demoId || '');
+
+    // Registered demos mount into an empty body; unknown ids get the placeholder text
+    var desc = null;
+    if (def) {
+      m.dialog.className += ' demo-modal--' + demoId;
+    } else {
+      desc = document.createElement('p');
+      desc.className = 'demo-modal-desc';
+      desc.textContent = formatMessage(msg.placeholder, { id: demoId || '' });
+      m.body.appendChild(desc);
+    }
+
+    var closeBtn = document.createElement('button');
+    closeBtn.className = 'modal-close demo-modal-close';
+    closeBtn.type = 'button';
+    closeBtn.textContent = msg.close;
+    closeBtn.setAttribute('aria-label', msg.closeLabel);
+    m.actions.appendChild(closeBtn);
+
+    m.closeBtn = closeBtn;
+    m.desc = desc;
+    m.def = def;
+    return m;
+  }
+
+  /**
+   * Demo deep links
+   *
+   * Behavior:
+   *  - A URL such as demo.html#demo=realtime-stream opens that demo once the page, including the deferred
+   *    demo scripts that register themselves, has loaded.
+   *  - Opening a demo pushes a #demo=<id> history entry, so Back closes the modal and Forward reopens it.
+   *  - closeDemoModal() restores the URL the page had before the modal opened.
+   *  - config.demoDeepLinks = false turns this off; config.demoHashParam renames the hash key.
+   */
+
+  function demoDeepLinksEnabled() {
+    return state.config.demoDeepLinks !== false && typeof history !== 'undefined' && typeof history.pushState === 'function';
+  }
+
+  function safeDecode(str) {
+    try { return decodeURIComponent(str); } catch (e) { return str; }
+  }
+
+  /**
+   * Demo id named by a hash such as "#demo=realtime-stream" ('' when absent). Other &-separated pairs are ignored.
+   */
+  function readDemoHash() {
+    var key = state.config.demoHashParam || DEFAULTS.demoHashParam;
+    var hash = '';
+    try { hash = location.hash || ''; } catch (e) { hash = ''; }
+    var pairs = hash.replace(/^#/, '').split('&');
+    for (var i = 0; i < pairs.length; i++) {
+      var eq = pairs[i].indexOf('=');
+      if (eq > 0 && safeDecode(pairs[i].slice(0, eq)) === key) return safeDecode(pairs[i].slice(eq + 1));
+    }
+    return '';
+  }
+
+  /**
+   * Current URL with its fragment replaced by #<demoHashParam>=<id> (no fragment when id is empty).
+   */
+  function buildDemoHashUrl(demoId) {
+    var key = state.config.demoHashParam || DEFAULTS.demoHashParam;
+    var base = location.href.split('#')[0];
+    return demoId ? base + '#' + encodeURIComponent(key) + '=' + encodeURIComponent(demoId) : base;
+  }
+
+  /**
+   * The CTA that opens `demoId`, used as opener for deep-linked demos (data attributes + focus return).
+   */
+  function findDemoOpener(demoId) {
+    var ctas = safeQueryAll('.demo-block__cta, .demo-cta');
+    for (var i = 0; i < ctas.length; i++) {
+      var id = ctas[i].getAttribute('data-demo-id') || ctas[i].getAttribute('data-demo') || '';
+      if (id === demoId) return ctas[i];
+    }
+    return null;
+  }
+
+  /**
+   * Record the open demo in the URL. fromHistory: the browser already shows the right entry (deep link, Back/Forward).
+   */
+  function pushDemoHistory(demoId, fromHistory) {
+    var d = state._demo;
+    if (!demoDeepLinksEnabled() || !demoId) return;
+    try {
+      if (fromHistory || readDemoHash() === demoId) {
+        // Only entries we pushed can be popped on close; a landing deep link is replaced instead
+        d.pushedHistory = !!(history.state && history.state.demo === demoId);
+        return;
+      }
+      var url = buildDemoHashUrl(demoId);
+      var entry = { siteNav: true, url: url, demo: demoId };
+      if (d.pushedHistory) {
+        // Switching demos while our entry is current: reuse it so Back still returns to the page
+        history.replaceState(entry, '', url);
+      } else {
+        d.prevUrl = location.href;
+        history.pushState(entry, '', url);
+        d.pushedHistory = true;
+      }
+    } catch (e) {}
+  }
+
+  /**
+   * Undo pushDemoHistory on close: pop our entry when it is current, otherwise strip the demo hash in place.
+   */
+  function restoreDemoHistory(fromHistory) {
+    var d = state._demo;
+    var pushed = d.pushedHistory;
+    var prevUrl = d.prevUrl;
+    d.pushedHistory = false;
+    d.prevUrl = '';
+    if (fromHistory || !demoDeepLinksEnabled()) return;
+    try {
+      if (pushed && history.state && history.state.demo) {
+        history.back();
+      } else if (readDemoHash()) {
+        var url = prevUrl || buildDemoHashUrl('');
+        history.replaceState({ siteNav: true, url: url }, '', url);
+      }
+    } catch (e) {}
+  }
+
+  /**
+   * Sync the modal with the URL after Back/Forward or a hash edit.
+   */
+  function onDemoHistoryChange() {
+    var d = state._demo;
+    var demoId = readDemoHash();
+    if (d.isOpen && demoId !== d.id) {
+      closeDemoModal(false, { fromHistory: true });
+    }
+    if (demoId && !d.isOpen) {
+      var opener = findDemoOpener(demoId);
+      // Ignore ids that neither a CTA nor the registry knows about
+      if ((opener || getDemoDefinition(demoId)) && !openDemoModal(demoId, opener, { fromHistory: true })) {
+        // demo:beforeopen vetoed it: drop the hash so the URL does not name a demo that is not shown
+        try {
+          var url = buildDemoHashUrl('');
+          history.replaceState({ siteNav: true, url: url }, '', url);
+        } catch (e) {}
+      }
+    }
+  }
+
+  /**
+   * Open the demo named in the landing URL. Waits for load so deferred demo scripts have registered.
+   */
+  function scheduleDemoDeepLink() {
+    if (!demoDeepLinksEnabled() || !readDemoHash()) return;
+    var scheduled = false;
+    var run = function () {
+      if (scheduled) return;
+      scheduled = true;
+      state._demo._deepLinkTimeoutId = window.setTimeout(function () {
+        state._demo._deepLinkTimeoutId = null;
+        if (state.initted) onDemoHistoryChange();
+      }, 0);
+    };
+    if (document.readyState === 'complete') {
+      run();
+    } else {
+      // DOMContentLoaded fires after deferred scripts; load covers the case where it already fired
+      attachListener(document, 'DOMContentLoaded', run, false);
+      attachListener(window, 'load', run, false);
+    }
+  }
+
+  function openDemoModal(demoId, opener, opts) {
+    opts = opts || {};
+    if (!emit('demo:beforeopen', { id: demoId || '', opener: opener || null }, { cancelable: true })) return false;
+    // If modal already open, close first (the URL is updated by the new demo below)
+    if (state._demo && state._demo.isOpen) {
+      closeDemoModal(true, { keepUrl: true });
+    }
+    // build modal
+    var m = buildDemoModal(demoId);
+    state._demo.modal = m;
+    showModalShell(m);
+    // Save last active element to restore focus later
+    state._demo.lastActive = opener || document.activeElement || null;
+    state._demo.isOpen = true;
+    state._demo.id = demoId || '';
+
+    // Mount registered demo content now that the dialog is in the document (measurable)
+    if (m.def) mountDemo(m.def, m, demoId, opener);
+
+    // Deep link: #demo=<id> plus a history entry so Back closes the modal
+    pushDemoHistory(state._demo.id, opts.fromHistory);
+
+    // Focus management: focus close button after slight delay
+    window.setTimeout(function () {
+      try { m.closeBtn.focus(); } catch (e) {}
+    }, 10);
+
+    // Attach listeners: close button, overlay click, trap tab, Escape
+    var onCloseClick = function (ev) { ev && ev.preventDefault && ev.preventDefault(); closeDemoModal(); };
+    var onOverlayClick = function (ev) {
+      // close only if click on overlay, not inside dialog
+      if (!m.overlay || !m.dialog) return;
+      if (ev.target === m.overlay) {
+        closeDemoModal();
+      }
+    };
+    var onModalKeydown = createModalKeydownHandler(m.dialog, function () { closeDemoModal(); });
+
+    // Use dedicated demo listener registry so closing modal removes only modal listeners
+    addDemoListener(m.closeBtn, 'click', onCloseClick, false);
+    addDemoListener(m.overlay, 'click', onOverlayClick, false);
+    addDemoListener(document, 'keydown', onModalKeydown, false);
+
+    // Also accessible: announce dialog if needed (title already linked)
+    track('demo_open', { id: state._demo.id });
+    emit('demo:open', { id: state._demo.id, opener: opener || null });
+    return true;
+  }
+
+  /**
+   * Close the demo modal.
+   * opts.fromHistory: the URL already moved on (Back/Forward, router navigation); only forget the pushed entry.
+   * opts.keepUrl: another demo replaces this one and takes over the history entry.
+   * Only user-initiated closes (not forced, not from history) can be vetoed by demo:beforeclose.
+   */
+  function closeDemoModal(forceRemove, opts) {
+    if (!state._demo || !state._demo.isOpen) return false;
+    opts = opts || {};
+    if (!forceRemove && !opts.fromHistory && !emit('demo:beforeclose', { id: state._demo.id || '' }, { cancelable: true })) return false;
+    var m = state._demo.modal || null;
+    // Stop demo timers/listeners before the DOM goes away
+    unmountDemo();
+    // Fade out and detach (immediately when forced)
+    try {
+      var removalId = hideModalShell(m, forceRemove);
+      if (removalId) state._demo._closeTimeoutId = removalId;
+    } catch (e) {}
+
+    // Remove modal listeners
+    removeDemoListeners();
+
+    // Optionally return focus to opener
+    restoreModalFocus(state._demo.lastActive);
+
+    // Reset demo state
+    var closedId = state._demo.id || '';
+    state._demo.modal = null;
+    state._demo.isOpen = false;
+    state._demo.lastActive = null;
+    state._demo.id = '';
+
+    // Restore the URL from before the modal opened
+    if (!opts.keepUrl) restoreDemoHistory(opts.fromHistory);
+
+    if (forceRemove) {
+      state._demo.listeners = [];
+    }
+    track('demo_close', { id: closedId });
+    emit('demo:close', { id: closedId });
+    return true;
+  }
+
+  /**
+   * Demo CTA handlers + initializer
+   * - Attaches click and keyboard handlers to .demo-block__cta and .demo-cta (fallback)
+   * - Builds and opens the accessible demo modal (registered demo content, placeholder for unknown ids)
+   */
+  function onDemoCtaClick(e) {
+    if (!e) return;
+    var btn = e.currentTarget || e.target;
+    if (!btn) return;
+    // Determine demo id from multiple possible attributes
+    var demoId = '';
+    try {
+      // data-demo-id preferred, then data-demo, then dataset.demoId/dataset.demo
+      demoId = btn.getAttribute('data-demo-id') || btn.getAttribute('data-demo') || (btn.dataset && (btn.dataset.demoId || btn.dataset.demo)) || '';
+    } catch (err) {
+      demoId = '';
+    }
+
+    // If this is an anchor, decide whether to prevent its navigation.
+    // Allow navigation to .html pages (privacy/terms etc). Prevent for demo interactive CTAs that should open the modal.
+    try {
+      if (btn.tagName && btn.tagName.toLowerCase() === 'a') {
+        var href = btn.getAttribute('href') || '';
+        var shouldAllowNav = false;
+        try {
+          if (/\b(privacy|terms)\.html\b/i.test(href) || /\.html(?:$|[?#])/i.test(href)) {
+            shouldAllowNav = true;
+          }
+        } catch (e) { shouldAllowNav = false; }
+        if (!shouldAllowNav) {
+          // Prevent navigation in all cases for demo CTAs to keep the demo interaction on page
+          if (e.preventDefault) e.preventDefault();
+        }
+      }
+    } catch (ex) {}
+
+    // Let other scripts react to the click (dispatched on the CTA only, without bubbling)
+    emit('demo:click', { id: demoId, source: btn }, { target: btn, bubbles: false });
+
+    // Open the demo modal (registered demo or placeholder, with focus handling)
+    try {
+      openDemoModal(demoId, btn);
+    } catch (err) {
+      // Fallback: at least log
+      try { console.log('Open demo fallback:', demoId); } catch (e2) {}
+    }
+  }
+
+  function onDemoCtaKeydown(e) {
+    var code = e.key || e.keyCode;
+    if (code === 'Enter' || code === 13 || code === ' ' || code === 'Spacebar' || code === 32) {
+      if (e.preventDefault) e.preventDefault();
+      onDemoCtaClick(e);
+    }
+  }
+
+  var DEMO_CTA_SELECTOR = '.demo-block__cta, .demo-cta';
+
+  function initDemoBlocks() {
+    // Run only on pages that contain the demo page root to avoid cross-page leakage
+    if (typeof document === 'undefined') return;
+    var demoRoot = document.querySelector('.demo-page');
+    // If demoRoot is not present, still support scattered demo blocks by searching whole document,
+    // but prefer to early-return to avoid attaching handlers site-wide unexpectedly.
+    if (!demoRoot) {
+      // No demo page root: look for any demo-block__cta elements but be conservative: only initialize if present
+      var fallbackCtas = safeQueryAll(DEMO_CTA_SELECTOR);
+      if (!fallbackCtas || !fallbackCtas.length) return;
+      // limit scope to document in this fallback case
+    }
+
+    // Find CTA elements within the demo root (or globally if root is absent)
+    var ctas = demoRoot ? Array.prototype.slice.call(demoRoot.querySelectorAll(DEMO_CTA_SELECTOR) || [], 0) : safeQueryAll(DEMO_CTA_SELECTOR);
+    if (!ctas || !ctas.length) return;
+
+    // Clean up any previous CTA listeners if present
+    removeDemoListeners('ctaListeners');
+
+    // Attach handlers
+    ctas.forEach(wireDemoCta);
+  }
+
+  /**
+   * Give a demo CTA button semantics and its click / keyboard listeners (ctaListeners bucket).
+   */
+  function wireDemoCta(btn) {
+    try {
+      // ensure it's keyboard accessible
+      if (btn.tagName && btn.tagName.toLowerCase() !== 'button') {
+        try { if (!btn.hasAttribute('role')) btn.setAttribute('role', 'button'); } catch (e) {}
+        try { if (btn.tabIndex === undefined || btn.tabIndex < 0) btn.tabIndex = 0; } catch (e) {}
+      }
+      // Aria hint
+      try { if (!btn.hasAttribute('aria-haspopup')) btn.setAttribute('aria-haspopup', 'dialog'); } catch (e) {}
+      // Ensure a label for screen readers if none present (preserve visible text)
+      try {
+        if (!btn.getAttribute('aria-label') && btn.textContent && btn.textContent.trim().length < 60) {
+          var txt = btn.textContent.trim();
+          btn.setAttribute('aria-label', txt);
+        }
+      } catch (e) {}
+    } catch (e) {}
+    addDemoListener(btn, 'click', onDemoCtaClick, false, 'ctaListeners');
+    addDemoListener(btn, 'keydown', onDemoCtaKeydown, false, 'ctaListeners');
+  }
+
+  /**
+   * Incremental initDemoBlocks() for observe mode: unwire CTAs that left the page, wire new ones.
+   */
+  function syncDemoCtas() {
+    var wired = [];
+    state._demo.ctaListeners = (state._demo.ctaListeners || []).filter(function (it) {
+      if (document.documentElement.contains(it.target)) {
+        wired.push(it.target);
+        return true;
+      }
+      try { it.target.removeEventListener(it.type, it.handler, it.capture || false); } catch (e) {}
+      return false;
+    });
+    safeQueryAll(DEMO_CTA_SELECTOR).forEach(function (btn) {
+      if (wired.indexOf(btn) === -1) wireDemoCta(btn);
+    });
+  }
+
+
+  /**
+   * Service-card toggles (graceful enhancement)
+   *
+   * Behavior:
+   *  - When JS is available, each toggle ([data-toggle="service"] / .service-toggle) is wired to the
+   *    .service-desc--more panel it controls (aria-controls, data-target -> [data-service-id], or the
+   *    panel inside its card). Panels start collapsed; without JS the markup keeps them visible.
+   *  - Clicking the card body (outside links, buttons and form controls) or pressing Enter/Space on the
+   *    focused card toggles it as well.
+   *  - Accordion mode: config.serviceCardMode 'single' keeps at most one card open, 'multi' (default) allows many.
+   *  - Original attributes are recorded in state._serviceCards so destroy() can restore them.
+   */
+
+  function getServiceConfig() {
+    var cfg = state.config || {};
+    var selectors = cfg.selectors || {};
+    var classNames = cfg.classNames || {};
+    var labels = localized('serviceCardLabels');
+    return {
+      card: selectors.serviceCard || DEFAULTS.selectors.serviceCard,
+      toggle: selectors.serviceToggle || DEFAULTS.selectors.serviceToggle,
+      panel: selectors.servicePanel || DEFAULTS.selectors.servicePanel,
+      expandedClass: classNames.serviceExpanded || DEFAULTS.classNames.serviceExpanded,
+      mode: cfg.serviceCardMode === 'single' ? 'single' : 'multi',
+      labels: {
+        expand: labels.expand || DEFAULTS.serviceCardLabels.expand,
+        collapse: labels.collapse || DEFAULTS.serviceCardLabels.collapse
+      }
+    };
+  }
+
+  function addServiceListener(rec, target, type, handler) {
+    if (!rec || !target || !target.addEventListener) return;
+    try {
+      target.addEventListener(type, handler, false);
+      rec.listeners.push({ target: target, type: type, handler: handler });
+    } catch (e) {}
+  }
+
+  /**
+   * Resolve the card element that a toggle belongs to.
+   */
+  function findServiceCard(toggle, cardSelector) {
+    var card = null;
+    try {
+      var targetId = toggle.getAttribute('data-target');
+      if (targetId) {
+        card = document.querySelector('[data-service-id="' + targetId.replace(/"/g, '\\"') + '"]');
+      }
+    } catch (e) {
+      card = null;
+    }
+    if (!card) {
+      try {
+        card = toggle.closest ? toggle.closest(cardSelector) : null;
+      } catch (e) {
+        card = null;
+      }
+    }
+    return card;
+  }
+
+  /**
+   * Resolve the panel controlled by a toggle (aria-controls first, then the card's "more" element).
+   */
+  function findServicePanel(toggle, card, panelSelector) {
+    var panel = null;
+    try {
+      var controls = toggle.getAttribute('aria-controls');
+      if (controls) panel = document.getElementById(controls);
+    } catch (e) {
+      panel = null;
+    }
+    if (!panel && card) panel = safeQuerySelectorWithin(card, panelSelector);
+    return panel;
+  }
+
+  /**
+   * Update the visible label and a matching aria-label prefix ("Show details for X" <-> "Hide details for X").
+   */
+  function updateServiceLabels(rec, expanded, labels) {
+    var next = expanded ? labels.collapse : labels.expand;
+    var prev = expanded ? labels.expand : labels.collapse;
+    if (rec.labelEl) {
+      try { rec.labelEl.textContent = next; } catch (e) {}
+    }
+    try {
+      var aria = rec.toggle.getAttribute('aria-label');
+      if (aria && aria.indexOf(prev) === 0) {
+        rec.toggle.setAttribute('aria-label', next + aria.slice(prev.length));
+      }
+    } catch (e) {}
+  }
+
+  /**
+   * Apply expanded/collapsed state to a single service-card record.
+   * opts.ignoreMode skips the single-open accordion rule (used by expandAll).
+   * Returns false when a service:beforetoggle handler vetoed the change.
+   */
+  function setServiceExpanded(rec, expanded, opts) {
+    if (!rec) return false;
+    opts = opts || {};
+    var cfg = getServiceConfig();
+    expanded = !!expanded;
+    var changed = expanded !== !!rec.expanded;
+    if (changed && !emit('service:beforetoggle', { id: rec.id, expanded: expanded }, { cancelable: true, target: rec.el })) return false;
+    // Single-open accordion: collapse siblings before opening this card
+    if (expanded && cfg.mode === 'single' && !opts.ignoreMode) {
+      for (var i = 0; i < state._serviceCards.length; i++) {
+        if (state._serviceCards[i] !== rec && state._serviceCards[i].expanded) {
+          setServiceExpanded(state._serviceCards[i], false);
+        }
+      }
+    }
+    if (expanded && !rec.expanded) track('service_expand', { id: rec.id });
+    rec.expanded = expanded;
+    try { rec.toggle.setAttribute('aria-expanded', String(expanded)); } catch (e) {}
+    if (rec.panel) {
+      try { rec.panel.setAttribute('aria-hidden', String(!expanded)); } catch (e) {}
+    }
+    try {
+      if (expanded) rec.el.classList.add(cfg.expandedClass);
+      else rec.el.classList.remove(cfg.expandedClass);
+    } catch (e) {}
+    updateServiceLabels(rec, expanded, cfg.labels);
+    if (changed) emit('service:toggle', { id: rec.id, expanded: expanded }, { target: rec.el });
+    return true;
+  }
+
+  /**
+   * Find a service-card record by id or element.
+   * Matches the card id, data-service-id, data-service, the panel id, or the card/toggle/panel element itself.
+   */
+  function findServiceRecord(idOrEl) {
+    if (!idOrEl) return null;
+    var recs = state._serviceCards || [];
+    for (var i = 0; i < recs.length; i++) {
+      var rec = recs[i];
+      if (typeof idOrEl === 'string') {
+        if (rec.id === idOrEl) return rec;
+        try {
+          if (rec.el.id === idOrEl ||
+            rec.el.getAttribute('data-service-id') === idOrEl ||
+            rec.el.getAttribute('data-service') === idOrEl ||
+            (rec.panel && rec.panel.id === idOrEl)) {
+            return rec;
+          }
+        } catch (e) {}
+      } else if (rec.el === idOrEl || rec.toggle === idOrEl || rec.panel === idOrEl) {
+        return rec;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Expand one service card. Returns true if a matching card was found.
+   */
+  function expand(id) {
+    var rec = findServiceRecord(id);
+    if (!rec) return false;
+    setServiceExpanded(rec, true);
+    return true;
+  }
+
+  /**
+   * Collapse one service card. Returns true if a matching card was found.
+   */
+  function collapse(id) {
+    var rec = findServiceRecord(id);
+    if (!rec) return false;
+    setServiceExpanded(rec, false);
+    return true;
+  }
+
+  /**
+   * Expand every service card. An explicit expandAll() wins over the 'single' accordion mode.
+   */
+  function expandAll() {
+    var recs = state._serviceCards || [];
+    for (var i = 0; i < recs.length; i++) setServiceExpanded(recs[i], true, { ignoreMode: true });
+  }
+
+  /**
+   * Collapse every service card.
+   */
+  function collapseAll() {
+    var recs = state._serviceCards || [];
+    for (var i = 0; i < recs.length; i++) setServiceExpanded(recs[i], false);
+  }
+
+  function isInteractiveTarget(target, card) {
+    try {
+      var hit = target && target.closest ? target.closest('a, button, input, select, textarea, label, [role="button"]') : null;
+      return !!(hit && hit !== card && card.contains(hit));
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Remove service-card listeners and restore every recorded attribute.
+   */
+  function teardownServiceCards() {
+    var expandedClass = getServiceConfig().expandedClass;
+    (state._serviceCards || []).forEach(function (rec) {
+      teardownServiceRecord(rec, expandedClass);
+    });
+    state._serviceCards = [];
+  }
+
+  /**
+   * Remove one card's listeners and put back its authored attributes, classes and label text.
+   */
+  function teardownServiceRecord(rec, expandedClass) {
+    var card = rec.el;
+    var toggle = rec.toggle;
+    var attrs = rec.attrs || {};
+    (rec.listeners || []).forEach(function (it) {
+      try { it.target.removeEventListener(it.type, it.handler, false); } catch (e) {}
+    });
+    rec.listeners = [];
+    try {
+      if (card && card.classList) {
+        if (rec.cardAttrs.hadExpandedClass) card.classList.add(expandedClass);
+        else card.classList.remove(expandedClass);
+      }
+    } catch (e) {}
+    try {
+      if (rec.cardAttrs.tabIndex === null || rec.cardAttrs.tabIndex === undefined) card.removeAttribute('tabindex');
+      else card.setAttribute('tabindex', rec.cardAttrs.tabIndex);
+    } catch (e) {}
+    if (toggle) {
+      try {
+        if (attrs.role === null || attrs.role === undefined) {
+          if (toggle.getAttribute && toggle.getAttribute('role') === 'button' && toggle.tagName.toLowerCase() !== 'button') {
+            toggle.removeAttribute('role');
+          }
+        } else {
+          toggle.setAttribute('role', attrs.role);
+        }
+      } catch (e) {}
+      try {
+        if (attrs.tabIndex === null || attrs.tabIndex === undefined) {
+          if (toggle.hasAttribute && toggle.hasAttribute('tabindex')) toggle.removeAttribute('tabindex');
+        } else {
+          toggle.setAttribute('tabindex', attrs.tabIndex);
+        }
+      } catch (e) {}
+      try {
+        if (attrs.ariaExpanded === null || attrs.ariaExpanded === undefined) {
+          toggle.removeAttribute('aria-expanded');
+        } else {
+          toggle.setAttribute('aria-expanded', attrs.ariaExpanded);
+        }
+      } catch (e) {}
+      try {
+        if (attrs.ariaControls === null || attrs.ariaControls === undefined) {
+          if (toggle.hasAttribute && toggle.hasAttribute('aria-controls')) toggle.removeAttribute('aria-controls');
+        } else {
+          toggle.setAttribute('aria-controls', attrs.ariaControls);
+        }
+      } catch (e) {}
+      try {
+        if (attrs.ariaLabel === null || attrs.ariaLabel === undefined) toggle.removeAttribute('aria-label');
+        else toggle.setAttribute('aria-label', attrs.ariaLabel);
+      } catch (e) {}
+      try {
+        if (rec.labelEl && rec.labelText !== null) rec.labelEl.textContent = rec.labelText;
+      } catch (e) {}
+    }
+    // Panels go back to their authored aria-hidden (graceful degradation keeps them readable)
+    if (rec.panel) {
+      try {
+        if (rec.panelAttrs.ariaHidden === null || rec.panelAttrs.ariaHidden === undefined) rec.panel.removeAttribute('aria-hidden');
+        else rec.panel.setAttribute('aria-hidden', rec.panelAttrs.ariaHidden);
+      } catch (e) {}
+      try {
+        if (!rec.panelAttrs.id) rec.panel.removeAttribute('id');
+      } catch (e) {}
+    }
+  }
+
+  /**
+   * Wire every service toggle on the page. Safe to call repeatedly: previous wiring is torn down first.
+   */
+  function initServiceCards() {
+    if (typeof document === 'undefined') return;
+    if (!state.config || !state.config.selectors) state.config = merge(DEFAULTS, state.config || {});
+    if (state._serviceCards && state._serviceCards.length) teardownServiceCards();
+
+    var cfg = getServiceConfig();
+    var toggles = safeQueryAll(cfg.toggle);
+    if (!toggles.length) return;
+
+    toggles.forEach(function (toggle) {
+      wireServiceToggle(toggle, cfg);
+    });
+  }
+
+  /**
+   * Wire one toggle and its card (no-op when the toggle has no card or the card is already wired).
+   */
+  function wireServiceToggle(toggle, cfg) {
+    var card = findServiceCard(toggle, cfg.card);
+    if (!card) return;
+    // One record per card: ignore secondary toggles pointing to an already wired card
+    if (findServiceRecord(card)) return;
+    var panel = findServicePanel(toggle, card, cfg.panel);
+
+    var rec = {
+      el: card,
+      toggle: toggle,
+      panel: panel,
+      id: card.getAttribute('data-service-id') || card.id || card.getAttribute('data-service') || '',
+      expanded: false,
+      labelEl: safeQuerySelectorWithin(toggle, '.toggle-label'),
+      labelText: null,
+      listeners: [],
+      attrs: {},
+      panelAttrs: {},
+      cardAttrs: {}
+    };
+    try { rec.attrs.role = toggle.getAttribute('role'); } catch (e) { rec.attrs.role = null; }
+    try { rec.attrs.tabIndex = toggle.hasAttribute('tabindex') ? toggle.getAttribute('tabindex') : null; } catch (e) { rec.attrs.tabIndex = null; }
+    try { rec.attrs.ariaExpanded = toggle.getAttribute('aria-expanded'); } catch (e) { rec.attrs.ariaExpanded = null; }
+    try { rec.attrs.ariaControls = toggle.getAttribute('aria-controls'); } catch (e) { rec.attrs.ariaControls = null; }
+    try { rec.attrs.ariaLabel = toggle.getAttribute('aria-label'); } catch (e) { rec.attrs.ariaLabel = null; }
+    try { rec.labelText = rec.labelEl ? rec.labelEl.textContent : null; } catch (e) { rec.labelText = null; }
+    try { rec.cardAttrs.tabIndex = card.hasAttribute('tabindex') ? card.getAttribute('tabindex') : null; } catch (e) { rec.cardAttrs.tabIndex = null; }
+    try { rec.cardAttrs.hadExpandedClass = card.classList.contains(cfg.expandedClass); } catch (e) { rec.cardAttrs.hadExpandedClass = false; }
+    if (panel) {
+      try { rec.panelAttrs.ariaHidden = panel.getAttribute('aria-hidden'); } catch (e) { rec.panelAttrs.ariaHidden = null; }
+      rec.panelAttrs.id = panel.id || null;
+      // Wire aria-controls only when the author did not provide one
+      try {
+        if (!toggle.getAttribute('aria-controls')) toggle.setAttribute('aria-controls', ensureId(panel, 'service-panel'));
+      } catch (e) {}
+    }
+
+    // Non-button toggles need button semantics and focusability
+    try {
+      if (toggle.tagName && toggle.tagName.toLowerCase() !== 'button') {
+        if (!toggle.getAttribute('role')) toggle.setAttribute('role', 'button');
+        if (!toggle.hasAttribute('tabindex')) toggle.setAttribute('tabindex', '0');
+      }
+    } catch (e) {}
+    // Make the card itself reachable so Enter/Space on it can toggle
+    try {
+      if (!card.hasAttribute('tabindex')) card.setAttribute('tabindex', '0');
+    } catch (e) {}
+
+    state._serviceCards.push(rec);
+    setServiceExpanded(rec, false);
+
+    addServiceListener(rec, toggle, 'click', function (e) {
+      if (e && e.preventDefault) e.preventDefault();
+      setServiceExpanded(rec, !rec.expanded);
+    });
+    addServiceListener(rec, toggle, 'keydown', function (e) {
+      // Native buttons already turn Enter/Space into click
+      if (toggle.tagName && toggle.tagName.toLowerCase() === 'button') return;
+      var code = e.key || e.keyCode;
+      if (code === 'Enter' || code === 13 || code === ' ' || code === 'Spacebar' || code === 32) {
+        if (e.preventDefault) e.preventDefault();
+        setServiceExpanded(rec, !rec.expanded);
+      }
+    });
+    addServiceListener(rec, card, 'click', function (e) {
+      var target = e.target || e.srcElement;
+      if (!target || isInteractiveTarget(target, card)) return;
+      setServiceExpanded(rec, !rec.expanded);
+    });
+    addServiceListener(rec, card, 'keydown', function (e) {
+      // Only react when the card itself has focus (not a link/button inside it)
+      if ((e.target || e.srcElement) !== card) return;
+      var code = e.key || e.keyCode;
+      if (code === 'Enter' || code === 13 || code === ' ' || code === 'Spacebar' || code === 32) {
+        if (e.preventDefault) e.preventDefault();
+        setServiceExpanded(rec, !rec.expanded);
+      }
+    });
+  }
+
+  /**
+   * Incremental initServiceCards() for observe mode: unwire cards that left the page and wire new toggles,
+   * leaving the expanded state of everything else alone.
+   */
+  function syncServiceCards() {
+    var cfg = getServiceConfig();
+    state._serviceCards = (state._serviceCards || []).filter(function (rec) {
+      if (document.documentElement.contains(rec.el) && document.documentElement.contains(rec.toggle)) return true;
+      teardownServiceRecord(rec, cfg.expandedClass);
+      return false;
+    });
+    safeQueryAll(cfg.toggle).forEach(function (toggle) {
+      wireServiceToggle(toggle, cfg);
+    });
+  }
+
+  /**
+   * Offline submission queue
+   *
+   * Behavior:
+   *  - Form submissions that fail because the browser is offline, the request times out, or the endpoint answers
+   *    408/429/5xx are stored on the device (IndexedDB, localStorage fallback) instead of being dropped.
+   *  - Stored entries are retried with exponential backoff (queueRetryDelay, doubled per attempt up to
+   *    queueRetryMaxDelay), right away when the browser fires "online", and on the next page load.
+   *  - A count in localStorage (QUEUE_COUNT_KEY) records that entries exist, so pages only open the IndexedDB
+   *    database when something is actually queued: visitors who never hit a failed submission get none.
+   *  - Entries the endpoint rejects outright (other 4xx) are dropped with a console warning: retrying cannot succeed.
+   *    So are entries past queueMaxAttempts attempts or older than queueMaxAge, so names and messages do not
+   *    stay on the device indefinitely.
+   *  - Each entry records the id of the form that queued it, and that form's record keeps the entry id: only
+   *    that form is told how delivery went.
+   *  - getPendingSubmissions() lists stored entries; flushSubmissions() retries all of them now.
+   */
+
+  var QUEUE_DB_NAME = 'sitenav';
+  var QUEUE_STORE = 'submissions';
+  var QUEUE_STORAGE_KEY = 'sitenav:submissions';
+  var QUEUE_COUNT_KEY = 'sitenav:submissions:count';
+  // Resolves to an IDBDatabase, or null when IndexedDB is unavailable (localStorage is used instead)
+  var queueDbPromise = null;
+
+  function openQueueDb() {
+    if (queueDbPromise) return queueDbPromise;
+    queueDbPromise = new Promise(function (resolve) {
+      try {
+        if (typeof indexedDB === 'undefined' || !indexedDB) { resolve(null); return; }
+        var req = indexedDB.open(QUEUE_DB_NAME, 1);
+        req.onupgradeneeded = function () {
+          try { req.result.createObjectStore(QUEUE_STORE, { keyPath: 'id' }); } catch (e) {}
+        };
+        req.onsuccess = function () { resolve(req.result); };
+        req.onerror = function () { resolve(null); };
+        req.onblocked = function () { resolve(null); };
+      } catch (e) {
+        // Some private modes throw on open
+        resolve(null);
+      }
+    });
+    return queueDbPromise;
+  }
+
+  function queuedCount() {
+    try {
+      // Entries kept in the localStorage fallback count even without the marker
+      return parseInt(window.localStorage.getItem(QUEUE_COUNT_KEY), 10) || readStoredQueue().length;
+    } catch (e) {
+      return 0;
+    }
+  }
+
+  function setQueuedCount(count) {
+    try {
+      if (count > 0) window.localStorage.setItem(QUEUE_COUNT_KEY, String(count));
+      else window.localStorage.removeItem(QUEUE_COUNT_KEY);
+    } catch (e) {}
+  }
+
+  function readStoredQueue() {
+    try {
+      var raw = window.localStorage.getItem(QUEUE_STORAGE_KEY);
+      var list = raw ? JSON.parse(raw) : [];
+      return Array.isArray(list) ? list : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function writeStoredQueue(list) {
+    try {
+      if (list.length) window.localStorage.setItem(QUEUE_STORAGE_KEY, JSON.stringify(list));
+      else window.localStorage.removeItem(QUEUE_STORAGE_KEY);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Run one request against the submissions object store. Resolves with its result.
+   */
+  function queueRequest(db, mode, fn) {
+    return new Promise(function (resolve, reject) {
+      var tx = db.transaction(QUEUE_STORE, mode);
+      var req = fn(tx.objectStore(QUEUE_STORE));
+      tx.oncomplete = function () { resolve(req ? req.result : undefined); };
+      tx.onerror = function () { reject(tx.error); };
+      tx.onabort = function () { reject(tx.error); };
+    });
+  }
+
+  /**
+   * All stored entries, oldest first.
+   */
+  function readQueue() {
+    return openQueueDb().then(function (db) {
+      if (!db) return readStoredQueue();
+      return queueRequest(db, 'readonly', function (store) { return store.getAll(); });
+    }).then(function (list) {
+      return (list || []).slice().sort(function (a, b) { return a.createdAt - b.createdAt; });
+    }).catch(function () {
+      return readStoredQueue();
+    }).then(function (list) {
+      // A full read is authoritative for the marker
+      setQueuedCount(list.length);
+      return list;
+    });
+  }
+
+  function writeQueueItem(item) {
+    return openQueueDb().then(function (db) {
+      if (db) return queueRequest(db, 'readwrite', function (store) { return store.put(item); }).then(function () { return true; });
+      var list = readStoredQueue().filter(function (it) { return it.id !== item.id; });
+      list.push(item);
+      return writeStoredQueue(list);
+    }).catch(function () {
+      return false;
+    });
+  }
+
+  function deleteQueueItem(id) {
+    return openQueueDb().then(function (db) {
+      if (db) return queueRequest(db, 'readwrite', function (store) { return store['delete'](id); });
+      writeStoredQueue(readStoredQueue().filter(function (it) { return it.id !== id; }));
+    }).then(function () {
+      setQueuedCount(queuedCount() - 1);
+    }).catch(function () {});
+  }
+
+  function queueEnabled() {
+    return state.config.submissionQueue !== false;
+  }
+
+  function isOffline() {
+    try {
+      return typeof navigator !== 'undefined' && navigator.onLine === false;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Backoff before retry number `attempts + 1`.
+   */
+  function queueRetryDelay(attempts) {
+    var base = state.config.queueRetryDelay || DEFAULTS.queueRetryDelay;
+    var max = state.config.queueRetryMaxDelay || DEFAULTS.queueRetryMaxDelay;
+    return Math.min(max, base * Math.pow(2, Math.max(0, attempts)));
+  }
+
+  /**
+   * Encode [name, value] pairs as JSON (default) or application/x-www-form-urlencoded.
+   */
+  function encodeFormBody(pairs, encoding) {
+    if (encoding === 'form') {
+      return {
+        type: 'application/x-www-form-urlencoded;charset=UTF-8',
+        body: pairs.map(function (p) {
+          return encodeURIComponent(p[0]) + '=' + encodeURIComponent(p[1]).replace(/%20/g, '+');
+        }).join('&')
+      };
+    }
+    var data = {};
+    pairs.forEach(function (p) { data[p[0]] = p[1]; });
+    return { type: 'application/json', body: JSON.stringify(data) };
+  }
+
+  /**
+   * POST encoded pairs. Never rejects: resolves to { ok, status, retry } where retry marks failures worth queueing
+   * (offline, timeout, 408/429/5xx). opts.controller lets the caller abort; opts.timeout aborts after that many ms.
+   */
+  function postSubmission(endpoint, pairs, encoding, opts) {
+    opts = opts || {};
+    var payload = encodeFormBody(pairs, encoding);
+    var controller = opts.controller || (typeof AbortController === 'function' ? new AbortController() : null);
+    var timeoutId = null;
+    if (controller && opts.timeout > 0) {
+      timeoutId = window.setTimeout(function () {
+        try { controller.abort(); } catch (e) {}
+      }, opts.timeout);
+    }
+    var done = function (result) {
+      if (timeoutId) {
+        try { clearTimeout(timeoutId); } catch (e) {}
+      }
+      return result;
+    };
+    try {
+      return window.fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': payload.type, 'Accept': 'application/json' },
+        body: payload.body,
+        credentials: 'same-origin',
+        signal: controller ? controller.signal : undefined
+      }).then(function (res) {
+        var status = res.status;
+        return done({ ok: !!res.ok, status: status, retry: !res.ok && (status === 408 || status === 429 || status >= 500) });
+      }, function (err) {
+        try {
+          if (window.console && window.console.warn) window.console.warn('SiteNav submission failed:', err && err.message ? err.message : err);
+        } catch (e) {}
+        return done({ ok: false, status: 0, retry: true });
+      });
+    } catch (e) {
+      return Promise.resolve(done({ ok: false, status: 0, retry: true }));
+    }
+  }
+
+  /**
+   * Store a failed submission of form record `rec` for later delivery. Resolves to the entry, or null when it
+   * could not be stored.
+   */
+  function queueSubmission(rec, kind, endpoint, pairs, encoding, timeout) {
+    if (!queueEnabled()) return Promise.resolve(null);
+    var now = Date.now();
+    var item = {
+      id: kind + '-' + now.toString(36) + '-' + Math.random().toString(36).slice(2, 7),
+      kind: kind,
+      form: rec.form.id || '',
+      endpoint: endpoint,
+      encoding: encoding,
+      pairs: pairs,
+      timeout: timeout || 0,
+      createdAt: now,
+      attempts: 0,
+      nextAttemptAt: now + queueRetryDelay(0)
+    };
+    return writeQueueItem(item).then(function (stored) {
+      if (!stored) return null;
+      rec.queuedId = item.id;
+      setQueuedCount(queuedCount() + 1);
+      scheduleQueueFlush();
+      return item;
+    });
+  }
+
+  function clearQueueTimer() {
+    var q = state._queue;
+    if (q.timerId) {
+      try { clearTimeout(q.timerId); } catch (e) {}
+      q.timerId = null;
+    }
+  }
+
+  /**
+   * Arm a timer for the earliest due entry. With `delay` (page load), retry every entry after that many ms instead.
+   */
+  function scheduleQueueFlush(delay) {
+    // Called from init() before state.initted is set; destroy() clears the timer
+    if (!queueEnabled()) return;
+    var arm = function (ms, dueOnly) {
+      clearQueueTimer();
+      state._queue.timerId = window.setTimeout(function () {
+        state._queue.timerId = null;
+        flushSubmissions({ dueOnly: dueOnly, auto: true });
+      }, Math.max(0, ms));
+    };
+    if (typeof delay === 'number') {
+      arm(delay, false);
+      return;
+    }
+    readQueue().then(function (items) {
+      if (!items.length || !state.initted) return;
+      var next = Infinity;
+      items.forEach(function (it) { next = Math.min(next, it.nextAttemptAt || 0); });
+      arm(next - Date.now(), true);
+    });
+  }
+
+  /**
+   * Tell the form that queued an entry how delivery went (when it is still on the page showing that entry).
+   */
+  function notifyQueueResult(item, ok) {
+    var owns = function (rec) {
+      if (rec.queuedId !== item.id || rec.form.getAttribute('data-state') !== 'queued') return false;
+      rec.queuedId = null;
+      return true;
+    };
+    if (item.kind === 'newsletter') {
+      (state._newsletterForms || []).filter(owns).forEach(function (rec) {
+        var messages = getNewsletterConfig(rec.form).messages;
+        setNewsletterStatus(rec, ok ? 'confirm-sent' : 'error', ok ? messages.queueSent : messages.failure);
+      });
+    }
+    if (item.kind === 'contact') {
+      (state._contactForms || []).filter(owns).forEach(function (rec) {
+        var messages = getContactConfig(rec.form).messages;
+        setContactStatus(rec, ok ? 'success' : 'error', ok ? messages.queueSent : messages.failure);
+      });
+    }
+  }
+
+  /**
+   * Why `item` has to go (it used up queueMaxAttempts or outlived queueMaxAge), or '' while it may be retried.
+   */
+  function queueExpiryReason(item, now) {
+    var maxAttempts = state.config.queueMaxAttempts || DEFAULTS.queueMaxAttempts;
+    var maxAge = state.config.queueMaxAge || DEFAULTS.queueMaxAge;
+    if (item.attempts >= maxAttempts) return 'after ' + item.attempts + ' attempts';
+    if (now - item.createdAt > maxAge) return 'older than ' + Math.round(maxAge / 3600000) + ' hours';
+    return '';
+  }
+
+  function dropQueueItem(item, reason) {
+    try {
+      if (window.console && window.console.warn) window.console.warn('SiteNav dropped a queued ' + item.kind + ' submission ' + reason);
+    } catch (e) {}
+    return deleteQueueItem(item.id).then(function () { notifyQueueResult(item, false); });
+  }
+
+  /**
+   * Retry stored submissions, one at a time. Resolves to { sent, dropped, pending }.
+   * opts.dueOnly skips entries still in backoff and opts.auto skips everything while offline (timer runs);
+   * explicit calls retry everything.
+   */
+  function flushSubmissions(opts) {
+    opts = opts || {};
+    var q = state._queue;
+    if (q.flushing) return q.flushing;
+    clearQueueTimer();
+    var result = { sent: 0, dropped: 0, pending: 0 };
+    q.flushing = readQueue().then(function (items) {
+      var now = Date.now();
+      var chain = Promise.resolve();
+      items.forEach(function (item) {
+        // Expired entries go even while offline
+        var expired = queueExpiryReason(item, now);
+        if (expired) {
+          result.dropped += 1;
+          chain = chain.then(function () { return dropQueueItem(item, expired); });
+          return;
+        }
+        if ((opts.dueOnly && item.nextAttemptAt > now) || (opts.auto && isOffline())) {
+          result.pending += 1;
+          return;
+        }
+        chain = chain.then(function () {
+          return postSubmission(item.endpoint, item.pairs, item.encoding, { timeout: item.timeout }).then(function (res) {
+            if (res.ok || !res.retry) {
+              if (!res.ok) {
+                result.dropped += 1;
+                return dropQueueItem(item, 'rejected with HTTP ' + res.status);
+              }
+              result.sent += 1;
+              return deleteQueueItem(item.id).then(function () { notifyQueueResult(item, true); });
+            }
+            item.attempts += 1;
+            var reason = queueExpiryReason(item, Date.now());
+            if (reason) {
+              result.dropped += 1;
+              return dropQueueItem(item, reason);
+            }
+            item.nextAttemptAt = Date.now() + queueRetryDelay(item.attempts);
+            result.pending += 1;
+            return writeQueueItem(item);
+          });
+        });
+      });
+      return chain;
+    }).then(function () {
+      q.flushing = null;
+      if (result.pending) scheduleQueueFlush();
+      return result;
+    }, function () {
+      q.flushing = null;
+      return result;
+    });
+    return q.flushing;
+  }
+
+  /**
+   * Stored submissions as plain objects: { id, kind, form, endpoint, data, createdAt, attempts, nextAttemptAt }.
+   */
+  function getPendingSubmissions() {
+    return readQueue().then(function (items) {
+      return items.map(function (it) {
+        var data = {};
+        (it.pairs || []).forEach(function (p) { data[p[0]] = p[1]; });
+        return {
+          id: it.id,
+          kind: it.kind,
+          form: it.form || '',
+          endpoint: it.endpoint,
+          data: data,
+          createdAt: it.createdAt,
+          attempts: it.attempts,
+          nextAttemptAt: it.nextAttemptAt
+        };
+      });
+    });
+  }
+
+  function onQueueOnline() {
+    if (queuedCount()) flushSubmissions();
+  }
+
+  /**
+   * Contact form (graceful enhancement)
+   *
+   * Behavior:
+   *  - Forms matched by selectors.contactForm ([data-contact-form]) ship disabled (data-placeholder-form).
+   *    They are enabled only when an endpoint is configured: config.contactEndpoint or data-endpoint on the form.
+   *    Without one the authored disabled state is left untouched.
+   *  - name / email / message are validated on submit and re-checked as the user edits; errors render inline
+   *    and are linked with aria-invalid + aria-describedby. The first invalid field receives focus.
+   *  - Valid forms POST via fetch as JSON (default) or form-encoded (config.contactEncoding / data-encoding).
+   *    The form's data-state reflects idle / pending / success / error / queued and a role="status" line announces it.
+   *  - Offline or transient failures are stored by the submission queue (state "queued") and sent later.
+   *  - Original attributes and note text are recorded in state._contactForms so destroy() can restore them.
+   */
+
+  // Field rules, keyed by control name; other required controls only get the generic check
+  var CONTACT_RULES = {
+    name: { minLength: 2, message: 'name' },
+    email: { email: true, message: 'email' },
+    message: { minLength: 10, message: 'message' }
+  };
+
+  var EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+  function getContactConfig(form) {
+    var cfg = state.config || {};
+    var messages = localized('contactMessages');
+    var endpoint = '';
+    var encoding = '';
+    try {
+      endpoint = form.getAttribute('data-endpoint') || cfg.contactEndpoint || '';
+      encoding = form.getAttribute('data-encoding') || cfg.contactEncoding || DEFAULTS.contactEncoding;
+    } catch (e) {}
+    return {
+      endpoint: endpoint,
+      encoding: encoding === 'form' ? 'form' : 'json',
+      timeout: cfg.contactTimeout === undefined ? DEFAULTS.contactTimeout : cfg.contactTimeout,
+      messages: messages
+    };
+  }
+
+  function findContactRecord(form) {
+    var recs = state._contactForms || [];
+    for (var i = 0; i < recs.length; i++) {
+      if (recs[i].form === form) return recs[i];
+    }
+    return null;
+  }
+
+  function addFormListener(rec, target, type, handler) {
+    if (!rec || !target || !target.addEventListener) return;
+    try {
+      target.addEventListener(type, handler, false);
+      rec.listeners.push({ target: target, type: type, handler: handler });
+    } catch (e) {}
+  }
+
+  /**
+   * Record an attribute so teardown can restore it, then set (value) or remove it (null).
+   */
+  function setContactAttr(rec, el, name, value) {
+    if (!el) return;
+    try {
+      rec.attrs.push({ el: el, name: name, value: el.hasAttribute(name) ? el.getAttribute(name) : null });
+      if (value === null) el.removeAttribute(name);
+      else el.setAttribute(name, value);
+    } catch (e) {}
+  }
+
+  function getContactControls(form) {
+    try {
+      return Array.prototype.slice.call(form.querySelectorAll('input, textarea, select, button'), 0);
+    } catch (e) {
+      return [];
+    }
+  }
+
+  /**
+   * Controls that are validated: known field names plus anything marked required.
+   */
+  function getContactFields(form) {
+    return getContactControls(form).filter(function (el) {
+      var tag = el.tagName.toLowerCase();
+      if (tag === 'button' || el.type === 'hidden' || el.type === 'submit') return false;
+      return !!(CONTACT_RULES[el.name] || el.hasAttribute('required'));
+    });
+  }
+
+  /**
+   * Error message for a field, or '' when it is valid.
+   */
+  function validateContactField(el, messages) {
+    var value = String(el.value || '').trim();
+    var rule = CONTACT_RULES[el.name] || {};
+    if (!value) return messages[rule.message] || messages.required;
+    if (rule.email && !EMAIL_PATTERN.test(value)) return messages.email;
+    if (rule.minLength && value.length < rule.minLength) return messages[rule.message] || messages.required;
+    return '';
+  }
+
+  /**
+   * Show (message) or clear ('') the inline error for a field and keep aria-invalid / aria-describedby in sync.
+   * Errors go into the field's .form-field wrapper, else rec.errorHost, else the field's parent.
+   */
+  function showFieldError(rec, el, message) {
+    var errorId = (el.id || ensureId(el, 'form-field')) + '-error';
+    var errorEl = document.getElementById(errorId);
+    if (!errorEl && message) {
+      errorEl = document.createElement('p');
+      errorEl.className = 'form-error';
+      errorEl.id = errorId;
+      var field = el.closest ? el.closest('.form-field') : null;
+      try {
+        (field || rec.errorHost || el.parentNode).appendChild(errorEl);
+        rec.created.push(errorEl);
+      } catch (e) {}
+    }
+    var describedBy = (el.getAttribute('aria-describedby') || '').split(/\s+/).filter(function (id) {
+      return id && id !== errorId;
+    });
+    if (message && errorEl) {
+      errorEl.textContent = message;
+      errorEl.hidden = false;
+      el.setAttribute('aria-invalid', 'true');
+      describedBy.push(errorId);
+    } else {
+      if (errorEl) {
+        errorEl.textContent = '';
+        errorEl.hidden = true;
+      }
+      el.removeAttribute('aria-invalid');
+    }
+    if (describedBy.length) el.setAttribute('aria-describedby', describedBy.join(' '));
+    else el.removeAttribute('aria-describedby');
+  }
+
+  function checkContactField(rec, el) {
+    var message = validateContactField(el, getContactConfig(rec.form).messages);
+    showFieldError(rec, el, message);
+    return !message;
+  }
+
+  function setContactStatus(rec, formState, message) {
+    try { rec.form.setAttribute('data-state', formState); } catch (e) {}
+    if (rec.status) rec.status.textContent = message || '';
+    try {
+      if (formState === 'pending') rec.form.setAttribute('aria-busy', 'true');
+      else rec.form.removeAttribute('aria-busy');
+    } catch (e) {}
+  }
+
+  /**
+   * Named control values (buttons and disabled controls excluded), in document order.
+   */
+  function serializeContactForm(form) {
+    var pairs = [];
+    getContactControls(form).forEach(function (el) {
+      var tag = el.tagName.toLowerCase();
+      if (!el.name || el.disabled || tag === 'button') return;
+      if (el.type === 'submit' || el.type === 'reset' || el.type === 'button' || el.type === 'file') return;
+      if ((el.type === 'checkbox' || el.type === 'radio') && !el.checked) return;
+      pairs.push([el.name, String(el.value || '')]);
+    });
+    return pairs;
+  }
+
+  function setContactPending(rec, pending) {
+    var submit = rec.submit;
+    if (!submit) return;
+    try {
+      submit.disabled = pending;
+      if (pending) submit.setAttribute('aria-disabled', 'true');
+      else submit.removeAttribute('aria-disabled');
+      submit.textContent = pending ? getContactConfig(rec.form).messages.sending : rec.submitText;
+    } catch (e) {}
+  }
+
+  function abortContactRequest(rec) {
+    if (rec.controller) {
+      try { rec.controller.abort(); } catch (e) {}
+      rec.controller = null;
+    }
+  }
+
+  function resetContactFields(rec) {
+    try { rec.form.reset(); } catch (e) {}
+    getContactFields(rec.form).forEach(function (el) { showFieldError(rec, el, ''); });
+    rec.attempted = false;
+  }
+
+  /**
+   * POST the form; offline / transient failures go to the submission queue. Resolves to true when the
+   * endpoint accepted it or the entry was queued.
+   */
+  function submitContactForm(rec) {
+    var cfg = getContactConfig(rec.form);
+    var pairs = serializeContactForm(rec.form);
+    abortContactRequest(rec);
+    // Sentinel so a second submit is ignored even when the request is skipped (offline)
+    var controller = typeof AbortController === 'function' ? new AbortController() : {};
+    rec.controller = controller;
+    setContactPending(rec, true);
+    setContactStatus(rec, 'pending', cfg.messages.pending);
+
+    var request = isOffline() && queueEnabled()
+      ? Promise.resolve({ ok: false, status: 0, retry: true })
+      : postSubmission(cfg.endpoint, pairs, cfg.encoding, {
+        controller: typeof controller.abort === 'function' ? controller : null,
+        timeout: cfg.timeout
+      });
+
+    return request.then(function (res) {
+      if (res.ok || !res.retry) return { ok: res.ok, queued: false };
+      return queueSubmission(rec, 'contact', cfg.endpoint, pairs, cfg.encoding, cfg.timeout).then(function (item) {
+        return { ok: !!item, queued: !!item };
+      });
+    }).then(function (outcome) {
+      track('form_submit', { form: 'contact', status: outcome.queued ? 'queued' : (outcome.ok ? 'success' : 'error') });
+      // Torn down (destroy) while in flight
+      if (rec.controller !== controller) return outcome.ok;
+      rec.controller = null;
+      setContactPending(rec, false);
+      if (outcome.queued) {
+        // Saved on this device: clear the fields so the user is not tempted to send twice
+        resetContactFields(rec);
+        setContactStatus(rec, 'queued', isOffline() ? cfg.messages.queued : cfg.messages.queuedRetry);
+      } else if (outcome.ok) {
+        resetContactFields(rec);
+        setContactStatus(rec, 'success', cfg.messages.success);
+      } else {
+        setContactStatus(rec, 'error', cfg.messages.failure);
+      }
+      return outcome.ok;
+    });
+  }
+
+  function onContactSubmit(rec, e) {
+    if (e && e.preventDefault) e.preventDefault();
+    if (rec.controller) return;
+    rec.attempted = true;
+    var firstInvalid = null;
+    getContactFields(rec.form).forEach(function (el) {
+      if (!checkContactField(rec, el) && !firstInvalid) firstInvalid = el;
+    });
+    if (firstInvalid) {
+      track('form_submit', { form: 'contact', status: 'invalid' });
+      setContactStatus(rec, 'error', getContactConfig(rec.form).messages.invalid);
+      try { firstInvalid.focus(); } catch (err) {}
+      return;
+    }
+    submitContactForm(rec);
+  }
+
+  /**
+   * Remove contact-form listeners, abort requests and restore the authored (disabled) markup.
+   */
+  function teardownContactForms() {
+    var recs = state._contactForms || [];
+    recs.forEach(function (rec) {
+      abortContactRequest(rec);
+      (rec.listeners || []).forEach(function (it) {
+        try { it.target.removeEventListener(it.type, it.handler, false); } catch (e) {}
+      });
+      rec.listeners = [];
+      getContactFields(rec.form).forEach(function (el) {
+        try { showFieldError(rec, el, ''); } catch (e) {}
+      });
+      (rec.created || []).forEach(function (el) {
+        try { if (el.parentNode) el.parentNode.removeChild(el); } catch (e) {}
+      });
+      try { if (rec.submit) rec.submit.textContent = rec.submitText; } catch (e) {}
+      // Restore in reverse so the earliest recorded value wins
+      for (var i = rec.attrs.length - 1; i >= 0; i--) {
+        var a = rec.attrs[i];
+        try {
+          if (a.value === null) a.el.removeAttribute(a.name);
+          else a.el.setAttribute(a.name, a.value);
+        } catch (e) {}
+      }
+      try { if (rec.note && rec.noteText !== null) rec.note.textContent = rec.noteText; } catch (e) {}
+      try {
+        rec.form.removeAttribute('data-state');
+        rec.form.removeAttribute('aria-busy');
+      } catch (e) {}
+    });
+    state._contactForms = [];
+  }
+
+  /**
+   * Enable and wire every contact form that has an endpoint. Safe to call repeatedly.
+   */
+  function initContactForm() {
+    if (typeof document === 'undefined') return;
+    if (!state.config || !state.config.selectors) state.config = merge(DEFAULTS, state.config || {});
+    if (state._contactForms && state._contactForms.length) teardownContactForms();
+
+    var selector = (state.config.selectors && state.config.selectors.contactForm) || DEFAULTS.selectors.contactForm;
+    safeQueryAll(selector).forEach(function (form) {
+      if (!form || form.tagName.toLowerCase() !== 'form' || findContactRecord(form)) return;
+      var cfg = getContactConfig(form);
+      // No endpoint: keep the placeholder form disabled exactly as authored
+      if (!cfg.endpoint || typeof window.fetch !== 'function') return;
+
+      var rec = {
+        form: form,
+        submit: safeQuerySelectorWithin(form, 'button[type="submit"], input[type="submit"]') || safeQuerySelectorWithin(form, 'button:not([type])'),
+        clear: safeQuerySelectorWithin(form, '[data-contact-clear], button[type="reset"], .form-actions button[type="button"]'),
+        note: null,
+        noteText: null,
+        status: null,
+        submitText: '',
+        attempted: false,
+        controller: null,
+        // id of the submission queue entry this form is waiting on
+        queuedId: null,
+        listeners: [],
+        attrs: [],
+        created: []
+      };
+      try { rec.submitText = rec.submit ? rec.submit.textContent : ''; } catch (e) { rec.submitText = ''; }
+
+      // Enable controls and drop the placeholder markers
+      getContactControls(form).forEach(function (el) {
+        if (el.hasAttribute('disabled')) setContactAttr(rec, el, 'disabled', null);
+        if (el.hasAttribute('aria-disabled')) setContactAttr(rec, el, 'aria-disabled', null);
+      });
+      if (form.hasAttribute('aria-disabled')) setContactAttr(rec, form, 'aria-disabled', null);
+      if (form.hasAttribute('data-placeholder-form')) setContactAttr(rec, form, 'data-placeholder-form', null);
+
+      // The authored note explains why the form is disabled; swap in usage guidance
+      try {
+        var noteId = (form.getAttribute('aria-describedby') || '').split(/\s+/)[0];
+        rec.note = noteId ? document.getElementById(noteId) : null;
+        if (rec.note) {
+          rec.noteText = rec.note.textContent;
+          rec.note.textContent = cfg.messages.ready;
+        }
+      } catch (e) {}
+
+      // Live status line announced by screen readers
+      try {
+        var status = document.createElement('p');
+        status.className = 'contact-status';
+        status.setAttribute('role', 'status');
+        status.setAttribute('aria-live', 'polite');
+        var actions = safeQuerySelectorWithin(form, '.form-actions');
+        if (actions && actions.parentNode === form) form.insertBefore(status, actions.nextSibling);
+        else form.appendChild(status);
+        rec.status = status;
+        rec.created.push(status);
+      } catch (e) {}
+
+      state._contactForms.push(rec);
+      setContactStatus(rec, 'idle', '');
+
+      addFormListener(rec, form, 'submit', function (e) { onContactSubmit(rec, e); });
+      // Re-check edited fields once the user has tried to submit or left the field
+      addFormListener(rec, form, 'focusout', function (e) {
+        var el = e.target;
+        if (!el || getContactFields(form).indexOf(el) === -1) return;
+        if (rec.attempted || String(el.value || '').trim()) checkContactField(rec, el);
+      });
+      addFormListener(rec, form, 'input', function (e) {
+        var el = e.target;
+        if (el && el.getAttribute && el.getAttribute('aria-invalid') === 'true') checkContactField(rec, el);
+      });
+      if (rec.clear) {
+        addFormListener(rec, rec.clear, 'click', function (e) {
+          if (e && e.preventDefault) e.preventDefault();
+          if (rec.controller) return;
+          resetContactFields(rec);
+          setContactStatus(rec, 'idle', '');
+          var first = getContactFields(form)[0];
+          try { if (first) first.focus(); } catch (err) {}
+        });
+      }
+    });
+  }
+
+  /**
+   * Newsletter sign-up (double opt-in)
+   *
+   * Behavior:
+   *  - SiteNav takes over forms matched by selectors.newsletterForm (index.html #newsletter-form): the email
+   *    field is validated inline (aria-invalid + aria-describedby) instead of posting to action="#".
+   *  - Bot checks: a visually hidden honeypot field (config.newsletterHoneypot) must stay empty, and the form
+   *    must be open for at least newsletterMinTime ms. A filled honeypot gets a fake success and sends nothing.
+   *  - Valid sign-ups POST { email } to config.newsletterEndpoint (or data-endpoint); success shows the
+   *    "check your inbox" state. Offline / transient failures are stored by the submission queue.
+   *  - Landing on ?confirm=TOKEN (param: newsletterConfirmParam) POSTs { token } to
+   *    newsletterConfirmEndpoint (or data-confirm-endpoint), then drops the token from the URL.
+   *  - Every step is announced through a role="status" line after the form; data-state on the form mirrors it.
+   *  - Without an endpoint the form explains that sign-up is unavailable instead of silently reloading.
+   */
+
+  function getNewsletterConfig(form) {
+    var cfg = state.config || {};
+    var endpoint = '';
+    var confirmEndpoint = '';
+    try {
+      endpoint = (form && form.getAttribute('data-endpoint')) || cfg.newsletterEndpoint || '';
+      confirmEndpoint = (form && form.getAttribute('data-confirm-endpoint')) || cfg.newsletterConfirmEndpoint || '';
+    } catch (e) {}
+    return {
+      endpoint: endpoint,
+      confirmEndpoint: confirmEndpoint,
+      confirmParam: cfg.newsletterConfirmParam || DEFAULTS.newsletterConfirmParam,
+      honeypot: cfg.newsletterHoneypot || DEFAULTS.newsletterHoneypot,
+      minTime: cfg.newsletterMinTime === undefined ? DEFAULTS.newsletterMinTime : cfg.newsletterMinTime,
+      timeout: cfg.contactTimeout === undefined ? DEFAULTS.contactTimeout : cfg.contactTimeout,
+      messages: localized('newsletterMessages')
+    };
+  }
+
+  function setNewsletterStatus(rec, formState, message) {
+    try { rec.form.setAttribute('data-state', formState); } catch (e) {}
+    if (rec.status) rec.status.textContent = message || '';
+    try {
+      if (formState === 'pending') rec.form.setAttribute('aria-busy', 'true');
+      else rec.form.removeAttribute('aria-busy');
+      if (rec.submit) rec.submit.disabled = formState === 'pending';
+    } catch (e) {}
+  }
+
+  function checkNewsletterEmail(rec) {
+    var messages = getNewsletterConfig(rec.form).messages;
+    var value = String(rec.email.value || '').trim();
+    var message = !value || !EMAIL_PATTERN.test(value) ? messages.email : '';
+    showFieldError(rec, rec.email, message);
+    return !message;
+  }
+
+  /**
+   * Hidden field humans never see; bots that fill every input give themselves away.
+   */
+  function createHoneypot(rec, name) {
+    var existing = safeQuerySelectorWithin(rec.form, '[name="' + name.replace(/"/g, '\\"') + '"]');
+    if (existing) return existing;
+    var wrap = document.createElement('div');
+    wrap.setAttribute('aria-hidden', 'true');
+    wrap.style.cssText = 'position:absolute;left:-10000px;top:auto;width:1px;height:1px;overflow:hidden;';
+    var label = document.createElement('label');
+    label.textContent = localized('newsletterMessages').honeypot;
+    var input = document.createElement('input');
+    input.type = 'text';
+    input.name = name;
+    input.tabIndex = -1;
+    input.setAttribute('autocomplete', 'off');
+    label.appendChild(input);
+    wrap.appendChild(label);
+    rec.form.appendChild(wrap);
+    rec.created.push(wrap);
+    return input;
+  }
+
+  function onNewsletterSubmit(rec, e) {
+    if (e && e.preventDefault) e.preventDefault();
+    if (rec.form.getAttribute('data-state') === 'pending') return;
+    var cfg = getNewsletterConfig(rec.form);
+    rec.attempted = true;
+    if (!checkNewsletterEmail(rec)) {
+      track('form_submit', { form: 'newsletter', status: 'invalid' });
+      setNewsletterStatus(rec, 'error', cfg.messages.invalid);
+      try { rec.email.focus(); } catch (err) {}
+      return;
+    }
+    // Bot: pretend it worked so nothing hints at the trap
+    if (rec.honeypot && String(rec.honeypot.value || '') !== '') {
+      track('form_submit', { form: 'newsletter', status: 'blocked' });
+      setNewsletterStatus(rec, 'confirm-sent', cfg.messages.checkInbox);
+      return;
+    }
+    if (Date.now() - rec.startedAt < cfg.minTime) {
+      track('form_submit', { form: 'newsletter', status: 'blocked' });
+      setNewsletterStatus(rec, 'error', cfg.messages.tooFast);
+      return;
+    }
+    if (!cfg.endpoint || typeof window.fetch !== 'function') {
+      track('form_submit', { form: 'newsletter', status: 'unavailable' });
+      setNewsletterStatus(rec, 'error', cfg.messages.unavailable);
+      return;
+    }
+
+    var pairs = [['email', String(rec.email.value).trim()]];
+    var token = rec.token = {};
+    setNewsletterStatus(rec, 'pending', cfg.messages.pending);
+    var request = isOffline() && queueEnabled()
+      ? Promise.resolve({ ok: false, status: 0, retry: true })
+      : postSubmission(cfg.endpoint, pairs, 'json', { timeout: cfg.timeout });
+
+    request.then(function (res) {
+      if (res.ok || !res.retry) return { ok: res.ok, queued: false };
+      return queueSubmission(rec, 'newsletter', cfg.endpoint, pairs, 'json', cfg.timeout).then(function (item) {
+        return { ok: !!item, queued: !!item };
+      });
+    }).then(function (outcome) {
+      track('form_submit', { form: 'newsletter', status: outcome.queued ? 'queued' : (outcome.ok ? 'success' : 'error') });
+      // Torn down or re-initialized while in flight
+      if (rec.token !== token) return;
+      if (outcome.ok) {
+        try { rec.form.reset(); } catch (err) {}
+        rec.attempted = false;
+      }
+      if (outcome.queued) setNewsletterStatus(rec, 'queued', isOffline() ? cfg.messages.queued : cfg.messages.queuedRetry);
+      else if (outcome.ok) setNewsletterStatus(rec, 'confirm-sent', cfg.messages.checkInbox);
+      else setNewsletterStatus(rec, 'error', cfg.messages.failure);
+    });
+  }
+
+  /**
+   * Handle a double opt-in landing (?confirm=TOKEN). Resolves to true when the endpoint confirmed the token.
+   */
+  function confirmNewsletterFromUrl() {
+    var rec = (state._newsletterForms || [])[0] || null;
+    var cfg = getNewsletterConfig(rec ? rec.form : null);
+    var url;
+    try { url = new URL(location.href); } catch (e) { return Promise.resolve(false); }
+    var token = url.searchParams.get(cfg.confirmParam);
+    if (!token || !cfg.confirmEndpoint || typeof window.fetch !== 'function') return Promise.resolve(false);
+
+    // Drop the token first so reloads and shared links do not confirm again
+    try {
+      url.searchParams['delete'](cfg.confirmParam);
+      history.replaceState(history.state, '', url.href);
+      if (state._router) state._router.currentUrl = url.href;
+    } catch (e) {}
+
+    var announce = function (formState, message) {
+      if (rec) setNewsletterStatus(rec, formState, message);
+    };
+    announce('pending', cfg.messages.confirming);
+    return postSubmission(cfg.confirmEndpoint, [['token', token]], 'json', { timeout: cfg.timeout }).then(function (res) {
+      announce(res.ok ? 'confirmed' : 'error', res.ok ? cfg.messages.confirmed : cfg.messages.confirmFailed);
+      return res.ok;
+    });
+  }
+
+  function teardownNewsletterForms() {
+    (state._newsletterForms || []).forEach(function (rec) {
+      rec.token = null;
+      (rec.listeners || []).forEach(function (it) {
+        try { it.target.removeEventListener(it.type, it.handler, false); } catch (e) {}
+      });
+      rec.listeners = [];
+      try { showFieldError(rec, rec.email, ''); } catch (e) {}
+      (rec.created || []).forEach(function (el) {
+        try { if (el.parentNode) el.parentNode.removeChild(el); } catch (e) {}
+      });
+      try {
+        if (rec.novalidate === null) rec.form.removeAttribute('novalidate');
+        rec.form.removeAttribute('data-state');
+        rec.form.removeAttribute('aria-busy');
+        if (rec.submit) rec.submit.disabled = false;
+      } catch (e) {}
+    });
+    state._newsletterForms = [];
+  }
+
+  /**
+   * Take over every newsletter form on the page and handle a ?confirm=TOKEN landing. Safe to call repeatedly.
+   */
+  function initNewsletterForm() {
+    if (typeof document === 'undefined') return;
+    if (!state.config || !state.config.selectors) state.config = merge(DEFAULTS, state.config || {});
+    // Forms wired before keep their start time, so a re-scan mid-typing does not trip the minTime check
+    var startTimes = [];
+    (state._newsletterForms || []).forEach(function (rec) {
+      startTimes.push({ form: rec.form, startedAt: rec.startedAt });
+    });
+    if (state._newsletterForms && state._newsletterForms.length) teardownNewsletterForms();
+
+    var selector = (state.config.selectors && state.config.selectors.newsletterForm) || DEFAULTS.selectors.newsletterForm;
+    safeQueryAll(selector).forEach(function (form) {
+      if (!form || form.tagName.toLowerCase() !== 'form') return;
+      var email = safeQuerySelectorWithin(form, 'input[type="email"], input[name="email"]');
+      if (!email) return;
+      var cfg = getNewsletterConfig(form);
+      var startedAt = Date.now();
+      startTimes.forEach(function (prev) {
+        if (prev.form === form) startedAt = prev.startedAt;
+      });
+      var rec = {
+        form: form,
+        email: email,
+        submit: safeQuerySelectorWithin(form, 'button[type="submit"], input[type="submit"], button:not([type])'),
+        honeypot: null,
+        status: null,
+        // The inline form has no .form-field wrappers: errors go after the form
+        errorHost: form.parentNode,
+        novalidate: form.getAttribute('novalidate'),
+        startedAt: startedAt,
+        attempted: false,
+        token: null,
+        queuedId: null,
+        listeners: [],
+        created: []
+      };
+      // Native bubbles would pre-empt the inline, announced errors
+      try { form.setAttribute('novalidate', ''); } catch (e) {}
+      try { rec.honeypot = createHoneypot(rec, cfg.honeypot); } catch (e) {}
+      try {
+        var status = document.createElement('p');
+        status.className = 'newsletter-status';
+        status.setAttribute('role', 'status');
+        status.setAttribute('aria-live', 'polite');
+        form.parentNode.insertBefore(status, form.nextSibling);
+        rec.status = status;
+        rec.created.push(status);
+      } catch (e) {}
+
+      state._newsletterForms.push(rec);
+      setNewsletterStatus(rec, 'idle', '');
+
+      addFormListener(rec, form, 'submit', function (e) { onNewsletterSubmit(rec, e); });
+      addFormListener(rec, email, 'input', function () {
+        if (email.getAttribute('aria-invalid') === 'true') checkNewsletterEmail(rec);
+      });
+      addFormListener(rec, email, 'blur', function () {
+        if (rec.attempted || String(email.value || '').trim()) checkNewsletterEmail(rec);
+      });
+    });
+
+    try { confirmNewsletterFromUrl(); } catch (e) {}
+  }
+
+  /**
+   * Analytics
+   *
+   * Behavior:
+   *  - track(name, props) checks events against ANALYTICS_SCHEMA (unknown names, missing or mistyped props are
+   *    dropped with a warning) and hands them to every registered adapter.
+   *  - Adapters: { name, batch, send(events, meta) }. Built-ins via SiteNav.analytics.adapters: console(),
+   *    beacon(url), dataLayer(name), custom(fn). batch: true adapters receive buffered events, flushed every
+   *    analyticsFlushInterval ms, at analyticsBatchSize events, and on pagehide (meta.unloading, sendBeacon).
+   *  - analyticsDryRun records events without calling adapters; analyticsDebug also logs them. Either way
+   *    getEvents() returns the recorded events so tests can assert against them.
+   *  - Adapters and recorded events live outside init/destroy so they can be registered before init().
+   */
+
+  // Props per event: type name, with a trailing "?" for optional props
+  var ANALYTICS_SCHEMA = {
+    nav_open: {},
+    nav_close: {},
+    demo_open: { id: 'string' },
+    demo_close: { id: 'string' },
+    service_expand: { id: 'string' },
+    form_submit: { form: 'string', status: 'string' },
+    link_click: { href: 'string', internal: 'boolean', text: 'string?' }
+  };
+
+  // Recorded events kept for getEvents() in dry-run / debug mode
+  var ANALYTICS_LOG_LIMIT = 500;
+
+  var analyticsState = {
+    adapters: [],
+    buffer: [],
+    log: [],
+    timerId: null
+  };
+
+  function analyticsOption(key) {
+    var cfg = state.config || {};
+    return cfg[key] === undefined ? DEFAULTS[key] : cfg[key];
+  }
+
+  function analyticsWarn(message) {
+    try {
+      if (window.console && window.console.warn) window.console.warn('SiteNav.analytics: ' + message);
+    } catch (e) {}
+  }
+
+  /**
+   * Validated copy of props, or null when they do not match the schema for `name`.
+   */
+  function validateAnalyticsEvent(name, props) {
+    var spec = ANALYTICS_SCHEMA[name];
+    if (!spec) {
+      analyticsWarn('unknown event "' + name + '"');
+      return null;
+    }
+    props = props || {};
+    var out = {};
+    for (var key in spec) {
+      if (!Object.prototype.hasOwnProperty.call(spec, key)) continue;
+      var type = spec[key];
+      var optional = type.charAt(type.length - 1) === '?';
+      if (optional) type = type.slice(0, -1);
+      var value = props[key];
+      if (value === undefined || value === null) {
+        if (optional) continue;
+        analyticsWarn('event "' + name + '" is missing "' + key + '"');
+        return null;
+      }
+      if (typeof value !== type) {
+        analyticsWarn('event "' + name + '" expects "' + key + '" to be a ' + type);
+        return null;
+      }
+      out[key] = value;
+    }
+    return out;
+  }
+
+  function sendToAdapter(adapter, events, meta) {
+    try {
+      adapter.send(events.slice(), meta);
+    } catch (e) {
+      analyticsWarn('adapter "' + adapter.name + '" failed: ' + (e && e.message ? e.message : e));
+    }
+  }
+
+  function clearAnalyticsTimer() {
+    if (analyticsState.timerId) {
+      try { clearTimeout(analyticsState.timerId); } catch (e) {}
+      analyticsState.timerId = null;
+    }
+  }
+
+  /**
+   * Record and dispatch one event. Returns the event, or null when it was rejected or consent is missing.
+   */
+  function track(name, props) {
+    var clean = validateAnalyticsEvent(name, props);
+    if (!clean) return null;
+    var event = { name: name, props: clean, ts: Date.now(), page: '' };
+    try { event.page = location.pathname; } catch (e) {}
+
+    var dryRun = !!analyticsOption('analyticsDryRun');
+    var debug = !!analyticsOption('analyticsDebug');
+    if (dryRun || debug) {
+      analyticsState.log.push(cloneValue(event));
+      if (analyticsState.log.length > ANALYTICS_LOG_LIMIT) analyticsState.log.shift();
+    }
+    if (debug) {
+      try {
+        if (window.console && window.console.debug) window.console.debug('[SiteNav analytics]' + (dryRun ? ' (dry run)' : ''), name, clean);
+      } catch (e) {}
+    }
+    if (dryRun) return event;
+    // Recorded locally above, but never sent anywhere without analytics consent
+    if (!hasConsent('analytics')) return null;
+
+    var batched = false;
+    analyticsState.adapters.forEach(function (adapter) {
+      if (adapter.batch) batched = true;
+      else sendToAdapter(adapter, [event], { unloading: false });
+    });
+    if (batched) {
+      analyticsState.buffer.push(event);
+      if (analyticsState.buffer.length >= analyticsOption('analyticsBatchSize')) {
+        flushAnalytics();
+      } else if (!analyticsState.timerId) {
+        analyticsState.timerId = window.setTimeout(function () {
+          analyticsState.timerId = null;
+          flushAnalytics();
+        }, analyticsOption('analyticsFlushInterval'));
+      }
+    }
+    return event;
+  }
+
+  /**
+   * Send buffered events to batching adapters. opts.unloading is passed on so adapters can use sendBeacon.
+   */
+  function flushAnalytics(opts) {
+    clearAnalyticsTimer();
+    var events = analyticsState.buffer;
+    if (!events.length) return 0;
+    analyticsState.buffer = [];
+    if (!hasConsent('analytics')) return 0;
+    var meta = { unloading: !!(opts && opts.unloading) };
+    analyticsState.adapters.forEach(function (adapter) {
+      if (adapter.batch) sendToAdapter(adapter, events, meta);
+    });
+    return events.length;
+  }
+
+  /**
+   * Register (or replace, by name) an adapter. Returns true when registered.
+   */
+  function useAnalyticsAdapter(adapter) {
+    if (!adapter || typeof adapter.name !== 'string' || !adapter.name || typeof adapter.send !== 'function') {
+      analyticsWarn('expected an adapter like { name: string, send: function(events, meta) }');
+      return false;
+    }
+    removeAnalyticsAdapter(adapter.name);
+    analyticsState.adapters.push({ name: adapter.name, batch: !!adapter.batch, send: adapter.send });
+    return true;
+  }
+
+  function removeAnalyticsAdapter(name) {
+    var before = analyticsState.adapters.length;
+    analyticsState.adapters = analyticsState.adapters.filter(function (a) { return a.name !== name; });
+    return analyticsState.adapters.length !== before;
+  }
+
+  function consoleAdapter() {
+    return {
+      name: 'console',
+      batch: false,
+      send: function (events) {
+        events.forEach(function (e) {
+          if (window.console && window.console.info) window.console.info('[SiteNav analytics]', e.name, e.props);
+        });
+      }
+    };
+  }
+
+  /**
+   * POST batches as JSON ({ events: [...] }) to `url`: sendBeacon when available, fetch keepalive otherwise.
+   */
+  function beaconAdapter(url) {
+    return {
+      name: 'beacon',
+      batch: true,
+      send: function (events) {
+        var body = JSON.stringify({ events: events });
+        try {
+          if (typeof navigator !== 'undefined' && typeof navigator.sendBeacon === 'function' && typeof Blob === 'function') {
+            if (navigator.sendBeacon(url, new Blob([body], { type: 'application/json' }))) return;
+          }
+        } catch (e) {}
+        if (typeof window.fetch === 'function') {
+          window.fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: body,
+            keepalive: true,
+            credentials: 'same-origin'
+          })['catch'](function () {});
+        }
+      }
+    };
+  }
+
+  /**
+   * Push { event: name, ...props } onto window[name] (default "dataLayer", as used by tag managers).
+   */
+  function dataLayerAdapter(layerName) {
+    var key = layerName || 'dataLayer';
+    return {
+      name: 'dataLayer',
+      batch: false,
+      send: function (events) {
+        window[key] = window[key] || [];
+        events.forEach(function (e) {
+          window[key].push(merge({ event: e.name }, e.props));
+        });
+      }
+    };
+  }
+
+  /**
+   * Wrap fn(event) as an adapter; opts.batch passes buffered arrays to fn(events, meta) instead.
+   */
+  function customAdapter(fn, opts) {
+    opts = opts || {};
+    return {
+      name: opts.name || 'custom',
+      batch: !!opts.batch,
+      send: function (events, meta) {
+        if (opts.batch) fn(events, meta);
+        else events.forEach(function (e) { fn(e, meta); });
+      }
+    };
+  }
+
+  /**
+   * Copies of events recorded in dry-run / debug mode.
+   */
+  function getAnalyticsEvents() {
+    return analyticsState.log.map(cloneValue);
+  }
+
+  function clearAnalyticsEvents() {
+    analyticsState.log = [];
+  }
+
+  function onAnalyticsPageHide() {
+    flushAnalytics({ unloading: true });
+  }
+
+  function onAnalyticsVisibilityChange() {
+    if (document.visibilityState === 'hidden') flushAnalytics({ unloading: true });
+  }
+
+  function onAnalyticsLinkClick(e) {
+    var target = e && (e.target || e.srcElement);
+    var link = target && target.closest ? target.closest('a[href]') : null;
+    if (!link) return;
+    var href = link.getAttribute('href') || '';
+    // In-page toggles and pseudo-links are not navigation
+    if (!href || href.charAt(0) === '#' || /^javascript:/i.test(href)) return;
+    var absolute = href;
+    try { absolute = new URL(href, location.href).href; } catch (err) {}
+    var text = '';
+    try { text = (link.getAttribute('aria-label') || link.textContent || '').replace(/\s+/g, ' ').trim().slice(0, 80); } catch (err) {}
+    track('link_click', { href: absolute, internal: isSameOriginUrl(absolute), text: text });
+  }
+
+  var analytics = {
+    track: track,
+    use: useAnalyticsAdapter,
+    remove: removeAnalyticsAdapter,
+    flush: flushAnalytics,
+    getEvents: getAnalyticsEvents,
+    clearEvents: clearAnalyticsEvents,
+    schema: cloneValue(ANALYTICS_SCHEMA),
+    adapters: {
+      console: consoleAdapter,
+      beacon: beaconAdapter,
+      dataLayer: dataLayerAdapter,
+      custom: customAdapter
+    }
+  };
+
+  /**
+   * Consent
+   *
+   * Behavior:
+   *  - Categories: necessary (always on), analytics, marketing. Choices are stored in localStorage under
+   *    CONSENT_STORAGE_KEY as { version, timestamp, choices }; a record whose version differs from
+   *    consentVersion is ignored, so bumping the version re-prompts everyone.
+   *  - Until a choice is stored, init() opens the consent dialog (except on the policy page itself).
+   *  - has(category) is the single gate: analytics adapters only receive events with analytics consent, and
+   *    embeds marked <iframe data-consent="marketing" data-consent-src="..."> only get their src once allowed.
+   *  - Elements matching selectors.consentManage (the footer "Manage cookies" links) reopen the dialog.
+   *  - Changes are announced with a "consent:change" CustomEvent on document (detail: { choices }).
+   *  - consent: false in the options turns the manager off; has() then allows every category.
+   */
+
+  var CONSENT_STORAGE_KEY = 'sitenav:consent';
+  var CONSENT_CATEGORIES = ['necessary', 'analytics', 'marketing'];
+
+  // Lives outside init/destroy like analyticsState: has() may be called before init()
+  var consentState = {
+    modal: null,
+    lastActive: null,
+    listeners: []
+  };
+
+  function consentOption(key) {
+    var cfg = state.config || {};
+    return cfg[key] === undefined ? DEFAULTS[key] : cfg[key];
+  }
+
+  function consentEnabled() {
+    return consentOption('consent') !== false;
+  }
+
+  function consentMessages() {
+    return localized('consentMessages');
+  }
+
+  /**
+   * Stored record for the current consentVersion, or null (none, unreadable, or from an older policy).
+   */
+  function readConsent() {
+    var record = null;
+    try {
+      record = JSON.parse(window.localStorage.getItem(CONSENT_STORAGE_KEY) || 'null');
+    } catch (e) {
+      record = null;
+    }
+    if (!record || typeof record !== 'object' || !record.choices) return null;
+    if (String(record.version) !== String(consentOption('consentVersion'))) return null;
+    return record;
+  }
+
+  function hasConsent(category) {
+    if (category === 'necessary') return true;
+    if (!consentEnabled()) return true;
+    var record = readConsent();
+    return !!(record && record.choices[category] === true);
+  }
+
+  /**
+   * Copy of the stored choice ({ version, timestamp, choices }), or null when the visitor has not chosen yet.
+   */
+  function getConsent() {
+    return cloneValue(readConsent());
+  }
+
+  /**
+   * Store choices ({ analytics: bool, marketing: bool }; missing categories are off) and apply them.
+   */
+  function setConsent(choices) {
+    choices = choices || {};
+    var record = {
+      version: String(consentOption('consentVersion')),
+      timestamp: Date.now(),
+      choices: { necessary: true, analytics: choices.analytics === true, marketing: choices.marketing === true }
+    };
+    try {
+      window.localStorage.setItem(CONSENT_STORAGE_KEY, JSON.stringify(record));
+    } catch (e) {}
+    applyConsent(record.choices);
+    closeConsentDialog();
+    return cloneValue(record);
+  }
+
+  /**
+   * Forget the stored choice. Already-loaded embeds stay until the next page load.
+   */
+  function resetConsent() {
+    try {
+      window.localStorage.removeItem(CONSENT_STORAGE_KEY);
+    } catch (e) {}
+    applyConsent({ necessary: true, analytics: false, marketing: false });
+  }
+
+  function applyConsent(choices) {
+    // Withdrawn analytics consent: drop anything still waiting for a batching adapter
+    if (!hasConsent('analytics')) {
+      clearAnalyticsTimer();
+      analyticsState.buffer = [];
+    }
+    try { activateConsentEmbeds(); } catch (e) {}
+    emit('consent:change', { choices: cloneValue(choices) });
+  }
+
+  /**
+   * Load embeds whose category is allowed: copy data-consent-src to src (scripts are re-created so they run).
+   */
+  function activateConsentEmbeds(rootEl) {
+    var selector = (state.config.selectors && state.config.selectors.consentEmbed) || DEFAULTS.selectors.consentEmbed;
+    var scope = rootEl || document;
+    var nodes = [];
+    try { nodes = Array.prototype.slice.call(scope.querySelectorAll(selector)); } catch (e) { nodes = []; }
+    nodes.forEach(function (el) {
+      var category = el.getAttribute('data-consent') || 'marketing';
+      if (!hasConsent(category)) {
+        el.setAttribute('data-consent-blocked', category);
+        return;
+      }
+      var src = el.getAttribute('data-consent-src');
+      el.removeAttribute('data-consent-src');
+      el.removeAttribute('data-consent-blocked');
+      if (!src) return;
+      if (el.tagName && el.tagName.toLowerCase() === 'script') {
+        var script = document.createElement('script');
+        script.src = src;
+        script.async = true;
+        try { el.parentNode.replaceChild(script, el); } catch (e) {}
+      } else {
+        el.setAttribute('src', src);
+      }
+    });
+  }
+
+  function buildConsentDialog() {
+    var msg = consentMessages();
+    var record = readConsent();
+    var m = buildModalShell({ prefix: 'consent-modal', idSuffix: Math.random().toString(36).slice(2, 6), title: msg.title });
+    m.overlay.setAttribute('data-consent-dialog', '');
+
+    var intro = document.createElement('p');
+    intro.className = 'consent-modal-desc';
+    intro.appendChild(document.createTextNode(msg.intro + ' '));
+    var policy = document.createElement('a');
+    policy.href = consentOption('consentPolicyUrl');
+    policy.textContent = msg.policy;
+    intro.appendChild(policy);
+    m.body.appendChild(intro);
+
+    var fieldset = document.createElement('fieldset');
+    fieldset.className = 'consent-modal-choices';
+    var legend = document.createElement('legend');
+    legend.className = 'sr-only';
+    legend.textContent = msg.legend;
+    fieldset.appendChild(legend);
+
+    m.inputs = {};
+    CONSENT_CATEGORIES.forEach(function (category) {
+      var id = m.title.id + '-' + category;
+      var row = document.createElement('div');
+      row.className = 'consent-modal-choice';
+      var input = document.createElement('input');
+      input.type = 'checkbox';
+      input.id = id;
+      input.name = category;
+      if (category === 'necessary') {
+        input.checked = true;
+        input.disabled = true;
+      } else {
+        input.checked = !!(record && record.choices[category]);
+      }
+      var label = document.createElement('label');
+      label.setAttribute('for', id);
+      label.textContent = msg[category];
+      var hint = document.createElement('p');
+      hint.className = 'consent-modal-hint';
+      hint.id = id + '-hint';
+      hint.textContent = msg[category + 'Hint'];
+      input.setAttribute('aria-describedby', hint.id);
+      row.appendChild(input);
+      row.appendChild(label);
+      row.appendChild(hint);
+      fieldset.appendChild(row);
+      m.inputs[category] = input;
+    });
+    m.body.appendChild(fieldset);
+
+    var makeButton = function (text, className, action) {
+      var btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'btn ' + className;
+      btn.textContent = text;
+      btn.setAttribute('data-consent-action', action);
+      m.actions.appendChild(btn);
+      return btn;
+    };
+    m.rejectBtn = makeButton(msg.rejectAll, 'btn-ghost', 'reject');
+    m.saveBtn = makeButton(msg.save, 'btn-ghost', 'save');
+    m.acceptBtn = makeButton(msg.acceptAll, 'btn-primary', 'accept');
+    return m;
+  }
+
+  /**
+   * Show the consent dialog (no-op when it is already open or the manager is off).
+   */
+  function openConsentDialog() {
+    if (!consentEnabled() || consentState.modal) return false;
+    var m = buildConsentDialog();
+    consentState.modal = m;
+    consentState.lastActive = document.activeElement || null;
+    showModalShell(m);
+
+    window.setTimeout(function () {
+      try { (m.inputs.analytics || m.acceptBtn).focus(); } catch (e) {}
+    }, 10);
+
+    addModalListener(consentState, m.actions, 'click', function (ev) {
+      var btn = ev.target && ev.target.closest ? ev.target.closest('[data-consent-action]') : null;
+      if (!btn) return;
+      var action = btn.getAttribute('data-consent-action');
+      if (action === 'accept') setConsent({ analytics: true, marketing: true });
+      else if (action === 'reject') setConsent({ analytics: false, marketing: false });
+      else setConsent({ analytics: m.inputs.analytics.checked, marketing: m.inputs.marketing.checked });
+    });
+    // Escape dismisses without storing a choice; the dialog is shown again on the next page load
+    addModalDismissListeners(consentState, m, function () { closeConsentDialog(); }, false);
+    return true;
+  }
+
+  function closeConsentDialog(forceRemove) {
+    var m = consentState.modal;
+    if (!m) return;
+    removeModalListeners(consentState);
+    hideModalShell(m, forceRemove);
+    consentState.modal = null;
+    restoreModalFocus(consentState.lastActive);
+    consentState.lastActive = null;
+  }
+
+  function onConsentManageClick(e) {
+    var selector = state.config.selectors.consentManage || DEFAULTS.selectors.consentManage;
+    var target = e && e.target && e.target.closest ? e.target.closest(selector) : null;
+    if (!target || !consentEnabled()) return;
+    if (e.preventDefault) e.preventDefault();
+    openConsentDialog();
+  }
+
+  /**
+   * True when the current page is the policy page the dialog links to (no prompt there, so it can be read).
+   */
+  function isConsentPolicyPage() {
+    try {
+      var policy = new URL(consentOption('consentPolicyUrl'), location.href);
+      return policy.pathname === location.pathname;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  var consent = {
+    has: hasConsent,
+    get: getConsent,
+    set: setConsent,
+    open: openConsentDialog,
+    close: closeConsentDialog,
+    reset: resetConsent,
+    categories: CONSENT_CATEGORIES.slice()
+  };
+
+  /**
+   * Theme
+   *
+   * Behavior:
+   *  - Modes: system (follow prefers-color-scheme, live), light, dark. The chosen mode is stored in localStorage
+   *    under THEME_STORAGE_KEY; <html data-theme="light|dark"> carries the resolved theme.
+   *  - Each page applies the stored theme before first paint with a tiny inline snippet in <head> that mirrors
+   *    resolveTheme(); init() then takes over (OS changes, other tabs, toggles).
+   *  - Toggles (selectors.themeToggle) are wired like the nav toggle: a plain [data-theme-toggle] cycles
+   *    system -> light -> dark, [data-theme-toggle="dark"] picks one mode (aria-pressed), and a <select> uses
+   *    its value. Toggles ship hidden and are revealed once wired, so nothing is shown without JS.
+   *  - Pages that keep their own fixed palette (contact, privacy, what-we-do) set data-sitenav-theme="false" on
+   *    <html> and ship neither the snippet nor a toggle: data-theme is never applied there, although set()
+   *    still stores a choice for the other pages. The command palette only offers "Toggle theme" where a
+   *    toggle was wired.
+   *  - Changes are announced with theme:change (detail: { mode, theme }).
+   */
+
+  var THEME_STORAGE_KEY = 'sitenav:theme';
+  var THEME_MODES = ['system', 'light', 'dark'];
+
+  var themeState = {
+    mode: 'system',
+    theme: '',
+    mql: null,
+    // whether onSystemThemeChange is subscribed to mql
+    listening: false
+  };
+
+  function isThemeMode(mode) {
+    return THEME_MODES.indexOf(mode) !== -1;
+  }
+
+  function readThemeMode() {
+    var mode = null;
+    try { mode = window.localStorage.getItem(THEME_STORAGE_KEY); } catch (e) {}
+    return isThemeMode(mode) ? mode : 'system';
+  }
+
+  function getColorSchemeQuery() {
+    if (themeState.mql) return themeState.mql;
+    try {
+      if (typeof window.matchMedia === 'function') themeState.mql = window.matchMedia('(prefers-color-scheme: light)');
+    } catch (e) {}
+    return themeState.mql;
+  }
+
+  /**
+   * Resolve a mode to "light" or "dark". The site is designed dark-first, so that is the fallback.
+   */
+  function resolveTheme(mode) {
+    if (mode === 'light' || mode === 'dark') return mode;
+    var mql = getColorSchemeQuery();
+    return mql && mql.matches ? 'light' : 'dark';
+  }
+
+  function themeLabels() {
+    return localized('themeLabels');
+  }
+
+  function themeEnabled() {
+    return !(state.config && state.config.theme === false);
+  }
+
+  function applyTheme(mode) {
+    var theme = resolveTheme(mode);
+    var changed = mode !== themeState.mode || theme !== themeState.theme;
+    themeState.mode = mode;
+    themeState.theme = theme;
+    if (themeEnabled()) {
+      try { document.documentElement.setAttribute('data-theme', theme); } catch (e) {}
+    }
+    updateThemeToggles();
+    if (changed) emit('theme:change', { mode: mode, theme: theme });
+  }
+
+  /**
+   * Store and apply a mode. Returns the resolved theme, or null for an unknown mode.
+   */
+  function setTheme(mode) {
+    if (!isThemeMode(mode)) return null;
+    try { window.localStorage.setItem(THEME_STORAGE_KEY, mode); } catch (e) {}
+    applyTheme(mode);
+    return themeState.theme;
+  }
+
+  /**
+   * Current { mode, theme }.
+   */
+  function getTheme() {
+    if (!themeState.theme) {
+      themeState.mode = readThemeMode();
+      themeState.theme = resolveTheme(themeState.mode);
+    }
+    return { mode: themeState.mode, theme: themeState.theme };
+  }
+
+  function nextThemeMode(mode) {
+    return THEME_MODES[(THEME_MODES.indexOf(mode) + 1) % THEME_MODES.length];
+  }
+
+  function updateThemeToggles() {
+    var labels = themeLabels();
+    (state._themeToggles || []).forEach(function (rec) {
+      var el = rec.el;
+      try {
+        if (rec.kind === 'select') {
+          el.value = themeState.mode;
+        } else if (rec.kind === 'choice') {
+          el.setAttribute('aria-pressed', String(rec.mode === themeState.mode));
+        } else {
+          var next = nextThemeMode(themeState.mode);
+          el.setAttribute('aria-label', labels.label + ': ' + labels[themeState.mode] + '. ' + labels.switchTo + ' ' + labels[next]);
+          el.setAttribute('data-theme-mode', themeState.mode);
+          if (!el.children.length) el.textContent = labels.label + ': ' + labels[themeState.mode];
+        }
+      } catch (e) {}
+    });
+  }
+
+  function onThemeToggleClick(e) {
+    var el = e && e.currentTarget;
+    if (!el) return;
+    if (e.preventDefault && el.tagName && el.tagName.toLowerCase() === 'a') e.preventDefault();
+    var mode = el.getAttribute('data-theme-toggle');
+    setTheme(isThemeMode(mode) ? mode : nextThemeMode(themeState.mode));
+  }
+
+  function onThemeToggleKeydown(e) {
+    if (e.currentTarget && e.currentTarget.tagName && e.currentTarget.tagName.toLowerCase() === 'button') return;
+    var code = e.key || e.keyCode;
+    if (code === 'Enter' || code === 13 || code === ' ' || code === 'Spacebar' || code === 32) {
+      if (e.preventDefault) e.preventDefault();
+      onThemeToggleClick(e);
+    }
+  }
+
+  function onThemeSelectChange(e) {
+    var el = e && e.currentTarget;
+    if (el) setTheme(el.value);
+  }
+
+  function onSystemThemeChange() {
+    if (themeState.mode === 'system') applyTheme('system');
+  }
+
+  function onThemeStorage(e) {
+    if (e && e.key === THEME_STORAGE_KEY) applyTheme(readThemeMode());
+  }
+
+  /**
+   * Wire theme toggles and start following OS / cross-tab changes. Called from init().
+   */
+  function initTheme() {
+    if (typeof document === 'undefined') return;
+    teardownThemeToggles();
+    if (!themeEnabled()) {
+      try { document.documentElement.removeAttribute('data-theme'); } catch (e) {}
+      return;
+    }
+    var selector = (state.config.selectors && state.config.selectors.themeToggle) || DEFAULTS.selectors.themeToggle;
+    safeQueryAll(selector).forEach(function (el) {
+      var tag = el.tagName ? el.tagName.toLowerCase() : '';
+      var value = el.getAttribute('data-theme-toggle');
+      var rec = {
+        el: el,
+        kind: tag === 'select' ? 'select' : (isThemeMode(value) ? 'choice' : 'cycle'),
+        mode: value,
+        attrs: {
+          hidden: el.hasAttribute('hidden'),
+          role: el.getAttribute('role'),
+          tabIndex: el.getAttribute('tabindex'),
+          ariaLabel: el.getAttribute('aria-label'),
+          text: el.children.length ? null : el.textContent
+        }
+      };
+      state._themeToggles.push(rec);
+      try {
+        el.removeAttribute('hidden');
+        if (rec.kind !== 'select' && tag !== 'button') {
+          if (!el.getAttribute('role')) el.setAttribute('role', 'button');
+          if (!el.hasAttribute('tabindex')) el.setAttribute('tabindex', '0');
+        }
+      } catch (e) {}
+      if (rec.kind === 'select') {
+        attachListener(el, 'change', onThemeSelectChange, false);
+      } else {
+        attachListener(el, 'click', onThemeToggleClick, false);
+        attachListener(el, 'keydown', onThemeToggleKeydown, false);
+      }
+    });
+
+    var mql = getColorSchemeQuery();
+    if (mql && !themeState.listening) {
+      try {
+        if (typeof mql.addEventListener === 'function') mql.addEventListener('change', onSystemThemeChange);
+        else if (typeof mql.addListener === 'function') mql.addListener(onSystemThemeChange);
+        themeState.listening = true;
+      } catch (e) {}
+    }
+    attachListener(window, 'storage', onThemeStorage, false);
+
+    // Quietly adopt what the inline snippet applied; only later changes emit theme:change
+    themeState.mode = readThemeMode();
+    themeState.theme = resolveTheme(themeState.mode);
+    applyTheme(themeState.mode);
+  }
+
+  /**
+   * Restore toggles to their authored markup and stop following the OS setting. data-theme stays applied.
+   */
+  function teardownThemeToggles() {
+    (state._themeToggles || []).forEach(function (rec) {
+      var el = rec.el;
+      var attrs = rec.attrs;
+      try {
+        if (attrs.hidden) el.setAttribute('hidden', '');
+        if (attrs.role === null) el.removeAttribute('role');
+        if (attrs.tabIndex === null) el.removeAttribute('tabindex');
+        if (attrs.ariaLabel === null) el.removeAttribute('aria-label');
+        else el.setAttribute('aria-label', attrs.ariaLabel);
+        el.removeAttribute('aria-pressed');
+        el.removeAttribute('data-theme-mode');
+        if (attrs.text !== null) el.textContent = attrs.text;
+      } catch (e) {}
+    });
+    state._themeToggles = [];
+    var mql = themeState.mql;
+    if (mql && themeState.listening) {
+      try {
+        if (typeof mql.removeEventListener === 'function') mql.removeEventListener('change', onSystemThemeChange);
+        else if (typeof mql.removeListener === 'function') mql.removeListener(onSystemThemeChange);
+      } catch (e) {}
+      themeState.listening = false;
+    }
+  }
+
+  var theme = {
+    get: getTheme,
+    set: setTheme,
+    modes: THEME_MODES.slice()
+  };
+
+  /**
+   * Search
+   *
+   * Behavior:
+   *  - Index: the same-origin pages linked from the site's nav menus (plus searchPages), fetched through the router's
+   *    fetchDocument() and split into one entry per h1-h3 heading with the paragraph/list text below it. The
+   *    current page is read from the live DOM, so search still covers it when fetching is impossible (file://).
+   *  - The index is cached in localStorage under SEARCH_STORAGE_KEY with searchIndexVersion and a build time;
+   *    a different version or an entry older than searchCacheTtl is rebuilt.
+   *  - Ranking: query tokens (lowercased, accents stripped) must all match; exact > prefix > one-typo matches,
+   *    headings weigh more than body text.
+   *  - Dialog: built on the modal primitives (same focus trap as the demo modal), opened with "/" or any
+   *    selectors.searchOpen control. Results link to page.html#heading-id; ArrowDown/ArrowUp move between
+   *    the input and the results.
+   */
+
+  var SEARCH_STORAGE_KEY = 'sitenav:search';
+  var SEARCH_TEXT_LIMIT = 600;
+
+  var searchState = {
+    index: null,
+    building: null,
+    modal: null,
+    lastActive: null,
+    listeners: [],
+    debounceId: null
+  };
+
+  function searchMessages() {
+    return localized('searchMessages');
+  }
+
+  function searchOption(key) {
+    var cfg = state.config || {};
+    return cfg[key] === undefined ? DEFAULTS[key] : cfg[key];
+  }
+
+  /**
+   * Lowercased, accent-free word tokens.
+   */
+  function tokenize(text) {
+    var s = String(text || '').toLowerCase();
+    try { s = s.normalize('NFD').replace(/[\u0300-\u036f]/g, ''); } catch (e) {}
+    return s.split(/[^a-z0-9]+/).filter(function (t) { return t.length > 0; });
+  }
+
+  /**
+   * True when a and b differ by at most one insertion, deletion or substitution.
+   */
+  function withinOneEdit(a, b) {
+    if (Math.abs(a.length - b.length) > 1) return false;
+    var i = 0;
+    var j = 0;
+    var edits = 0;
+    while (i < a.length && j < b.length) {
+      if (a.charAt(i) === b.charAt(j)) {
+        i++;
+        j++;
+        continue;
+      }
+      edits++;
+      if (edits > 1) return false;
+      if (a.length > b.length) i++;
+      else if (b.length > a.length) j++;
+      else {
+        i++;
+        j++;
+      }
+    }
+    return edits + (a.length - i) + (b.length - j) <= 1;
+  }
+
+  /**
+   * Best match score of one query token against a token list: 3 exact, 2 prefix, 1 typo, 0 none.
+   */
+  function scoreToken(term, tokens) {
+    var best = 0;
+    for (var i = 0; i < tokens.length && best < 3; i++) {
+      var t = tokens[i];
+      if (t === term) best = 3;
+      else if (best < 2 && t.indexOf(term) === 0) best = 2;
+      else if (best < 1 && term.length >= 4 && withinOneEdit(term, t)) best = 1;
+    }
+    return best;
+  }
+
+  /**
+   * Split a document into search entries: { url, title, heading, text }.
+   */
+  function extractSearchEntries(doc, pageUrl) {
+    var root = doc.querySelector('main') || doc.body;
+    if (!root) return [];
+    var title = (doc.title || '').replace(/\s+/g, ' ').trim();
+    var base = String(pageUrl).split('#')[0];
+    var entries = [];
+    var current = { url: base, title: title, heading: title, text: '' };
+    entries.push(current);
+    var nodes = [];
+    try { nodes = Array.prototype.slice.call(root.querySelectorAll('h1, h2, h3, p, li, dd, td')); } catch (e) { nodes = []; }
+    nodes.forEach(function (node) {
+      try {
+        if (node.closest('nav, footer, script, template, [hidden]')) return;
+      } catch (e) {}
+      var text = (node.textContent || '').replace(/\s+/g, ' ').trim();
+      if (!text) return;
+      if (/^H[1-3]$/.test(node.tagName)) {
+        var anchor = node.id || '';
+        if (!anchor) {
+          var holder = node.parentNode && node.parentNode.closest ? node.parentNode.closest('[id]') : null;
+          anchor = holder && root.contains(holder) ? holder.id : '';
+        }
+        current = { url: base + (anchor ? '#' + anchor : ''), title: title, heading: text, text: '' };
+        entries.push(current);
+      } else if (current.text.length < SEARCH_TEXT_LIMIT) {
+        current.text = (current.text ? current.text + ' ' : '') + text;
+        if (current.text.length > SEARCH_TEXT_LIMIT) current.text = current.text.slice(0, SEARCH_TEXT_LIMIT);
+      }
+    });
+    return entries.filter(function (e) { return e.text || e.heading !== title; });
+  }
+
+  /**
+   * Same-origin pages to index: links in the site's <nav> elements (header and footer) plus searchPages,
+   * without hashes, current page first.
+   */
+  function getSearchPages() {
+    var seen = {};
+    var pages = [];
+    var add = function (href) {
+      if (!href || !isSameOriginUrl(href)) return;
+      var abs;
+      try { abs = new URL(href, location.href).href.split('#')[0]; } catch (e) { return; }
+      if (!/\.html?$|\/$/i.test(abs.split('?')[0])) return;
+      if (seen[abs]) return;
+      seen[abs] = true;
+      pages.push(abs);
+    };
+    add(location.href);
+    safeQueryAll('nav a[href]').forEach(function (a) { add(a.getAttribute('href')); });
+    (searchOption('searchPages') || []).forEach(add);
+    return pages;
+  }
+
+  function readSearchCache() {
+    try {
+      var cached = JSON.parse(window.localStorage.getItem(SEARCH_STORAGE_KEY) || 'null');
+      if (!cached || String(cached.version) !== String(searchOption('searchIndexVersion'))) return null;
+      if (Date.now() - (cached.builtAt || 0) > searchOption('searchCacheTtl')) return null;
+      return Array.isArray(cached.entries) ? cached.entries : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Build (or load from cache) the search index. opts.force ignores the cache. Resolves with the entry count.
+   */
+  function buildSearchIndex(opts) {
+    opts = opts || {};
+    if (!opts.force) {
+      if (searchState.index) return Promise.resolve(searchState.index.length);
+      if (searchState.building) return searchState.building;
+      var cached = readSearchCache();
+      if (cached) {
+        searchState.index = cached;
+        return Promise.resolve(cached.length);
+      }
+    }
+    var here = location.href.split('#')[0];
+    var canFetch = typeof window.fetch === 'function' && typeof window.DOMParser === 'function' && /^https?:$/.test(location.protocol);
+    var jobs = getSearchPages().map(function (url) {
+      if (url === here) return Promise.resolve(extractSearchEntries(document, url));
+      if (!canFetch) return Promise.resolve([]);
+      return fetchDocument(url).then(function (doc) {
+        return extractSearchEntries(doc, url);
+      })['catch'](function () {
+        return [];
+      });
+    });
+    searchState.building = Promise.all(jobs).then(function (lists) {
+      var entries = [].concat.apply([], lists);
+      searchState.index = entries;
+      searchState.building = null;
+      // Only cache complete builds; a page indexed from file:// or a failed fetch would stick otherwise
+      if (canFetch) {
+        try {
+          window.localStorage.setItem(SEARCH_STORAGE_KEY, JSON.stringify({
+            version: String(searchOption('searchIndexVersion')),
+            builtAt: Date.now(),
+            entries: entries
+          }));
+        } catch (e) {}
+      }
+      return entries.length;
+    });
+    return searchState.building;
+  }
+
+  function clearSearchIndex() {
+    searchState.index = null;
+    try { window.localStorage.removeItem(SEARCH_STORAGE_KEY); } catch (e) {}
+  }
+
+  /**
+   * Rank index entries for `q`. Returns [{ url, title, heading, snippet, score }], best first.
+   */
+  function rankSearch(q, entries) {
+    var terms = tokenize(q);
+    if (!terms.length) return [];
+    var results = [];
+    (entries || []).forEach(function (entry) {
+      var headingTokens = tokenize(entry.heading);
+      var textTokens = tokenize(entry.text);
+      var titleTokens = tokenize(entry.title);
+      var score = 0;
+      for (var i = 0; i < terms.length; i++) {
+        var h = scoreToken(terms[i], headingTokens);
+        var t = scoreToken(terms[i], textTokens);
+        var p = scoreToken(terms[i], titleTokens);
+        if (!h && !t && !p) return;
+        score += h * 3 + t + p;
+      }
+      results.push({ url: entry.url, title: entry.title, heading: entry.heading, snippet: makeSnippet(entry.text, terms), score: score });
+    });
+    results.sort(function (a, b) { return b.score - a.score; });
+    return results.slice(0, searchOption('searchMaxResults'));
+  }
+
+  function makeSnippet(text, terms) {
+    if (!text) return '';
+    var lower = text.toLowerCase();
+    var at = -1;
+    for (var i = 0; i < terms.length && at === -1; i++) at = lower.indexOf(terms[i]);
+    var start = Math.max(0, at - 50);
+    var snippet = text.slice(start, start + 160);
+    return (start > 0 ? '…' : '') + snippet + (start + 160 < text.length ? '…' : '');
   }
 
   /**
-   * Initialize: find elements, set ARIA defaults, attach listeners.
-   * Options may override selectors and classes.
+   * Resolve with ranked results for `q` (builds the index on first use).
    */
-  function init(options) {
-    // Respect an existing initialization marker from other scripts (avoid double-init)
-    // But allow re-init when explicit options are provided (fixes earlier short-circuit problem)
-    if (typeof window !== 'undefined' && window.__siteNavReady === true && !options) {
+  function searchQuery(q) {
+    return buildSearchIndex().then(function () {
+      return rankSearch(q, searchState.index);
+    });
+  }
+
+  function renderSearchResults(m, q, results) {
+    var msg = searchMessages();
+    while (m.results.firstChild) m.results.removeChild(m.results.firstChild);
+    if (tokenize(q).join('').length < 2) {
+      m.status.textContent = msg.hint;
       return;
     }
+    results.forEach(function (r) {
+      var li = document.createElement('li');
+      li.className = 'search-modal-result';
+      var a = document.createElement('a');
+      a.href = r.url;
+      a.className = 'search-modal-link';
+      var heading = document.createElement('span');
+      heading.className = 'search-modal-heading';
+      heading.textContent = r.heading;
+      var page = document.createElement('span');
+      page.className = 'search-modal-page';
+      page.textContent = r.title;
+      a.appendChild(heading);
+      a.appendChild(page);
+      if (r.snippet) {
+        var snippet = document.createElement('span');
+        snippet.className = 'search-modal-snippet';
+        snippet.textContent = r.snippet;
+        a.appendChild(snippet);
+      }
+      li.appendChild(a);
+      m.results.appendChild(li);
+    });
+    m.status.textContent = !results.length ? msg.none : pluralize(results.length, msg.results);
+  }
 
-    if (state.initted) {
-      // Idempotent: ensure re-configuration if options passed
-      if (!options) return;
-    }
-    state.config = merge(DEFAULTS, options || {});
+  function runSearch(m) {
+    var q = m.input.value;
+    searchQuery(q).then(function (results) {
+      // Ignore stale answers for an input that has since changed or a dialog that closed
+      if (searchState.modal !== m || m.input.value !== q) return;
+      renderSearchResults(m, q, results);
+    });
+  }
 
-    // Query DOM via safe helpers with tolerant selectors
-    var nav = safeQuerySelector(state.config.selectors.nav);
-    var toggles = safeQueryAll(state.config.selectors.navToggle);
+  function buildSearchDialog() {
+    var msg = searchMessages();
+    var m = buildModalShell({ prefix: 'search-modal', idSuffix: Math.random().toString(36).slice(2, 6), title: msg.title });
+    m.overlay.setAttribute('data-search-dialog', '');
 
-    // Prefer nav-scoped links to avoid marking unrelated links
-    var links = [];
-    if (nav) {
-      try {
-        links = Array.prototype.slice.call(nav.querySelectorAll('a[href]') || [], 0);
-      } catch (e) {
-        links = safeQueryAll(state.config.selectors.navLinks);
-      }
-    } else {
-      links = safeQueryAll(state.config.selectors.navLinks);
-    }
+    var label = document.createElement('label');
+    label.className = 'sr-only';
+    label.setAttribute('for', m.title.id + '-input');
+    label.textContent = msg.label;
+    var input = document.createElement('input');
+    input.type = 'search';
+    input.id = m.title.id + '-input';
+    input.className = 'input search-modal-input';
+    input.setAttribute('placeholder', msg.placeholder);
+    input.setAttribute('autocomplete', 'off');
+    input.setAttribute('spellcheck', 'false');
+    var status = document.createElement('p');
+    status.className = 'search-modal-status';
+    status.setAttribute('role', 'status');
+    status.id = m.title.id + '-status';
+    status.textContent = msg.hint;
+    input.setAttribute('aria-describedby', status.id);
+    var results = document.createElement('ul');
+    results.className = 'search-modal-results';
+    results.setAttribute('aria-label', msg.resultsLabel);
 
-    state.elements.nav = nav;
-    state.elements.toggles = toggles || [];
-    state.elements.links = links || [];
-    state.elements.panel = findNavPanel(nav);
+    m.body.appendChild(label);
+    m.body.appendChild(input);
+    m.body.appendChild(status);
+    m.body.appendChild(results);
 
-    // Store original attribute values so we can restore them on destroy
-    state._original = { nav: {}, panel: {}, toggles: [] };
+    var closeBtn = document.createElement('button');
+    closeBtn.type = 'button';
+    closeBtn.className = 'modal-close search-modal-close';
+    closeBtn.textContent = msg.close;
+    m.actions.appendChild(closeBtn);
 
-    // ARIA wiring: toggles should aria-controls panel id (preferred) or nav id, but do not overwrite author attributes
-    if (nav) {
-      ensureId(nav, 'site-nav');
-      // store original nav data-open if any
-      try { state._original.nav.dataOpen = nav.getAttribute('data-open'); } catch (e) { state._original.nav.dataOpen = null; }
+    m.input = input;
+    m.status = status;
+    m.results = results;
+    m.closeBtn = closeBtn;
+    return m;
+  }
+
+  function onSearchResultsKeydown(m, e) {
+    var code = e.key || e.keyCode;
+    var down = code === 'ArrowDown' || code === 40;
+    var up = code === 'ArrowUp' || code === 38;
+    if (!down && !up) return;
+    var links = Array.prototype.slice.call(m.results.querySelectorAll('a'));
+    if (!links.length) return;
+    var idx = links.indexOf(document.activeElement);
+    var dest;
+    if (down) dest = idx === -1 ? links[0] : links[Math.min(idx + 1, links.length - 1)];
+    else dest = idx <= 0 ? m.input : links[idx - 1];
+    if (e.preventDefault) e.preventDefault();
+    try { dest.focus(); } catch (err) {}
+  }
+
+  /**
+   * Open the search dialog (optionally pre-filled). Returns false when search is off or already open.
+   */
+  function openSearch(q) {
+    if (searchOption('search') === false || searchState.modal) return false;
+    var m = buildSearchDialog();
+    searchState.modal = m;
+    searchState.lastActive = document.activeElement || null;
+    showModalShell(m);
+    if (typeof q === 'string') m.input.value = q;
+
+    window.setTimeout(function () {
+      try { m.input.focus(); } catch (e) {}
+    }, 10);
+
+    if (!searchState.index) {
+      m.status.textContent = searchMessages().indexing;
+      buildSearchIndex().then(function () {
+        if (searchState.modal === m) runSearch(m);
+      });
+    } else if (m.input.value) {
+      runSearch(m);
     }
-    // store original panel attributes
-    if (state.elements.panel) {
-      try { state._original.panel.ariaHidden = state.elements.panel.getAttribute('aria-hidden'); } catch (e) { state._original.panel.ariaHidden = null; }
-      try { state._original.panel.classListContainsOpen = state.elements.panel.classList ? state.elements.panel.classList.contains(state.config.classNames.panelOpen) : false; } catch (e) { state._original.panel.classListContainsOpen = false; }
-      // ensure panel has an id for aria-controls if needed
-      try { ensureId(state.elements.panel, (nav && nav.id ? nav.id + '-panel' : 'site-nav-panel')); } catch (e) {}
+
+    addModalListener(searchState, m.input, 'input', function () {
+      if (searchState.debounceId) clearTimeout(searchState.debounceId);
+      searchState.debounceId = window.setTimeout(function () {
+        searchState.debounceId = null;
+        runSearch(m);
+      }, 80);
+    });
+    addModalListener(searchState, m.dialog, 'keydown', function (e) { onSearchResultsKeydown(m, e); });
+    addModalListener(searchState, m.results, 'click', function (e) {
+      var link = e.target && e.target.closest ? e.target.closest('a') : null;
+      if (!link) return;
+      // Let the browser follow the link; only the dialog has to go (and not steal focus back)
+      searchState.lastActive = null;
+      closeSearch(true);
+    });
+    addModalListener(searchState, m.closeBtn, 'click', function () { closeSearch(); });
+    addModalDismissListeners(searchState, m, function () { closeSearch(); }, true);
+    return true;
+  }
+
+  function closeSearch(forceRemove) {
+    var m = searchState.modal;
+    if (!m) return;
+    if (searchState.debounceId) {
+      clearTimeout(searchState.debounceId);
+      searchState.debounceId = null;
     }
+    removeModalListeners(searchState);
+    hideModalShell(m, forceRemove);
+    searchState.modal = null;
+    restoreModalFocus(searchState.lastActive);
+    searchState.lastActive = null;
+  }
 
-    toggles.forEach(function (btn) {
-      // record original attributes
-      var record = { el: btn, attrs: {} };
-      try { record.attrs.ariaControls = btn.getAttribute('aria-controls'); } catch (e) { record.attrs.ariaControls = null; }
-      try { record.attrs.ariaExpanded = btn.getAttribute(state.config.ariaExpandedAttr); } catch (e) { record.attrs.ariaExpanded = null; }
-      try { record.attrs.role = btn.getAttribute('role'); } catch (e) { record.attrs.role = null; }
-      try { record.attrs.tabIndex = btn.hasAttribute('tabindex') ? btn.getAttribute('tabindex') : null; } catch (e) { record.attrs.tabIndex = null; }
-      state._original.toggles.push(record);
-
-      try {
-        // Ensure it's focusable, if not a button
-        if ((btn.tabIndex === undefined || btn.tabIndex < 0) && btn.getAttribute) {
-          btn.tabIndex = 0;
-        }
-      } catch (e) {}
+  function isEditableTarget(el) {
+    if (!el || !el.tagName) return false;
+    var tag = el.tagName.toLowerCase();
+    return tag === 'input' || tag === 'textarea' || tag === 'select' || !!el.isContentEditable;
+  }
 
-      // Only set aria-controls if author did not provide one and we have a panel (prefer panel.id)
-      try {
-        var existingControls = null;
-        try { existingControls = btn.getAttribute('aria-controls'); } catch (er) { existingControls = null; }
-        if (!existingControls) {
-          if (state.elements.panel && state.elements.panel.id) {
-            btn.setAttribute('aria-controls', state.elements.panel.id);
-          } else if (nav && nav.id) {
-            btn.setAttribute('aria-controls', nav.id);
-          }
-        } // else preserve author's aria-controls
-      } catch (e) {}
+  /**
+   * "/" opens search unless the user is typing somewhere or another dialog is open.
+   */
+  function onSearchShortcut(e) {
+    if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+    if ((e.key || '') !== '/' || isEditableTarget(e.target) || modalStack.length) return;
+    if (e.preventDefault) e.preventDefault();
+    openSearch();
+  }
 
-      // Set aria-expanded to reflect state
-      try {
-        btn.setAttribute(state.config.ariaExpandedAttr, String(!!state.isOpen));
-      } catch (e) {}
+  function onSearchOpenClick(e) {
+    var selector = state.config.selectors.searchOpen || DEFAULTS.selectors.searchOpen;
+    var target = e && e.target && e.target.closest ? e.target.closest(selector) : null;
+    if (!target) return;
+    if (e.preventDefault) e.preventDefault();
+    openSearch();
+  }
+
+  /**
+   * Reveal search controls and wire the shortcut. Called from init().
+   */
+  function initSearch() {
+    if (searchOption('search') === false) return;
+    var selector = state.config.selectors.searchOpen || DEFAULTS.selectors.searchOpen;
+    safeQueryAll(selector).forEach(function (el) {
+      if (!el.hasAttribute('hidden')) return;
+      el.removeAttribute('hidden');
+      state._searchOpeners.push(el);
+    });
+    attachListener(document, 'keydown', onSearchShortcut, false);
+    attachListener(document, 'click', onSearchOpenClick, false);
+  }
+
+  /**
+   * Close the dialog and hide the controls initSearch() revealed. The built index is kept.
+   */
+  function teardownSearch() {
+    closeSearch(true);
+    (state._searchOpeners || []).forEach(function (el) {
+      try { el.setAttribute('hidden', ''); } catch (e) {}
+    });
+    state._searchOpeners = [];
+  }
 
-      // Provide role button for non-button elements but avoid overwriting an author-provided role
+  var search = {
+    open: openSearch,
+    close: closeSearch,
+    query: searchQuery,
+    buildIndex: buildSearchIndex,
+    clearIndex: clearSearchIndex
+  };
+
+  /**
+   * Command palette
+   *
+   * Behavior:
+   *  - Ctrl+K / Cmd+K toggles a palette built on the modal primitives (same focus trap as the demo modal).
+   *  - Commands are collected when it opens: nav links, demo CTAs on the page (data-demo-id), service cards,
+   *    built-in actions (theme, search, contact, cookie settings) and anything added with commands.register().
+   *  - The input is a combobox over a listbox: typing filters with the search ranking (exact > prefix > typo),
+   *    ArrowUp/ArrowDown/Home/End move the selection, Enter runs it. With an empty query the most recently
+   *    run commands (stored in localStorage) are listed first.
+   *  - A command is { id, label, group?, keywords?, run() }; the palette closes before run() is called.
+   */
+
+  var COMMAND_RECENT_KEY = 'sitenav:commands:recent';
+
+  // Integrator-registered commands by id; like demoRegistry this survives destroy()
+  var commandRegistry = {};
+
+  var paletteState = {
+    modal: null,
+    lastActive: null,
+    listeners: [],
+    commands: [],
+    visible: [],
+    active: 0
+  };
+
+  function commandMessages() {
+    return localized('commandMessages');
+  }
+
+  /**
+   * Register (or replace) a command. Returns true when registered.
+   */
+  function registerCommand(cmd) {
+    if (!cmd || typeof cmd.id !== 'string' || !cmd.id || typeof cmd.label !== 'string' || typeof cmd.run !== 'function') {
       try {
-        if (btn.tagName && btn.tagName.toLowerCase() !== 'button' && !btn.getAttribute('role')) {
-          btn.setAttribute('role', 'button');
-        }
+        if (window.console && window.console.warn) window.console.warn('SiteNav.commands.register: expected { id: string, label: string, run: function }');
       } catch (e) {}
-    });
+      return false;
+    }
+    commandRegistry[cmd.id] = {
+      id: cmd.id,
+      label: cmd.label,
+      group: cmd.group || commandMessages().custom,
+      keywords: cmd.keywords || '',
+      run: cmd.run
+    };
+    return true;
+  }
 
-    // Attach event handlers (avoid duplicates by removing any previously attached)
-    removeAllListeners();
+  function unregisterCommand(id) {
+    if (!Object.prototype.hasOwnProperty.call(commandRegistry, id)) return false;
+    delete commandRegistry[id];
+    return true;
+  }
 
-    // Toggle click/keyboard
-    toggles.forEach(function (btn) {
-      // Don't use passive on interactive control clicks so we can preventDefault when needed
-      attachListener(btn, 'click', onToggleClick, false);
-      attachListener(btn, 'keydown', onToggleKeydown, false);
-    });
+  function cleanText(el) {
+    return el ? (el.getAttribute('aria-label') || el.textContent || '').replace(/\s+/g, ' ').trim() : '';
+  }
 
-    // Close on escape
-    attachListener(document, 'keydown', onDocumentKeydown, false);
-    // Click outside to close (passive true is fine)
-    attachListener(document, 'click', onDocumentClick, { passive: true });
+  /**
+   * Every command available on this page, in display order.
+   */
+  function collectCommands() {
+    var msg = commandMessages();
+    var out = [];
+    var seen = {};
+    var add = function (cmd) {
+      if (!cmd.label || seen[cmd.id]) return;
+      seen[cmd.id] = true;
+      out.push(cmd);
+    };
 
-    // Add a delegated link handler to support opt-in SPA/hijack links while ensuring .html links are not blocked
-    attachListener(document, 'click', delegatedLinkHandler, false);
+    safeQueryAll('nav a[href]').forEach(function (a) {
+      var href = a.getAttribute('href') || '';
+      // Cookie settings links are offered as an action below
+      if (!href || /^(javascript|mailto|tel):/i.test(href) || a.hasAttribute('data-consent-manage')) return;
+      var abs = href;
+      try { abs = new URL(href, location.href).href; } catch (e) {}
+      add({
+        id: 'page:' + abs,
+        label: cleanText(a),
+        group: msg.pages,
+        keywords: href,
+        run: function () {
+          try { window.location.href = abs; } catch (e) {}
+        }
+      });
+    });
 
-    // Update any year placeholders
-    updateCurrentYear();
+    safeQueryAll('[data-demo-id]').forEach(function (cta) {
+      var demoId = cta.getAttribute('data-demo-id');
+      if (!demoId) return;
+      var def = getDemoDefinition(demoId);
+      var block = cta.closest ? cta.closest('.demo-block, article, section') : null;
+      var heading = block ? block.querySelector('h2, h3') : null;
+      add({
+        id: 'demo:' + demoId,
+        label: (def && def.title) || cleanText(heading) || demoId,
+        group: msg.demos,
+        keywords: demoId,
+        run: function () { openDemoModal(demoId, cta); }
+      });
+    });
 
-    // Add a root class to mark JS presence (used by CSS to hide/show enhanced parts)
-    try {
-      if ('classList' in document.documentElement && document.documentElement.classList) {
-        if (!document.documentElement.classList.contains('js')) {
-          document.documentElement.classList.add('js');
+    (state._serviceCards || []).forEach(function (rec) {
+      var heading = rec.el.querySelector('h2, h3, h4');
+      add({
+        id: 'service:' + rec.id,
+        label: cleanText(heading) || rec.id,
+        group: msg.services,
+        keywords: rec.id,
+        run: function () {
+          setServiceExpanded(rec, true);
+          try { rec.el.scrollIntoView({ block: 'start', behavior: 'smooth' }); } catch (e) {}
+          try { rec.toggle.focus(); } catch (e) {}
+        }
+      });
+    });
+
+    // Pages with their own fixed palette ship no theme toggle; switching there would only half-apply
+    if ((state._themeToggles || []).length) {
+      add({
+        id: 'action:theme',
+        label: msg.toggleTheme,
+        group: msg.actions,
+        keywords: 'dark light appearance',
+        run: function () { setTheme(nextThemeMode(getTheme().mode)); }
+      });
+    }
+    if (searchOption('search') !== false) {
+      add({ id: 'action:search', label: msg.search, group: msg.actions, keywords: 'find', run: function () { openSearch(); } });
+    }
+    add({
+      id: 'action:contact',
+      label: msg.contact,
+      group: msg.actions,
+      keywords: 'email message form',
+      run: function () {
+        var form = safeQuerySelector(state.config.selectors.contactForm || DEFAULTS.selectors.contactForm);
+        var field = form ? form.querySelector('input:not([type="hidden"]):not([disabled]), textarea') : null;
+        if (field) {
+          try { field.focus(); } catch (e) {}
+          return;
         }
+        try { window.location.href = new URL(msg.contactUrl, location.href).href; } catch (e) {}
       }
-    } catch (e) {}
+    });
+    if (consentEnabled()) {
+      add({ id: 'action:cookies', label: msg.cookies, group: msg.actions, keywords: 'consent privacy', run: function () { openConsentDialog(); } });
+    }
 
-    // Initialize service cards (enhanced only when environment supports required features)
+    Object.keys(commandRegistry).forEach(function (id) { add(commandRegistry[id]); });
+    return out;
+  }
+
+  function readRecentCommands() {
     try {
-      initServiceCards();
+      var ids = JSON.parse(window.localStorage.getItem(COMMAND_RECENT_KEY) || '[]');
+      return Array.isArray(ids) ? ids : [];
     } catch (e) {
-      // swallow - progressive enhancement
+      return [];
     }
+  }
 
-    // Highlight active link - defer if possible and record IDs for cleanup
-    try {
-      // clear any previous deferred ids
-      if (state._idleId && typeof cancelIdleCallback === 'function') {
-        try { cancelIdleCallback(state._idleId); } catch (e) {}
-        state._idleId = null;
-      }
-      if (state._timeoutId) {
-        try { clearTimeout(state._timeoutId); } catch (e) {}
-        state._timeoutId = null;
+  function rememberCommand(id) {
+    var limit = state.config.commandRecentLimit === undefined ? DEFAULTS.commandRecentLimit : state.config.commandRecentLimit;
+    var ids = readRecentCommands().filter(function (other) { return other !== id; });
+    ids.unshift(id);
+    try { window.localStorage.setItem(COMMAND_RECENT_KEY, JSON.stringify(ids.slice(0, limit))); } catch (e) {}
+  }
+
+  /**
+   * Commands to show for `q`: { cmd, recent } entries, best first.
+   */
+  function filterCommands(q, commands) {
+    var terms = tokenize(q);
+    if (!terms.length) {
+      var byId = {};
+      commands.forEach(function (cmd) { byId[cmd.id] = cmd; });
+      var recentIds = readRecentCommands().filter(function (id) { return byId[id]; });
+      var recent = recentIds.map(function (id) { return { cmd: byId[id], recent: true }; });
+      return recent.concat(commands.filter(function (cmd) {
+        return recentIds.indexOf(cmd.id) === -1;
+      }).map(function (cmd) { return { cmd: cmd, recent: false }; }));
+    }
+    var scored = [];
+    commands.forEach(function (cmd, order) {
+      var labelTokens = tokenize(cmd.label);
+      var extraTokens = tokenize(cmd.group + ' ' + cmd.keywords);
+      var score = 0;
+      for (var i = 0; i < terms.length; i++) {
+        var l = scoreToken(terms[i], labelTokens);
+        var x = scoreToken(terms[i], extraTokens);
+        if (!l && !x) return;
+        score += l * 3 + x;
       }
+      scored.push({ cmd: cmd, recent: false, score: score, order: order });
+    });
+    scored.sort(function (a, b) { return b.score - a.score || a.order - b.order; });
+    return scored;
+  }
 
-      if (typeof requestIdleCallback === 'function') {
-        var idleId = requestIdleCallback(function () { highlightActiveLink(); }, { timeout: state.config.deferDelay });
-        // store for cleanup
-        state._idleId = idleId;
-      } else {
-        // store timeout id so it can be cleared on destroy
-        state._timeoutId = window.setTimeout(function () {
-          // clear stored id once executed
-          state._timeoutId = null;
-          highlightActiveLink();
-        }, state.config.deferDelay);
+  function setActiveCommand(m, index) {
+    var options = m.list.children;
+    if (!options.length) {
+      m.input.removeAttribute('aria-activedescendant');
+      return;
+    }
+    paletteState.active = Math.max(0, Math.min(index, options.length - 1));
+    for (var i = 0; i < options.length; i++) {
+      var on = i === paletteState.active;
+      options[i].setAttribute('aria-selected', String(on));
+      if (on) {
+        m.input.setAttribute('aria-activedescendant', options[i].id);
+        try { options[i].scrollIntoView({ block: 'nearest' }); } catch (e) {}
       }
+    }
+  }
+
+  function renderCommands(m) {
+    var msg = commandMessages();
+    paletteState.visible = filterCommands(m.input.value, paletteState.commands);
+    while (m.list.firstChild) m.list.removeChild(m.list.firstChild);
+    paletteState.visible.forEach(function (entry, i) {
+      var li = document.createElement('li');
+      li.id = m.list.id + '-' + i;
+      li.className = 'command-palette-option';
+      li.setAttribute('role', 'option');
+      li.setAttribute('data-index', String(i));
+      var label = document.createElement('span');
+      label.className = 'command-palette-label';
+      label.textContent = entry.cmd.label;
+      var group = document.createElement('span');
+      group.className = 'command-palette-group';
+      group.textContent = entry.recent ? msg.recent : entry.cmd.group;
+      li.appendChild(label);
+      li.appendChild(group);
+      m.list.appendChild(li);
+    });
+    m.status.textContent = paletteState.visible.length ? '' : msg.none;
+    setActiveCommand(m, 0);
+  }
+
+  function runCommand(entry) {
+    if (!entry) return;
+    rememberCommand(entry.cmd.id);
+    // The palette goes first so the command can open dialogs or move focus itself
+    paletteState.lastActive = null;
+    closeCommandPalette(true);
+    try {
+      entry.cmd.run();
+    } catch (e) {
+      try {
+        if (window.console && window.console.error) window.console.error('SiteNav: command "' + entry.cmd.id + '" failed', e);
+      } catch (e2) {}
+    }
+  }
+
+  function buildCommandPalette() {
+    var msg = commandMessages();
+    var m = buildModalShell({ prefix: 'command-palette', idSuffix: Math.random().toString(36).slice(2, 6), title: msg.title });
+    m.overlay.setAttribute('data-command-palette', '');
+    m.title.className += ' sr-only';
+
+    var input = document.createElement('input');
+    input.type = 'text';
+    input.id = m.title.id + '-input';
+    input.className = 'input command-palette-input';
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-expanded', 'true');
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('aria-label', msg.label);
+    input.setAttribute('placeholder', msg.placeholder);
+    input.setAttribute('autocomplete', 'off');
+    input.setAttribute('spellcheck', 'false');
+
+    var list = document.createElement('ul');
+    list.id = m.title.id + '-list';
+    list.className = 'command-palette-list';
+    list.setAttribute('role', 'listbox');
+    list.setAttribute('aria-label', msg.title);
+    input.setAttribute('aria-controls', list.id);
+
+    var status = document.createElement('p');
+    status.className = 'command-palette-status';
+    status.setAttribute('role', 'status');
+
+    m.body.appendChild(input);
+    m.body.appendChild(list);
+    m.body.appendChild(status);
+
+    m.input = input;
+    m.list = list;
+    m.status = status;
+    return m;
+  }
+
+  /**
+   * Open the palette. Returns false when it is disabled or already open.
+   */
+  function openCommandPalette() {
+    if (state.config.commandPalette === false || paletteState.modal) return false;
+    var m = buildCommandPalette();
+    paletteState.modal = m;
+    paletteState.commands = collectCommands();
+    paletteState.lastActive = document.activeElement || null;
+    showModalShell(m);
+    renderCommands(m);
+
+    window.setTimeout(function () {
+      try { m.input.focus(); } catch (e) {}
+    }, 10);
+
+    addModalListener(paletteState, m.input, 'input', function () { renderCommands(m); });
+    addModalListener(paletteState, m.input, 'keydown', function (e) {
+      var code = e.key || e.keyCode;
+      var count = paletteState.visible.length;
+      var handled = true;
+      if (code === 'ArrowDown' || code === 40) setActiveCommand(m, (paletteState.active + 1) % Math.max(count, 1));
+      else if (code === 'ArrowUp' || code === 38) setActiveCommand(m, (paletteState.active - 1 + count) % Math.max(count, 1));
+      else if (code === 'Home' || code === 36) setActiveCommand(m, 0);
+      else if (code === 'End' || code === 35) setActiveCommand(m, count - 1);
+      else if (code === 'Enter' || code === 13) runCommand(paletteState.visible[paletteState.active]);
+      else handled = false;
+      if (handled && e.preventDefault) e.preventDefault();
+    });
+    addModalListener(paletteState, m.list, 'click', function (e) {
+      var option = e.target && e.target.closest ? e.target.closest('[role="option"]') : null;
+      if (option) runCommand(paletteState.visible[parseInt(option.getAttribute('data-index'), 10)]);
+    });
+    addModalDismissListeners(paletteState, m, function () { closeCommandPalette(); }, true);
+    return true;
+  }
+
+  function closeCommandPalette(forceRemove) {
+    var m = paletteState.modal;
+    if (!m) return;
+    removeModalListeners(paletteState);
+    hideModalShell(m, forceRemove);
+    paletteState.modal = null;
+    paletteState.commands = [];
+    paletteState.visible = [];
+    restoreModalFocus(paletteState.lastActive);
+    paletteState.lastActive = null;
+  }
+
+  /**
+   * Ctrl+K / Cmd+K toggles the palette (also from inside form fields), unless another dialog is open.
+   */
+  function onCommandShortcut(e) {
+    if (e.defaultPrevented || e.altKey || !(e.ctrlKey || e.metaKey)) return;
+    if (String(e.key || '').toLowerCase() !== 'k') return;
+    if (paletteState.modal) {
+      if (e.preventDefault) e.preventDefault();
+      closeCommandPalette();
+      return;
+    }
+    if (modalStack.length) return;
+    if (e.preventDefault) e.preventDefault();
+    openCommandPalette();
+  }
+
+  function listCommands() {
+    return collectCommands().map(function (cmd) {
+      return { id: cmd.id, label: cmd.label, group: cmd.group };
+    });
+  }
+
+  var commands = {
+    open: openCommandPalette,
+    close: closeCommandPalette,
+    register: registerCommand,
+    unregister: unregisterCommand,
+    list: listCommands
+  };
+
+  /**
+   * Internationalization
+   *
+   * Behavior:
+   *  - Every string SiteNav generates lives in a message group of the config (demoMessages, searchMessages,
+   *    themeLabels, …). A locale catalog overrides those groups for its language:
+   *      locales: { fr: { name: 'Français', demoMessages: { close: 'Fermer' }, text: { 'nav.home': 'Accueil' } } }
+   *    Lookups fall back catalog -> init options -> DEFAULTS, so a partial catalog is fine.
+   *  - Static page text opts in with data-i18n="key" (text content) and data-i18n-attr="aria-label:key; title:key2";
+   *    keys are looked up in the catalog's `text` map. The authored text is kept so switching back restores it.
+   *  - The default locale is config.defaultLocale or the page's own <html lang>. The active one is, in order:
+   *    config.locale, the saved choice (localStorage), the first navigator.languages match, the default.
+   *  - setLocale() updates <html lang> and dir (catalog.dir, or "rtl" for config.rtlLocales), re-translates the
+   *    page, relabels generated controls, re-renders open dialogs and emits "locale:change" { locale, dir }.
+   *  - Plurals and numbers/dates go through Intl (PluralRules, NumberFormat, DateTimeFormat) with plain fallbacks;
+   *    the footer year is written with DateTimeFormat too.
+   *  - A <select data-locale-switcher> in the header is filled with the available locales and shown once there is
+   *    more than one.
+   */
+
+  var LOCALE_STORAGE_KEY = 'sitenav:locale';
+
+  // Catalogs added with i18n.addLocale() or config.locales; like themeState this survives destroy()
+  var i18nState = {
+    locale: '',
+    catalogs: {},
+    sourceLang: null,
+    sourceDir: null
+  };
+
+  /**
+   * Message group (or single string) `name` for the active locale.
+   */
+  function localized(name) {
+    var cfg = state.config || {};
+    var catalog = i18nState.catalogs[i18nState.locale] || {};
+    if (DEFAULTS[name] && typeof DEFAULTS[name] === 'object' && !Array.isArray(DEFAULTS[name])) {
+      return merge(merge(DEFAULTS[name], cfg[name] || {}), catalog[name] || {});
+    }
+    if (catalog[name] !== undefined) return catalog[name];
+    return cfg[name] === undefined ? DEFAULTS[name] : cfg[name];
+  }
+
+  /**
+   * Replace {name} placeholders with values from params (unknown placeholders are left as-is).
+   */
+  function formatMessage(str, params) {
+    return String(str === undefined || str === null ? '' : str).replace(/\{(\w+)\}/g, function (match, key) {
+      return params && params[key] !== undefined ? String(params[key]) : match;
+    });
+  }
+
+  function currentLocale() {
+    return i18nState.locale || defaultLocale();
+  }
+
+  function formatNumber(n, opts) {
+    try {
+      return new Intl.NumberFormat(currentLocale(), opts).format(n);
     } catch (e) {
-      // if scheduling fails, run immediately
-      highlightActiveLink();
+      return String(n);
     }
+  }
 
-    // Mark initted to prevent duplicate init
-    state.initted = true;
-
-    // Handshake marker for other inline scripts
+  function formatDate(date, opts) {
+    var d = date instanceof Date ? date : new Date(date);
     try {
-      if (typeof window !== 'undefined') window.__siteNavReady = true;
-    } catch (e) {}
+      return new Intl.DateTimeFormat(currentLocale(), opts).format(d);
+    } catch (e) {
+      return d.toDateString();
+    }
   }
 
   /**
-   * Tear down behavior and restore initial aria/class state.
+   * Pick the plural form for `count` from forms ({ zero, one, two, few, many, other }, or "=<n>" for exact
+   * matches) and fill in {count} (formatted for the locale) plus any extra params. A plain string is used as-is.
    */
-  function destroy() {
-    if (!state.initted) return;
+  function pluralize(count, forms, params) {
+    var vars = merge(params || {}, { count: formatNumber(count) });
+    if (!forms || typeof forms !== 'object') return formatMessage(forms, vars);
+    var str = forms['=' + count];
+    if (str === undefined) {
+      var category = 'other';
+      try {
+        category = new Intl.PluralRules(currentLocale()).select(count);
+      } catch (e) {
+        category = count === 1 ? 'one' : 'other';
+      }
+      str = forms[category] === undefined ? forms.other : forms[category];
+    }
+    return formatMessage(str, vars);
+  }
 
-    // Close nav
-    closeNav();
+  /**
+   * Page text for `key` in the active locale, else fallback (or the key itself).
+   */
+  function translate(key, params, fallback) {
+    var catalog = i18nState.catalogs[i18nState.locale];
+    var text = catalog && catalog.text ? catalog.text[key] : undefined;
+    if (text === undefined) text = fallback === undefined ? key : fallback;
+    return formatMessage(text, params);
+  }
 
-    // Close demo modal if open
-    if (state._demo && state._demo.isOpen) {
-      closeDemoModal(true);
-    }
+  function defaultLocale() {
+    var cfg = state.config || {};
+    return cfg.defaultLocale || i18nState.sourceLang || 'en';
+  }
 
-    // Remove classes from links
-    if (state.elements.links) {
-      state.elements.links.forEach(function (a) {
-        unmarkLinkActive(a);
-      });
-    }
+  function availableLocales() {
+    var out = [defaultLocale()];
+    Object.keys(i18nState.catalogs).forEach(function (code) {
+      if (out.indexOf(code) === -1) out.push(code);
+    });
+    return out;
+  }
 
-    // Restore toggles attributes from recorded originals
-    if (state._original && state._original.toggles) {
-      state._original.toggles.forEach(function (rec) {
-        var btn = rec.el;
-        var attrs = rec.attrs || {};
-        try {
-          if (attrs.ariaControls === null || attrs.ariaControls === undefined) {
-            btn.removeAttribute('aria-controls');
-          } else {
-            btn.setAttribute('aria-controls', attrs.ariaControls);
-          }
-        } catch (e) {}
-        try {
-          if (attrs.ariaExpanded === null || attrs.ariaExpanded === undefined) {
-            btn.removeAttribute(state.config.ariaExpandedAttr);
-          } else {
-            btn.setAttribute(state.config.ariaExpandedAttr, attrs.ariaExpanded);
-          }
-        } catch (e) {}
-        try {
-          if (attrs.role === null || attrs.role === undefined) {
-            // only remove role if we set it (i.e., was null originally)
-            if (btn.getAttribute && btn.getAttribute('role') === 'button' && btn.tagName.toLowerCase() !== 'button') {
-              btn.removeAttribute('role');
-            }
-          } else {
-            btn.setAttribute('role', attrs.role);
-          }
-        } catch (e) {}
-        try {
-          if (attrs.tabIndex === null || attrs.tabIndex === undefined) {
-            // remove if we added it
-            if (btn.hasAttribute && btn.hasAttribute('tabindex')) btn.removeAttribute('tabindex');
-          } else {
-            btn.setAttribute('tabindex', attrs.tabIndex);
-          }
-        } catch (e) {}
-      });
+  /**
+   * Best available locale for a requested tag: exact match (case-insensitive), then the base language.
+   */
+  function matchLocale(tag) {
+    if (!tag || typeof tag !== 'string') return '';
+    var wanted = tag.toLowerCase();
+    var base = wanted.split('-')[0];
+    var list = availableLocales();
+    var i;
+    for (i = 0; i < list.length; i++) {
+      if (list[i].toLowerCase() === wanted) return list[i];
+    }
+    for (i = 0; i < list.length; i++) {
+      if (list[i].toLowerCase().split('-')[0] === base) return list[i];
     }
+    return '';
+  }
 
-    // Restore nav attributes
-    try {
-      if (state.elements.nav) {
-        var origDataOpen = state._original && state._original.nav ? state._original.nav.dataOpen : null;
-        if (origDataOpen === null || origDataOpen === undefined) {
-          try { state.elements.nav.removeAttribute('data-open'); } catch (e) {}
-        } else {
-          try { state.elements.nav.setAttribute('data-open', origDataOpen); } catch (e) {}
-        }
-        // remove nav-level open class if present
-        try { state.elements.nav.classList.remove(state.config.classNames.navOpen); } catch (e) {}
-      }
-    } catch (e) {}
+  function localeDir(code) {
+    var catalog = i18nState.catalogs[code];
+    if (catalog && (catalog.dir === 'rtl' || catalog.dir === 'ltr')) return catalog.dir;
+    if (code === defaultLocale() && i18nState.sourceDir) return i18nState.sourceDir;
+    var rtl = localized('rtlLocales') || [];
+    return rtl.indexOf(String(code).toLowerCase().split('-')[0]) !== -1 ? 'rtl' : 'ltr';
+  }
 
-    // Restore panel attributes and classes
+  function localeName(code) {
+    var catalog = i18nState.catalogs[code];
+    if (catalog && catalog.name) return catalog.name;
     try {
-      var panel = state.elements.panel;
-      if (panel && state._original && state._original.panel) {
-        var origAria = state._original.panel.ariaHidden;
-        if (origAria === null || origAria === undefined) {
-          try { panel.removeAttribute('aria-hidden'); } catch (e) {}
-        } else {
-          try { panel.setAttribute('aria-hidden', origAria); } catch (e) {}
-        }
-        // Restore panel open class presence based on recorded boolean
-        try {
-          var hadOpen = !!state._original.panel.classListContainsOpen;
-          var panelClass = state.config.classNames.panelOpen;
-          if (!hadOpen) {
-            panel.classList.remove(panelClass);
-          } else {
-            panel.classList.add(panelClass);
-          }
-        } catch (e) {}
-      }
+      // Each language in its own name ("Deutsch", "العربية")
+      if (typeof Intl !== 'undefined' && Intl.DisplayNames) return new Intl.DisplayNames([code], { type: 'language' }).of(code);
     } catch (e) {}
+    return code;
+  }
 
-    // Cancel idle callback if pending and clear timeout fallback
-    try {
-      if (state._idleId && typeof cancelIdleCallback === 'function') {
-        try { cancelIdleCallback(state._idleId); } catch (e) {}
-      }
-    } catch (e) {}
+  function readStoredLocale() {
     try {
-      if (state._timeoutId) {
-        try { clearTimeout(state._timeoutId); } catch (e) {}
-      }
-    } catch (e) {}
-    state._idleId = null;
-    state._timeoutId = null;
+      return window.localStorage.getItem(LOCALE_STORAGE_KEY) || '';
+    } catch (e) {
+      return '';
+    }
+  }
 
-    // Clear any demo close timeout
+  function resolveInitialLocale() {
+    var cfg = state.config || {};
+    var picked = matchLocale(cfg.locale) || matchLocale(readStoredLocale());
+    if (picked) return picked;
+    var wanted = [];
     try {
-      if (state._demo && state._demo._closeTimeoutId) {
-        clearTimeout(state._demo._closeTimeoutId);
-        state._demo._closeTimeoutId = null;
-      }
+      wanted = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language];
     } catch (e) {}
+    for (var i = 0; i < wanted.length; i++) {
+      picked = matchLocale(wanted[i]);
+      if (picked) return picked;
+    }
+    return defaultLocale();
+  }
 
-    // Remove listeners
-    removeAllListeners();
+  /**
+   * Add (or extend) the catalog for `code`. Returns true when added.
+   */
+  function addLocale(code, catalog) {
+    if (!code || typeof code !== 'string' || !catalog || typeof catalog !== 'object') {
+      try {
+        if (window.console && window.console.warn) window.console.warn('SiteNav.i18n.addLocale: expected (code: string, catalog: object)');
+      } catch (e) {}
+      return false;
+    }
+    var prev = i18nState.catalogs[code] || {};
+    var next = merge(prev, catalog);
+    if (prev.text && catalog.text) next.text = merge(prev.text, catalog.text);
+    i18nState.catalogs[code] = next;
+    if (state.initted) {
+      fillLocaleSwitchers();
+      if (code === i18nState.locale) applyLocale(code, { force: true });
+    }
+    return true;
+  }
 
-    // Restore service card attributes and remove expanded state
-    try {
-      if (state._serviceCards && state._serviceCards.length) {
-        state._serviceCards.forEach(function (rec) {
-          var card = rec.el;
-          var toggle = rec.toggle;
-          var attrs = rec.attrs || {};
-          try { if (card && card.classList) card.classList.remove('is-expanded'); } catch (e) {}
-          if (toggle) {
-            try {
-              if (attrs.role === null || attrs.role === undefined) {
-                if (toggle.getAttribute && toggle.getAttribute('role') === 'button' && toggle.tagName.toLowerCase() !== 'button') {
-                  toggle.removeAttribute('role');
-                }
-              } else {
-                toggle.setAttribute('role', attrs.role);
-              }
-            } catch (e) {}
-            try {
-              if (attrs.tabIndex === null || attrs.tabIndex === undefined) {
-                if (toggle.hasAttribute && toggle.hasAttribute('tabindex')) toggle.removeAttribute('tabindex');
-              } else {
-                toggle.setAttribute('tabindex', attrs.tabIndex);
-              }
-            } catch (e) {}
-            try {
-              if (attrs.ariaExpanded === null || attrs.ariaExpanded === undefined) {
-                toggle.removeAttribute('aria-expanded');
-              } else {
-                toggle.setAttribute('aria-expanded', attrs.ariaExpanded);
-              }
-            } catch (e) {}
-            try {
-              if (attrs.ariaControls === null || attrs.ariaControls === undefined) {
-                if (toggle.hasAttribute && toggle.hasAttribute('aria-controls')) toggle.removeAttribute('aria-controls');
-              } else {
-                toggle.setAttribute('aria-controls', attrs.ariaControls);
-              }
-            } catch (e) {}
-            // Ensure any 'more' elements have aria-hidden removed (graceful degradation)
-            try {
-              var more = safeQuerySelectorWithin(card, '.service-desc--more');
-              if (more) {
-                more.removeAttribute('aria-hidden');
-              }
-            } catch (e) {}
-          }
+  function parseI18nAttrs(spec) {
+    var out = [];
+    String(spec || '').split(';').forEach(function (pair) {
+      var idx = pair.indexOf(':');
+      if (idx === -1) return;
+      var attr = pair.slice(0, idx).trim();
+      var key = pair.slice(idx + 1).trim();
+      if (attr && key) out.push({ attr: attr, key: key });
+    });
+    return out;
+  }
+
+  /**
+   * Translate [data-i18n] / [data-i18n-attr] elements within root (the whole document by default).
+   */
+  function translatePage(root) {
+    var scope = root || document;
+    var nodes = [];
+    try { nodes = Array.prototype.slice.call(scope.querySelectorAll('[data-i18n], [data-i18n-attr]')); } catch (e) { nodes = []; }
+    if (!state._i18nNodes) state._i18nNodes = [];
+    // Forget nodes the router swapped out
+    state._i18nNodes = state._i18nNodes.filter(function (rec) {
+      return document.documentElement.contains(rec.el);
+    });
+    nodes.forEach(function (el) {
+      var rec = null;
+      for (var i = 0; i < state._i18nNodes.length; i++) {
+        if (state._i18nNodes[i].el === el) { rec = state._i18nNodes[i]; break; }
+      }
+      if (!rec) {
+        rec = { el: el, text: null, attrs: {} };
+        if (el.hasAttribute('data-i18n')) rec.text = el.textContent;
+        parseI18nAttrs(el.getAttribute('data-i18n-attr')).forEach(function (a) {
+          rec.attrs[a.attr] = el.getAttribute(a.attr);
         });
+        state._i18nNodes.push(rec);
       }
-    } catch (e) {}
+      try {
+        if (rec.text !== null) {
+          var text = translate(el.getAttribute('data-i18n'), null, rec.text);
+          if (el.textContent !== text) el.textContent = text;
+        }
+        parseI18nAttrs(el.getAttribute('data-i18n-attr')).forEach(function (a) {
+          var authored = rec.attrs[a.attr];
+          var value = translate(a.key, null, authored === null || authored === undefined ? '' : authored);
+          if (value) el.setAttribute(a.attr, value);
+        });
+      } catch (e) {}
+    });
+  }
 
-    // Remove body open class if set
-    try {
-      if (state.config && state.config.bodyOpenClass) {
-        document.body.classList.remove(state.config.bodyOpenClass);
+  function restorePageText() {
+    (state._i18nNodes || []).forEach(function (rec) {
+      try {
+        if (rec.text !== null) rec.el.textContent = rec.text;
+        Object.keys(rec.attrs).forEach(function (attr) {
+          if (rec.attrs[attr] === null) rec.el.removeAttribute(attr);
+          else rec.el.setAttribute(attr, rec.attrs[attr]);
+        });
+      } catch (e) {}
+    });
+    state._i18nNodes = [];
+  }
+
+  /**
+   * Refresh generated labels that were written with the previous locale's messages.
+   */
+  function relabelGeneratedUi(prev) {
+    var labels = getServiceConfig().labels;
+    (state._serviceCards || []).forEach(function (rec) {
+      var from = rec.expanded ? prev.serviceLabels.collapse : prev.serviceLabels.expand;
+      var to = rec.expanded ? labels.collapse : labels.expand;
+      if (rec.labelEl) {
+        try { rec.labelEl.textContent = to; } catch (e) {}
       }
-    } catch (e) {}
+      try {
+        var aria = rec.toggle.getAttribute('aria-label');
+        if (aria && aria.indexOf(from) === 0) rec.toggle.setAttribute('aria-label', to + aria.slice(from.length));
+      } catch (e) {}
+    });
+    (state._submenus || []).forEach(function (rec) {
+      if (rec.createdTrigger) {
+        try { rec.trigger.setAttribute('aria-label', submenuTriggerLabel(rec.link)); } catch (e) {}
+      }
+    });
+    var ready = localized('contactMessages').ready;
+    (state._contactForms || []).forEach(function (rec) {
+      try {
+        if (rec.note && rec.note.textContent === prev.contactReady) rec.note.textContent = ready;
+      } catch (e) {}
+    });
+    try { updateThemeToggles(); } catch (e) {}
+    try { updateCurrentYear(); } catch (e) {}
 
-    // Reset state
-    state.initted = false;
-    state.isOpen = false;
-    state.elements = { nav: null, panel: null, toggles: [], links: [] };
-    state._original = { nav: {}, panel: {}, toggles: [] };
-    state._serviceCards = [];
+    var demo = state._demo.modal;
+    if (demo) {
+      var demoId = demo.overlay.getAttribute('data-demo-modal');
+      var msg = localized('demoMessages');
+      try {
+        if (!(demo.def && demo.def.title)) demo.title.textContent = formatMessage(msg.title, { id: demoId });
+        if (demo.desc) demo.desc.textContent = formatMessage(msg.placeholder, { id: demoId });
+        demo.closeBtn.textContent = msg.close;
+        demo.closeBtn.setAttribute('aria-label', msg.closeLabel);
+      } catch (e) {}
+    }
+    // The other dialogs are rebuilt in place, keeping what was typed
+    if (searchState.modal) {
+      var q = searchState.modal.input.value;
+      closeSearch(true);
+      openSearch(q);
+    }
+    if (paletteState.modal) {
+      var typed = paletteState.modal.input.value;
+      closeCommandPalette(true);
+      openCommandPalette();
+      if (paletteState.modal && typed) {
+        paletteState.modal.input.value = typed;
+        renderCommands(paletteState.modal);
+      }
+    }
+    if (consentState.modal) {
+      closeConsentDialog(true);
+      openConsentDialog();
+    }
+  }
 
-    // Clear initialization handshake flag
+  function applyLocale(code, opts) {
+    opts = opts || {};
+    var prev = {
+      locale: i18nState.locale,
+      serviceLabels: getServiceConfig().labels,
+      contactReady: localized('contactMessages').ready
+    };
+    i18nState.locale = code;
+    var dir = localeDir(code);
+    var html = document.documentElement;
     try {
-      if (typeof window !== 'undefined') window.__siteNavReady = false;
+      html.setAttribute('lang', code);
+      html.setAttribute('dir', dir);
     } catch (e) {}
+    translatePage();
+    if (prev.locale && (prev.locale !== code || opts.force)) relabelGeneratedUi(prev);
+    updateLocaleSwitchers();
+    if (prev.locale && prev.locale !== code) emit('locale:change', { locale: code, dir: dir });
   }
 
   /**
-   * Demo modal utilities
+   * Switch to `code` (or its closest available match) and remember the choice. Returns false when unavailable.
    */
-
-  function addDemoListener(target, type, handler, capture) {
-    if (!target || !target.addEventListener) return;
-    try {
-      target.addEventListener(type, handler, !!capture);
-      state._demo.listeners.push({ target: target, type: type, handler: handler, capture: !!capture });
-    } catch (e) {
-      // ignore
+  function setLocale(code) {
+    var picked = matchLocale(code);
+    if (!picked) {
+      try {
+        if (window.console && window.console.warn) window.console.warn('SiteNav.i18n.setLocale: no catalog for "' + code + '"');
+      } catch (e) {}
+      return false;
     }
+    try { window.localStorage.setItem(LOCALE_STORAGE_KEY, picked); } catch (e) {}
+    if (state.initted) applyLocale(picked);
+    else i18nState.locale = picked;
+    return true;
   }
 
-  function removeDemoListeners() {
-    var arr = state._demo.listeners || [];
-    for (var i = 0; i < arr.length; i++) {
+  function getLocale() {
+    return currentLocale();
+  }
+
+  function listLocales() {
+    return availableLocales().map(function (code) {
+      return { code: code, name: localeName(code), dir: localeDir(code) };
+    });
+  }
+
+  function fillLocaleSwitchers() {
+    var codes = availableLocales();
+    (state._localeSwitchers || []).forEach(function (rec) {
+      var el = rec.el;
       try {
-        var it = arr[i];
-        it.target.removeEventListener(it.type, it.handler, it.capture || false);
+        if (rec.authoredOptions) return;
+        while (el.firstChild) el.removeChild(el.firstChild);
+        codes.forEach(function (code) {
+          var option = document.createElement('option');
+          option.value = code;
+          option.textContent = localeName(code);
+          option.setAttribute('lang', code);
+          el.appendChild(option);
+        });
       } catch (e) {}
-    }
-    state._demo.listeners = [];
+      try {
+        if (codes.length > 1) el.removeAttribute('hidden');
+        else if (rec.hidden) el.setAttribute('hidden', '');
+      } catch (e) {}
+    });
   }
 
-  function getFocusableElements(container) {
-    if (!container || !container.querySelectorAll) return [];
-    var selector = 'a[href], area[href], input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), button:not([disabled]), iframe, [tabindex]:not([tabindex="-1"])';
-    try {
-      return Array.prototype.slice.call(container.querySelectorAll(selector), 0);
-    } catch (e) {
-      return [];
-    }
+  function updateLocaleSwitchers() {
+    (state._localeSwitchers || []).forEach(function (rec) {
+      try { rec.el.value = i18nState.locale; } catch (e) {}
+    });
   }
 
-  function buildDemoModal(demoId) {
-    // Build overlay and dialog structure
-    var overlay = document.createElement('div');
-    // Add both a generic modal class and a demo-specific class for CSS compatibility
-    overlay.className = 'modal-overlay demo-modal-overlay';
-    overlay.setAttribute('data-demo-modal', demoId || '');
-    overlay.style.zIndex = 10000;
-    overlay.setAttribute('role', 'presentation');
+  function onLocaleSwitcherChange(e) {
+    var el = e && e.target;
+    if (el && el.value) setLocale(el.value);
+  }
 
-    var dialog = document.createElement('div');
-    // Add both generic modal-content/dialog classes and demo-specific class
-    dialog.className = 'modal-content demo-modal';
-    // ID for labeling
-    var titleId = 'demo-modal-title-' + (demoId || Math.random().toString(36).slice(2, 6));
-    dialog.setAttribute('role', 'dialog');
-    dialog.setAttribute('aria-modal', 'true');
-    dialog.setAttribute('aria-labelledby', titleId);
-    dialog.setAttribute('tabindex', '-1');
+  function onLocaleStorage(e) {
+    if (!e || e.key !== LOCALE_STORAGE_KEY || !e.newValue) return;
+    var picked = matchLocale(e.newValue);
+    if (picked && picked !== i18nState.locale) applyLocale(picked);
+  }
 
-    // Visual wrapper (body)
-    var content = document.createElement('div');
-    content.className = 'modal-body demo-modal-content';
+  function initI18n() {
+    var html = document.documentElement;
+    if (i18nState.sourceLang === null) {
+      i18nState.sourceLang = html.getAttribute('lang') || '';
+      i18nState.sourceDir = html.getAttribute('dir') || '';
+    }
+    var locales = state.config.locales || {};
+    Object.keys(locales).forEach(function (code) { addLocale(code, locales[code]); });
 
-    var title = document.createElement('h2');
-    title.id = titleId;
-    title.className = 'demo-modal-title';
-    title.textContent = 'Demo ' + (demoId || '');
+    state._localeSwitchers = [];
+    safeQueryAll(state.config.selectors.localeSwitcher || DEFAULTS.selectors.localeSwitcher).forEach(function (el) {
+      var rec = { el: el, hidden: el.hasAttribute('hidden'), authoredOptions: !!(el.options && el.options.length) };
+      state._localeSwitchers.push(rec);
+      attachListener(el, 'change', onLocaleSwitcherChange, false);
+    });
+    fillLocaleSwitchers();
+    attachListener(window, 'storage', onLocaleStorage, false);
 
-    var desc = document.createElement('p');
-    desc.className = 'demo-modal-desc';
-    desc.textContent = 'This is a placeholder for Demo ' + (demoId || '') + '. Interactive demo content would appear here.';
+    i18nState.locale = '';
+    applyLocale(resolveInitialLocale());
+  }
 
-    var actions = document.createElement('div');
-    actions.className = 'demo-modal-actions';
+  function teardownI18n() {
+    restorePageText();
+    (state._localeSwitchers || []).forEach(function (rec) {
+      try {
+        if (rec.hidden) rec.el.setAttribute('hidden', '');
+        if (!rec.authoredOptions) {
+          while (rec.el.firstChild) rec.el.removeChild(rec.el.firstChild);
+        }
+      } catch (e) {}
+    });
+    state._localeSwitchers = [];
+    var html = document.documentElement;
+    try {
+      if (i18nState.sourceLang) html.setAttribute('lang', i18nState.sourceLang);
+      else html.removeAttribute('lang');
+      if (i18nState.sourceDir) html.setAttribute('dir', i18nState.sourceDir);
+      else html.removeAttribute('dir');
+    } catch (e) {}
+    i18nState.locale = '';
+  }
 
-    var closeBtn = document.createElement('button');
-    closeBtn.className = 'modal-close demo-modal-close';
-    closeBtn.type = 'button';
-    closeBtn.textContent = 'Close demo';
-    closeBtn.setAttribute('aria-label', 'Close demo dialog');
+  var i18n = {
+    getLocale: getLocale,
+    setLocale: setLocale,
+    locales: listLocales,
+    addLocale: addLocale,
+    t: translate,
+    plural: pluralize,
+    formatNumber: formatNumber,
+    formatDate: formatDate
+  };
 
-    actions.appendChild(closeBtn);
-    content.appendChild(title);
-    content.appendChild(desc);
-    content.appendChild(actions);
-    dialog.appendChild(content);
-    overlay.appendChild(dialog);
+  /**
+   * Observe mode
+   *
+   * Behavior:
+   *  - With config.observe = true a MutationObserver watches the document for added and removed elements that
+   *    match (or contain) the configured selectors: nav toggles, nav links and submenus, demo CTAs, service
+   *    toggles, modal triggers, [data-i18n] text and consent embeds.
+   *  - Matching work is batched: each kind of content is synced at most once per batch, in an idle callback
+   *    (setTimeout fallback) bounded by config.deferDelay, the same deferral highlightActiveLink() gets in init().
+   *  - Syncing is incremental: new elements are wired, records and listeners of removed ones are dropped, and
+   *    everything already wired keeps its state (an expanded service card stays expanded).
+   *  - Forms are not observed: re-wiring them would reset what the visitor typed. Call initContactForm() /
+   *    initNewsletterForm() after inserting one.
+   */
 
-    return {
-      overlay: overlay,
-      dialog: dialog,
-      closeBtn: closeBtn,
-      title: title,
-      desc: desc
-    };
+  /**
+   * What observe mode watches: a selector and the sync to run when a matching element comes or goes.
+   */
+  function observeTargets() {
+    var sel = state.config.selectors || DEFAULTS.selectors;
+    return [
+      { selector: sel.navToggle, sync: syncNavToggles },
+      { selector: sel.navLinks, sync: syncNavLinks },
+      { selector: sel.submenu || DEFAULTS.selectors.submenu, sync: initSubmenus },
+      { selector: DEMO_CTA_SELECTOR, sync: syncDemoCtas },
+      { selector: sel.serviceToggle, sync: syncServiceCards },
+      { selector: sel.modalTrigger || DEFAULTS.selectors.modalTrigger, sync: initModalTriggers },
+      { selector: '[data-i18n], [data-i18n-attr]', sync: function () { translatePage(); } },
+      { selector: sel.consentEmbed || DEFAULTS.selectors.consentEmbed, sync: function () { if (consentEnabled()) activateConsentEmbeds(); } }
+    ];
   }
 
-  function openDemoModal(demoId, opener) {
-    // If modal already open, close first
-    if (state._demo && state._demo.isOpen) {
-      closeDemoModal(true);
-    }
-    // build modal
-    var m = buildDemoModal(demoId);
-    state._demo.modal = m;
-    // Append to body
+  function nodeMatches(node, selector) {
+    if (!selector || !node || node.nodeType !== 1) return false;
     try {
-      document.body.appendChild(m.overlay);
+      return node.matches(selector) || !!node.querySelector(selector);
     } catch (e) {
-      // fallback: append to documentElement
-      try { document.documentElement.appendChild(m.overlay); } catch (e2) {}
-    }
-    // Save last active element to restore focus later
-    state._demo.lastActive = opener || document.activeElement || null;
-    state._demo.isOpen = true;
-
-    // Inert/aria-hide main content for screen readers
-    var main = safeQuerySelector('main');
-    if (main) {
-      try { main.setAttribute('aria-hidden', 'true'); } catch (e) {}
+      return false;
     }
+  }
 
-    // Add body class for modal open (styles can use .modal-open)
-    try { document.body.classList.add('modal-open'); } catch (e) {}
+  /**
+   * Remove attachListener() listeners whose element has left the document.
+   */
+  function pruneDetachedListeners() {
+    var map = state.listeners || {};
+    Object.keys(map).forEach(function (type) {
+      map[type] = (map[type] || []).filter(function (item) {
+        var target = item.target;
+        if (!target || target.nodeType !== 1 || document.documentElement.contains(target)) return true;
+        try { target.removeEventListener(type, item.handler, item.capture || false); } catch (e) {}
+        return false;
+      });
+    });
+  }
 
-    // Make overlay visible by adding is-open class (use RAF to allow CSS transitions)
-    try {
-      // ensure element is in DOM and next frame add class
-      window.requestAnimationFrame(function () {
-        try { m.overlay.classList.add('is-open'); } catch (e) {}
+  function syncNavToggles() {
+    var current = queryNavToggles(state.elements.nav, null);
+    state.elements.toggles = (state.elements.toggles || []).filter(function (btn) {
+      return current.indexOf(btn) !== -1;
+    });
+    if (state._original) {
+      state._original.toggles = (state._original.toggles || []).filter(function (rec) {
+        return current.indexOf(rec.el) !== -1;
       });
-    } catch (e) {
-      try { m.overlay.classList.add('is-open'); } catch (e) {}
     }
+    current.forEach(function (btn) {
+      if (state.elements.toggles.indexOf(btn) !== -1) return;
+      prepareNavToggle(btn);
+      attachListener(btn, 'click', onToggleClick, false);
+      attachListener(btn, 'keydown', onToggleKeydown, false);
+      state.elements.toggles.push(btn);
+    });
+  }
 
-    // Focus management: focus close button after slight delay
-    window.setTimeout(function () {
-      try { m.closeBtn.focus(); } catch (e) {}
-    }, 10);
+  function syncNavLinks() {
+    state.elements.links = queryNavLinks(state.elements.nav);
+    try { initScrollSpy(); } catch (e) {}
+    highlightActiveLink();
+  }
 
-    // Attach listeners: close button, overlay click, trap tab, Escape
-    var onCloseClick = function (ev) { ev && ev.preventDefault && ev.preventDefault(); closeDemoModal(); };
-    var onOverlayClick = function (ev) {
-      // close only if click on overlay, not inside dialog
-      if (!m.overlay || !m.dialog) return;
-      if (ev.target === m.overlay) {
-        closeDemoModal();
-      }
-    };
-    var onModalKeydown = function (ev) {
-      var code = ev.key || ev.keyCode;
-      if (code === 'Escape' || code === 'Esc' || code === 27) {
-        ev.preventDefault && ev.preventDefault();
-        closeDemoModal();
-        return;
-      }
-      if (code === 'Tab' || code === 9) {
-        // trap focus inside modal
-        var focusables = getFocusableElements(m.dialog);
-        if (!focusables || !focusables.length) {
-          // nothing focusable, keep focus on dialog
-          ev.preventDefault && ev.preventDefault();
-          try { m.dialog.focus(); } catch (e) {}
-          return;
-        }
-        var first = focusables[0];
-        var last = focusables[focusables.length - 1];
-        var active = document.activeElement;
-        var shift = ev.shiftKey;
-        if (shift && active === first) {
-          ev.preventDefault && ev.preventDefault();
-          try { last.focus(); } catch (e) {}
-        } else if (!shift && active === last) {
-          ev.preventDefault && ev.preventDefault();
-          try { first.focus(); } catch (e) {}
-        }
+  function runObserverBatch() {
+    var obs = state._observer;
+    if (!obs) return;
+    obs.idleId = null;
+    obs.timeoutId = null;
+    var batch = obs.pending;
+    obs.pending = [];
+    pruneDetachedListeners();
+    batch.forEach(function (sync) {
+      try {
+        sync();
+      } catch (e) {
+        try {
+          if (window.console && window.console.warn) window.console.warn('SiteNav observe: sync failed', e);
+        } catch (e2) {}
       }
-    };
+    });
+  }
 
-    // Use dedicated demo listener registry so closing modal removes only modal listeners
-    addDemoListener(m.closeBtn, 'click', onCloseClick, false);
-    addDemoListener(m.overlay, 'click', onOverlayClick, false);
-    addDemoListener(document, 'keydown', onModalKeydown, false);
+  function scheduleObserverBatch() {
+    var obs = state._observer;
+    if (!obs || obs.idleId !== null || obs.timeoutId !== null) return;
+    var delay = state.config.deferDelay || DEFAULTS.deferDelay;
+    if (typeof requestIdleCallback === 'function') {
+      obs.idleId = requestIdleCallback(runObserverBatch, { timeout: delay });
+    } else {
+      obs.timeoutId = window.setTimeout(runObserverBatch, delay);
+    }
+  }
 
-    // Also accessible: announce dialog if needed (title already linked)
-    // Log for development/analytics
+  function onDocumentMutations(records) {
+    var obs = state._observer;
+    if (!obs) return;
+    var targets = observeTargets();
+    records.forEach(function (record) {
+      var nodes = Array.prototype.slice.call(record.addedNodes || []).concat(Array.prototype.slice.call(record.removedNodes || []));
+      nodes.forEach(function (node) {
+        if (node.nodeType !== 1) return;
+        targets.forEach(function (t) {
+          if (obs.pending.indexOf(t.sync) === -1 && nodeMatches(node, t.selector)) obs.pending.push(t.sync);
+        });
+      });
+    });
+    if (obs.pending.length) scheduleObserverBatch();
+  }
+
+  function startObserver() {
+    stopObserver();
+    if (!state.config.observe || typeof window.MutationObserver !== 'function' || !document.body) return;
+    var mo = new window.MutationObserver(onDocumentMutations);
+    state._observer = { mo: mo, pending: [], idleId: null, timeoutId: null };
+    mo.observe(document.body, { childList: true, subtree: true });
+  }
+
+  function stopObserver() {
+    var obs = state._observer;
+    if (!obs) return;
+    state._observer = null;
+    try { obs.mo.disconnect(); } catch (e) {}
     try {
-      if (window && window.console && window.console.info) {
-        window.console.info('Demo modal opened: ' + demoId);
-      }
+      if (obs.idleId !== null && typeof cancelIdleCallback === 'function') cancelIdleCallback(obs.idleId);
+      if (obs.timeoutId !== null) clearTimeout(obs.timeoutId);
     } catch (e) {}
   }
 
-  function closeDemoModal(forceRemove) {
-    if (!state._demo || !state._demo.isOpen) return;
-    var m = state._demo.modal || null;
-    // Remove aria-hidden from main
-    var main = safeQuerySelector('main');
-    if (main) {
-      try { main.removeAttribute('aria-hidden'); } catch (e) {}
-    }
-    // Remove body modal class
-    try { document.body.classList.remove('modal-open'); } catch (e) {}
-
-    // If overlay exists, remove open class then remove DOM after short delay to allow CSS animate out
-    try {
-      if (m && m.overlay) {
-        try { m.overlay.classList.remove('is-open'); } catch (e) {}
-        // clear any previous timeout
-        if (state._demo && state._demo._closeTimeoutId) {
-          try { clearTimeout(state._demo._closeTimeoutId); } catch (e) {}
-          state._demo._closeTimeoutId = null;
-        }
-        // Remove element after 180ms (animation friendly). If forceRemove, remove immediately.
-        if (forceRemove) {
-          try {
-            if (m.overlay.parentNode) m.overlay.parentNode.removeChild(m.overlay);
-          } catch (e) {}
-        } else {
-          state._demo._closeTimeoutId = setTimeout(function () {
-            try {
-              if (m.overlay && m.overlay.parentNode) m.overlay.parentNode.removeChild(m.overlay);
-            } catch (e) {}
-            state._demo._closeTimeoutId = null;
-          }, 180);
-        }
-      }
-    } catch (e) {}
+  /**
+   * Instances
+   *
+   * Behavior:
+   *  - SiteNav.create(root, options) enhances one more navigation (a sidebar, a footer menu, a second header) next
+   *    to the one init() manages. root is the nav itself or an element containing it (selectors.nav inside root,
+   *    else root); options and the root's data-sitenav-* attributes are layered like init(options) (see
+   *    resolveConfig()).
+   *  - Each instance has its own config, open state, listeners, submenus, scroll-spy, active-link marks and
+   *    recorded authored attributes, and its destroy() restores only what it changed. Page-wide features (router,
+   *    demos, forms, search, theme, consent, i18n) stay with init().
+   *  - Toggles: selectors.navToggle matches inside root plus any toggle on the page whose aria-controls names the
+   *    nav or its panel. init() leaves toggles whose aria-controls points into another nav alone, so give toggles
+   *    of instance navs an aria-controls.
+   *  - nav:beforetoggle, nav:toggle and nav:activechange of an instance are dispatched on its root (they bubble
+   *    to document); bus handlers get the same events with event.target set to the root.
+   *  - Instances default to bodyOpenClass: '' (the page's CSS shows the main nav's panel under body.nav-open).
+   *    When navs do share a body class it stays on <body> until the last of them closes.
+   *  - create() on a root that already has an instance returns that instance.
+   */
 
-    // Remove modal listeners
-    removeDemoListeners();
+  var navInstances = [];
 
-    // Optionally return focus to opener
-    try {
-      if (state._demo.lastActive && typeof state._demo.lastActive.focus === 'function') {
-        state._demo.lastActive.focus();
+  /**
+   * Fresh state container for an instance: the nav-related fields of `state` only.
+   */
+  function createNavState(root, config) {
+    return {
+      initted: false,
+      isOpen: false,
+      root: root,
+      config: config,
+      elements: {
+        nav: null,
+        panel: null,
+        toggles: [],
+        links: []
+      },
+      listeners: {},
+      _idleId: null,
+      _timeoutId: null,
+      _activeHrefs: null,
+      _submenus: [],
+      _submenuNav: null,
+      _scrollSpy: { observer: null, items: [], active: null },
+      _original: {
+        nav: {},
+        panel: {},
+        toggles: []
       }
-    } catch (e) {}
-
-    // Reset demo state
-    state._demo.modal = null;
-    state._demo.isOpen = false;
-    state._demo.lastActive = null;
+    };
+  }
 
-    if (forceRemove) {
-      state._demo.listeners = [];
+  function findNavInstance(root) {
+    for (var i = 0; i < navInstances.length; i++) {
+      if (navInstances[i].root === root) return navInstances[i];
     }
+    return null;
+  }
+
+  /**
+   * Nav element for an instance root: the root itself when it matches selectors.nav, else the first match inside
+   * it, else the root.
+   */
+  function instanceNav(root) {
+    var sel = state.config.selectors.nav;
     try {
-      if (window && window.console && window.console.info) {
-        window.console.info('Demo modal closed');
-      }
+      if (sel && root.matches(sel)) return root;
     } catch (e) {}
+    return safeQuerySelectorWithin(root, sel) || root;
+  }
+
+  function destroyNavInstance(rec) {
+    if (!rec.state.initted) return;
+    withState(rec.state, function () {
+      teardownNav();
+      removeAllListeners();
+      state.initted = false;
+    });
+    navInstances = navInstances.filter(function (other) { return other !== rec; });
   }
 
   /**
-   * Demo CTA handlers + initializer
-   * - Attaches click and keyboard handlers to .demo-block__cta and .demo-cta (fallback)
-   * - Builds and opens accessible modal placeholder for demos
+   * Create an independent nav instance on `root` (element or selector). Returns null when root is not found.
    */
-  function onDemoCtaClick(e) {
-    if (!e) return;
-    var btn = e.currentTarget || e.target;
-    if (!btn) return;
-    // Determine demo id from multiple possible attributes
-    var demoId = '';
-    try {
-      // data-demo-id preferred, then data-demo, then dataset.demoId/dataset.demo
-      demoId = btn.getAttribute('data-demo-id') || btn.getAttribute('data-demo') || (btn.dataset && (btn.dataset.demoId || btn.dataset.demo)) || '';
-    } catch (err) {
-      demoId = '';
+  function create(root, options) {
+    if (typeof root === 'string') root = safeQuerySelector(root);
+    if (!root || root.nodeType !== 1) return null;
+    var existing = findNavInstance(root);
+    if (existing) return existing.handle;
+
+    var rec = { root: root, state: createNavState(root, resolveConfig(options, root)), handle: null };
+    withState(rec.state, function () {
+      var nav = instanceNav(root);
+      setupNav(nav, queryNavToggles(nav, root));
+      try {
+        initSubmenus();
+      } catch (e) {}
+      try {
+        initScrollSpy();
+      } catch (e) {}
+      scheduleHighlight();
+      state.initted = true;
+    });
+
+    function run(fn) {
+      return function () {
+        var args = arguments;
+        if (!rec.state.initted) return undefined;
+        return withState(rec.state, function () { return fn.apply(null, args); });
+      };
     }
 
-    // If this is an anchor, decide whether to prevent its navigation.
-    // Allow navigation to .html pages (privacy/terms etc). Prevent for demo interactive CTAs that should open the modal.
-    try {
-      if (btn.tagName && btn.tagName.toLowerCase() === 'a') {
-        var href = btn.getAttribute('href') || '';
-        var shouldAllowNav = false;
-        try {
-          if (/\b(privacy|terms)\.html\b/i.test(href) || /\.html(?:$|[?#])/i.test(href)) {
-            shouldAllowNav = true;
-          }
-        } catch (e) { shouldAllowNav = false; }
-        if (!shouldAllowNav) {
-          // Prevent navigation in all cases for demo CTAs to keep the demo interaction on page
-          if (e.preventDefault) e.preventDefault();
-        }
+    var handle = {
+      root: root,
+      toggle: run(function (force) { return toggleNav(force); }),
+      open: run(function () { return toggleNav(true); }),
+      close: run(function () { return toggleNav(false); }),
+      isOpen: function () {
+        return !!rec.state.isOpen;
+      },
+      highlightActiveLink: run(highlightActiveLink),
+      getState: function () {
+        var spy = rec.state._scrollSpy;
+        return {
+          initted: !!rec.state.initted,
+          isOpen: !!rec.state.isOpen,
+          nav: rec.state.elements.nav,
+          activeSection: (spy && spy.active && spy.active.section.id) || ''
+        };
+      },
+      destroy: function () {
+        destroyNavInstance(rec);
       }
-    } catch (ex) {}
+    };
+    rec.handle = Object.freeze ? Object.freeze(handle) : handle;
+    navInstances.push(rec);
+    return rec.handle;
+  }
 
-    // Analytics hook + event dispatch
-    try {
-      if (window && window.console && window.console.log) {
-        window.console.log('Demo CTA clicked:', demoId || '(no id)'); // dev log
-      }
-      if (typeof window !== 'undefined' && window.analytics && typeof window.analytics.trackDemoClick === 'function') {
-        try { window.analytics.trackDemoClick({ id: demoId }); } catch (e) {}
-      }
-    } catch (e) {}
+  /**
+   * Public accessors
+   */
 
-    // Dispatch a custom event for other scripts to handle
-    try {
-      var ev = new CustomEvent('demo:click', { detail: { id: demoId, source: btn } });
-      (btn && btn.dispatchEvent) && btn.dispatchEvent(ev);
-    } catch (e) {}
+  // Bumped on every release of script.js so integrators can feature-detect
+  var VERSION = '1.0.0';
 
-    // Open a modal placeholder for demo content (with focus handling)
-    try {
-      openDemoModal(demoId, btn);
-    } catch (err) {
-      // Fallback: at least log
-      try { console.log('Open demo fallback:', demoId); } catch (e2) {}
-    }
+  /**
+   * Whether the nav panel is currently open.
+   */
+  function isOpen() {
+    return !!state.isOpen;
   }
 
-  function onDemoCtaKeydown(e) {
-    var code = e.key || e.keyCode;
-    if (code === 'Enter' || code === 13 || code === ' ' || code === 'Spacebar' || code === 32) {
-      if (e.preventDefault) e.preventDefault();
-      onDemoCtaClick(e);
+  /**
+   * Deep-copy plain objects/arrays so callers cannot mutate live configuration.
+   * Functions and DOM nodes are returned by reference.
+   */
+  function cloneValue(value) {
+    if (!value || typeof value !== 'object') return value;
+    if (typeof Node !== 'undefined' && value instanceof Node) return value;
+    if (Array.isArray(value)) return value.map(cloneValue);
+    var out = {};
+    for (var k in value) {
+      if (Object.prototype.hasOwnProperty.call(value, k)) out[k] = cloneValue(value[k]);
     }
+    return out;
   }
 
-  function initDemoBlocks() {
-    // Run only on pages that contain the demo page root to avoid cross-page leakage
-    if (typeof document === 'undefined') return;
-    var demoRoot = document.querySelector('.demo-page');
-    // If demoRoot is not present, still support scattered demo blocks by searching whole document,
-    // but prefer to early-return to avoid attaching handlers site-wide unexpectedly.
-    if (!demoRoot) {
-      // No demo page root: look for any demo-block__cta elements but be conservative: only initialize if present
-      var fallbackCtas = safeQueryAll('.demo-block__cta, .demo-cta');
-      if (!fallbackCtas || !fallbackCtas.length) return;
-      // limit scope to document in this fallback case
-    }
+  /**
+   * Read-only view of the effective configuration (DEFAULTS, #sitenav-config, data-sitenav-* and init options).
+   */
+  function getConfig() {
+    var cfg = state.initted && state.config && state.config.selectors ? state.config : merge(DEFAULTS, {});
+    return cloneValue(cfg);
+  }
 
-    // Find CTA elements within the demo root (or globally if root is absent)
-    var ctaSelector = '.demo-block__cta, .demo-cta';
-    var ctas = demoRoot ? Array.prototype.slice.call(demoRoot.querySelectorAll(ctaSelector) || [], 0) : safeQueryAll(ctaSelector);
-    if (!ctas || !ctas.length) return;
+  /**
+   * Snapshot of runtime state for debugging and integrations. Never exposes live internals.
+   */
+  function getState() {
+    return {
+      initted: !!state.initted,
+      isOpen: !!state.isOpen,
+      activeSection: (state._scrollSpy && state._scrollSpy.active && state._scrollSpy.active.section.id) || '',
+      demo: {
+        isOpen: !!(state._demo && state._demo.isOpen),
+        id: (state._demo && state._demo.id) || ''
+      },
+      serviceCards: (state._serviceCards || []).map(function (rec) {
+        return { id: rec.id, expanded: !!rec.expanded };
+      }),
+      contactForms: (state._contactForms || []).map(function (rec) {
+        return { id: rec.form.id || '', state: rec.form.getAttribute('data-state') || 'idle' };
+      }),
+      newsletterForms: (state._newsletterForms || []).map(function (rec) {
+        return { id: rec.form.id || '', state: rec.form.getAttribute('data-state') || 'idle' };
+      }),
+      consent: getConsent()
+    };
+  }
 
-    // Clean up any previous demo listeners if present
-    removeDemoListeners();
+  var api = {
+    version: VERSION,
+    init: init,
+    create: create,
+    destroy: destroy,
+    toggleNav: toggleNav,
+    highlightActiveLink: highlightActiveLink,
+    initDemoBlocks: initDemoBlocks,
+    initModalTriggers: initModalTriggers,
+    registerDemo: registerDemo,
+    unregisterDemo: unregisterDemo,
+    initServiceCards: initServiceCards,
+    initContactForm: initContactForm,
+    initNewsletterForm: initNewsletterForm,
+    on: onEvent,
+    off: offEvent,
+    once: onceEvent,
+    analytics: Object.freeze ? Object.freeze(analytics) : analytics,
+    consent: Object.freeze ? Object.freeze(consent) : consent,
+    theme: Object.freeze ? Object.freeze(theme) : theme,
+    search: Object.freeze ? Object.freeze(search) : search,
+    commands: Object.freeze ? Object.freeze(commands) : commands,
+    dialog: Object.freeze ? Object.freeze(dialog) : dialog,
+    i18n: Object.freeze ? Object.freeze(i18n) : i18n,
+    getPendingSubmissions: getPendingSubmissions,
+    flushSubmissions: flushSubmissions,
+    expand: expand,
+    collapse: collapse,
+    expandAll: expandAll,
+    collapseAll: collapseAll,
+    navigate: navigate,
+    prefetch: prefetch,
+    clearCache: clearCache,
+    isOpen: isOpen,
+    getState: getState,
+    getConfig: getConfig
+  };
 
-    // Attach handlers
-    for (var i = 0; i < ctas.length; i++) {
-      var btn = ctas[i];
-      try {
-        // ensure it's keyboard accessible
-        if (btn.tagName && btn.tagName.toLowerCase() !== 'button') {
-          try { if (!btn.hasAttribute('role')) btn.setAttribute('role', 'button'); } catch (e) {}
-          try { if (btn.tabIndex === undefined || btn.tabIndex < 0) btn.tabIndex = 0; } catch (e) {}
-        }
-        // Aria hint
-        try { if (!btn.hasAttribute('aria-haspopup')) btn.setAttribute('aria-haspopup', 'dialog'); } catch (e) {}
-        // Ensure a label for screen readers if none present (preserve visible text)
-        try {
-          if (!btn.getAttribute('aria-label') && btn.textContent && btn.textContent.trim().length < 60) {
-            var txt = btn.textContent.trim();
-            btn.setAttribute('aria-label', txt);
-          }
-        } catch (e) {}
-      } catch (e) {}
-      addDemoListener(btn, 'click', onDemoCtaClick, false);
-      addDemoListener(btn, 'keydown', onDemoCtaKeydown, false);
+  /**
+   * Auto-initialize once the DOM is ready.
+   * Pages that want to call init(options) themselves set window.__siteNavManual = true before loading script.js.
+   */
+  try {
+    if (typeof window !== 'undefined' && typeof document !== 'undefined' && window.__siteNavManual !== true) {
+      if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', function onReady() {
+          document.removeEventListener('DOMContentLoaded', onReady, false);
+          init();
+        }, false);
+      } else {
+        init();
+      }
     }
-  }
+  } catch (e) {}
 
-  /**
-   * Service-card toggles (graceful enhancement)
-   *
-   * Behavior:
-   *  - When JS is
\ No newline at end of file
+  return Object.freeze ? Object.freeze(api) : api;
+}));